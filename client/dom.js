@@ -0,0 +1,20 @@
+// ===== CUSTOM ELEMENT HELPERS =====
+
+// HTMLElement outside browsers, so the modules can be imported during server-side rendering
+export const BaseElement = typeof HTMLElement === 'undefined' ? class {} : HTMLElement;
+
+// Register a custom element unless the page already did, e.g. by loading the bundle twice
+export function defineElement(name, constructor) {
+  if (typeof customElements !== 'undefined' && !customElements.get(name)) {
+    customElements.define(name, constructor);
+  }
+}
+
+// Shadow root holding a stylesheet and a container for the component's markup
+export function attachStyledShadow(host, css) {
+  const root = host.attachShadow({ mode: 'open' });
+  const style = document.createElement('style');
+  style.textContent = ':host { display: block; }\n' + css;
+  root.appendChild(style);
+  return root;
+}
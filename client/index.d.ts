@@ -0,0 +1,182 @@
+/** Stream config as the server sends it; camera credentials are masked */
+export type PlayerStreamConfig = Record<string, any>;
+
+export interface RTSPPlayerOptions {
+  /** Element or selector the player renders into */
+  container: Element | string;
+  /** Server origin; '' for the page's own */
+  url?: string;
+  /** socket.io path, if not /socket.io */
+  socketPath?: string | null;
+  /** socket.io client; defaults to RTSPPlayer.io, then the global io */
+  io?: ((...args: any[]) => any) | null;
+  width?: string;
+  height?: string;
+  autoConnect?: boolean;
+  streamId?: string;
+  token?: string | null;
+  maxFps?: number | null;
+  profile?: 'full' | 'thumbnail';
+  mode?: 'mjpeg' | 'fmp4';
+  latencyOverlay?: boolean;
+  ptzControls?: boolean;
+  ptzSpeed?: number;
+  /** Control bar with pause, snapshot, local recording, zoom reset and fullscreen */
+  controls?: boolean;
+  /** Format of the snapshot button's downloads */
+  snapshotFormat?: SnapshotFormat;
+  /** Control bar button that opens the privacy mask editor; saving needs the admin role */
+  maskEditor?: boolean;
+}
+
+/** A rectangle in fractions (0-1) of the frame */
+export interface MaskRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export type SnapshotFormat = 'png' | 'jpeg';
+
+export interface PlaybackState {
+  paused: boolean;
+  fullscreen: boolean;
+  /** Digital zoom (1-8); x and y are the visible part's top left corner, as fractions of the frame */
+  zoom: { zoom: number; x: number; y: number };
+  /** Recording in the browser with startRecording() */
+  recording: boolean;
+}
+
+export interface SnapshotOptions {
+  format?: SnapshotFormat;
+  /** JPEG quality, 0-1 */
+  quality?: number;
+  /** Also save it as <stream>-<time>.png or .jpg */
+  download?: boolean;
+}
+
+export type ConnectionStatus = 'connecting' | 'connected' | 'disconnected' | 'error';
+
+export interface RTSPPlayerEventMap {
+  status: CustomEvent<{ status: ConnectionStatus; message: string }>;
+  config: CustomEvent<{ config: PlayerStreamConfig }>;
+  motion: CustomEvent<{ streamId: string; state: 'start' | 'end'; [key: string]: any }>;
+  'stream-error': CustomEvent<{ error: string; code?: string; [key: string]: any }>;
+  playback: CustomEvent<PlaybackState>;
+}
+
+export class RTSPPlayer extends EventTarget {
+  /** socket.io client used by players without an `io` option */
+  static io: ((...args: any[]) => any) | null;
+  static supportsMse(): boolean;
+
+  constructor(options: RTSPPlayerOptions);
+  options: Required<RTSPPlayerOptions>;
+  socket: any;
+  currentConfig: PlayerStreamConfig;
+  connectionStatus: ConnectionStatus;
+  frameCount: number;
+  /** No frames are sent to this viewer while paused */
+  readonly paused: boolean;
+  readonly fullscreen: boolean;
+  /** Whether the privacy mask editor is open */
+  readonly editingMasks: boolean;
+  /** Rectangles drawn in the editor while it is open, otherwise null */
+  maskDraft: MaskRect[] | null;
+  onStatusChange: ((status: ConnectionStatus, message: string) => void) | null;
+  onMotion: ((data: RTSPPlayerEventMap['motion']['detail']) => void) | null;
+
+  connect(): void;
+  disconnect(): void;
+  /** Send config changes to the server; needs the admin role */
+  applyConfig(config: PlayerStreamConfig): Promise<PlayerStreamConfig>;
+  resetConfig(): Promise<PlayerStreamConfig>;
+  getStats(): Promise<Record<string, any>>;
+  setViewerOptions(options: { maxFps?: number | null; profile?: 'full' | 'thumbnail' }): Promise<{ maxFps: number | null; profile: string }>;
+  ptz(command: Record<string, any>): Promise<Record<string, any>>;
+  /** Stop and restart frame delivery to this viewer; resolve with the new paused state */
+  pause(): Promise<boolean>;
+  resume(): Promise<boolean>;
+  togglePause(): Promise<boolean>;
+  toggleFullscreen(show?: boolean): Promise<void>;
+  /** Digital zoom (1-8), keeping the point at (x, y) of the view (fractions, default the center) in place */
+  setZoom(zoom: number, x?: number, y?: number): void;
+  /** Move the zoomed view by fractions of its size */
+  panBy(dx: number, dy: number): void;
+  resetZoom(): void;
+  getPlaybackState(): PlaybackState;
+  /** The current frame at the stream's resolution */
+  snapshot(options?: SnapshotOptions): Promise<Blob>;
+  /** Record the picture into WebM in the browser; throws if MediaRecorder is missing */
+  startRecording(): void;
+  /** Resolves with the recording; `download` also saves it as <stream>-<time>.webm */
+  stopRecording(options?: { download?: boolean }): Promise<Blob>;
+  /** Open the privacy mask editor with the stream's rectangle masks; drag on the picture to add one */
+  editPrivacyMasks(): void;
+  /** Save the drawn rectangles as the stream's privacyMasks, keeping its polygons; closes the editor once applied */
+  savePrivacyMasks(): Promise<PlayerStreamConfig>;
+  /** Close the editor without saving */
+  closeMaskEditor(): void;
+  /** Show or hide the control bar after changing `options.controls` or `options.maskEditor` */
+  updateControls(): void;
+  setStatusChangeCallback(callback: (status: ConnectionStatus, message: string) => void): void;
+
+  addEventListener<K extends keyof RTSPPlayerEventMap>(type: K, listener: (event: RTSPPlayerEventMap[K]) => void, options?: boolean | AddEventListenerOptions): void;
+  addEventListener(type: string, listener: EventListenerOrEventListenerObject, options?: boolean | AddEventListenerOptions): void;
+}
+
+/** `<rtsp-player src stream token mode socket-path profile max-fps latency-overlay ptz-controls controls snapshot-format mask-editor>` */
+export class RTSPPlayerElement extends HTMLElement {
+  readonly player: RTSPPlayer | null;
+  readonly config: PlayerStreamConfig;
+  getStats(): Promise<Record<string, any>>;
+  applyConfig(config: PlayerStreamConfig): Promise<PlayerStreamConfig>;
+  resetConfig(): Promise<PlayerStreamConfig>;
+  ptz(command: Record<string, any>): Promise<Record<string, any>>;
+  readonly paused: boolean;
+  pause(): Promise<boolean>;
+  resume(): Promise<boolean>;
+  toggleFullscreen(show?: boolean): Promise<void>;
+  setZoom(zoom: number, x?: number, y?: number): void;
+  resetZoom(): void;
+  snapshot(options?: SnapshotOptions): Promise<Blob>;
+  startRecording(): void;
+  stopRecording(options?: { download?: boolean }): Promise<Blob>;
+  editPrivacyMasks(): void;
+  savePrivacyMasks(): Promise<PlayerStreamConfig>;
+  closeMaskEditor(): void;
+}
+
+export class RTSPConfigPanel {
+  constructor(options: { container: Element | ShadowRoot | string; player?: RTSPPlayer | null });
+  readonly el: HTMLFormElement;
+  readonly player: RTSPPlayer | null;
+  readonly visible: boolean;
+  /** Called with the new visibility when it changes */
+  onToggle: ((visible: boolean) => void) | null;
+  setPlayer(player: RTSPPlayer | null): void;
+  values(): PlayerStreamConfig;
+  /** Hides the panel once applied; otherwise shows the server's answer in it */
+  apply(): Promise<void>;
+  reset(): Promise<void>;
+  show(): void;
+  hide(): void;
+  toggle(show?: boolean): void;
+  destroy(): void;
+}
+
+/** `<rtsp-config-panel for="player-id" open>` */
+export class RTSPConfigPanelElement extends HTMLElement {
+  player: RTSPPlayer | null;
+  show(): void;
+  hide(): void;
+  toggle(show?: boolean): void;
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'rtsp-player': RTSPPlayerElement;
+    'rtsp-config-panel': RTSPConfigPanelElement;
+  }
+}
@@ -0,0 +1,7 @@
+// ===== RTSP WEB VIEWER CLIENT =====
+// Importing this module also registers <rtsp-player> and <rtsp-config-panel>.
+// lib/player-bundle.js builds it into the ESM and UMD files the server serves.
+
+export { RTSPPlayer } from './rtsp-player.js';
+export { RTSPPlayerElement } from './rtsp-player-element.js';
+export { RTSPConfigPanel, RTSPConfigPanelElement } from './rtsp-config-panel.js';
@@ -0,0 +1,408 @@
+// ===== STYLES =====
+// Kept as strings so the custom elements can put them into their shadow roots;
+// the server also serves them as /rtsp-player.css for the plain RTSPPlayer class.
+
+export const PLAYER_CSS = `
+.rtsp-player-stream-wrapper {
+  position: relative;
+  width: 100%;
+  height: 0;
+  padding-bottom: 56.25%;
+  background: #000;
+  overflow: hidden;
+}
+
+.rtsp-player-canvas {
+  position: absolute;
+  top: 0;
+  left: 0;
+  width: 100%;
+  height: 100%;
+  display: block;
+}
+
+.rtsp-player-canvas,
+.rtsp-player-video {
+  transform-origin: 0 0;
+  touch-action: none;
+}
+
+.rtsp-player-stream-wrapper:fullscreen {
+  height: 100%;
+  padding-bottom: 0;
+}
+
+.rtsp-player-stream-wrapper:fullscreen .rtsp-player-canvas {
+  object-fit: contain;
+}
+
+.rtsp-player-status {
+  position: absolute;
+  top: 50%;
+  left: 50%;
+  transform: translate(-50%, -50%);
+  background: rgba(0, 0, 0, 0.8);
+  color: white;
+  padding: 15px 25px;
+  border-radius: 8px;
+  z-index: 1000;
+  opacity: 0;
+  visibility: hidden;
+  transition: opacity 0.3s ease, visibility 0.3s ease;
+  text-align: center;
+  min-width: 200px;
+}
+
+.rtsp-player-status.visible {
+  opacity: 1;
+  visibility: visible;
+}
+
+.rtsp-player-status.error {
+  background: rgba(255, 59, 48, 0.9);
+}
+
+.rtsp-player-status-content {
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  gap: 10px;
+}
+
+.rtsp-player-status-icon {
+  font-size: 18px;
+}
+
+.rtsp-player-status-message {
+  font-size: 14px;
+  font-weight: 500;
+}
+
+.rtsp-player-spinner {
+  width: 20px;
+  height: 20px;
+  border: 2px solid rgba(255, 255, 255, 0.3);
+  border-radius: 50%;
+  border-top-color: #fff;
+  animation: spin 1s ease-in-out infinite;
+}
+
+@keyframes spin {
+  to { transform: rotate(360deg); }
+}
+
+.rtsp-player-video {
+  display: none;
+  position: absolute;
+  top: 0;
+  left: 0;
+  width: 100%;
+  height: 100%;
+  object-fit: contain;
+  background: #000;
+}
+
+.rtsp-player-stream-wrapper.fmp4 .rtsp-player-video {
+  display: block;
+}
+
+.rtsp-player-stream-wrapper.fmp4 .rtsp-player-canvas {
+  display: none;
+}
+
+.rtsp-player-stream-wrapper.motion {
+  outline: 3px solid rgba(255, 59, 48, 0.9);
+  outline-offset: -3px;
+}
+
+.rtsp-player-ptz {
+  display: none;
+  position: absolute;
+  right: 10px;
+  bottom: 10px;
+  padding: 8px;
+  border-radius: 6px;
+  background: rgba(0, 0, 0, 0.6);
+  color: #fff;
+  font-size: 12px;
+}
+
+.rtsp-player-stream-wrapper.ptz .rtsp-player-ptz {
+  display: block;
+}
+
+.rtsp-player-stream-wrapper.ptz .rtsp-player-canvas,
+.rtsp-player-stream-wrapper.ptz .rtsp-player-video {
+  cursor: crosshair;
+}
+
+.rtsp-player-stream-wrapper.zoomed .rtsp-player-canvas,
+.rtsp-player-stream-wrapper.zoomed .rtsp-player-video {
+  cursor: grab;
+}
+
+.rtsp-player-controls {
+  display: none;
+  position: absolute;
+  left: 10px;
+  bottom: 10px;
+  gap: 4px;
+  padding: 6px;
+  border-radius: 6px;
+  background: rgba(0, 0, 0, 0.6);
+  opacity: 0;
+  transition: opacity 0.2s ease;
+}
+
+.rtsp-player-stream-wrapper.controls .rtsp-player-controls {
+  display: flex;
+}
+
+.rtsp-player-stream-wrapper:hover .rtsp-player-controls,
+.rtsp-player-controls:focus-within,
+.rtsp-player-stream-wrapper.paused .rtsp-player-controls,
+.rtsp-player-stream-wrapper.recording .rtsp-player-controls {
+  opacity: 1;
+}
+
+.rtsp-player-controls button {
+  min-width: 28px;
+  height: 28px;
+  border: none;
+  border-radius: 4px;
+  background: rgba(255, 255, 255, 0.2);
+  color: #fff;
+  cursor: pointer;
+}
+
+.rtsp-player-controls button:hover {
+  background: rgba(255, 255, 255, 0.35);
+}
+
+.rtsp-player-controls button[hidden] {
+  display: none;
+}
+
+.rtsp-player-stream-wrapper.recording [data-action="record"] {
+  color: #ff3b30;
+}
+
+.rtsp-player-ptz-pad {
+  display: grid;
+  grid-template-columns: repeat(3, 28px);
+  grid-template-areas: ". up zoomin" "left . right" ". down zoomout";
+  gap: 4px;
+  justify-content: center;
+}
+
+.rtsp-player-ptz-pad [data-tilt="1"] { grid-area: up; }
+.rtsp-player-ptz-pad [data-pan="-1"] { grid-area: left; }
+.rtsp-player-ptz-pad [data-pan="1"] { grid-area: right; }
+.rtsp-player-ptz-pad [data-tilt="-1"] { grid-area: down; }
+.rtsp-player-ptz-pad [data-zoom="1"] { grid-area: zoomin; }
+.rtsp-player-ptz-pad [data-zoom="-1"] { grid-area: zoomout; }
+
+.rtsp-player-ptz button {
+  height: 28px;
+  border: none;
+  border-radius: 4px;
+  background: rgba(255, 255, 255, 0.2);
+  color: #fff;
+  cursor: pointer;
+  touch-action: none;
+}
+
+.rtsp-player-ptz button:hover {
+  background: rgba(255, 255, 255, 0.35);
+}
+
+.rtsp-player-ptz-presets {
+  display: flex;
+  gap: 4px;
+  margin-top: 8px;
+}
+
+.rtsp-player-ptz-message:not(:empty) {
+  margin-top: 6px;
+  max-width: 160px;
+  color: #ff8a80;
+}
+
+.rtsp-player-mask-editor {
+  display: none;
+}
+
+.rtsp-player-stream-wrapper.editing-masks .rtsp-player-mask-editor {
+  display: block;
+}
+
+.rtsp-player-stream-wrapper.editing-masks .rtsp-player-controls,
+.rtsp-player-stream-wrapper.editing-masks .rtsp-player-ptz {
+  display: none;
+}
+
+.rtsp-player-mask-layer {
+  position: absolute;
+  cursor: crosshair;
+  touch-action: none;
+  outline: 1px dashed rgba(255, 255, 255, 0.5);
+}
+
+.rtsp-player-mask {
+  position: absolute;
+  box-sizing: border-box;
+  border: 2px solid #ffcc00;
+  background: rgba(255, 204, 0, 0.25);
+  pointer-events: none;
+}
+
+.rtsp-player-mask button {
+  position: absolute;
+  top: 2px;
+  right: 2px;
+  width: 20px;
+  height: 20px;
+  padding: 0;
+  border: none;
+  border-radius: 3px;
+  background: rgba(0, 0, 0, 0.7);
+  color: #fff;
+  cursor: pointer;
+  pointer-events: auto;
+}
+
+.rtsp-player-mask-toolbar {
+  position: absolute;
+  top: 10px;
+  left: 50%;
+  transform: translateX(-50%);
+  display: flex;
+  align-items: center;
+  gap: 4px;
+  padding: 6px;
+  border-radius: 6px;
+  background: rgba(0, 0, 0, 0.7);
+  color: #fff;
+  font-size: 12px;
+  white-space: nowrap;
+}
+
+.rtsp-player-mask-message {
+  margin: 0 6px;
+}
+
+.rtsp-player-mask-toolbar button {
+  height: 28px;
+  border: none;
+  border-radius: 4px;
+  background: rgba(255, 255, 255, 0.2);
+  color: #fff;
+  cursor: pointer;
+}
+
+.rtsp-player-mask-toolbar button:hover {
+  background: rgba(255, 255, 255, 0.35);
+}
+`;
+
+export const CONFIG_PANEL_CSS = `
+.rtsp-config-panel {
+  position: fixed;
+  top: 50%;
+  left: 50%;
+  transform: translate(-50%, -50%);
+  background: rgba(0, 0, 0, 0.7);
+  color: white;
+  padding: 20px;
+  border-radius: 8px;
+  z-index: 1000;
+  display: none;
+  max-width: 90%;
+  width: 600px;
+  font-family: inherit;
+  text-align: left;
+}
+
+.rtsp-config-panel.visible {
+  display: block;
+}
+
+.rtsp-config-header {
+  display: flex;
+  gap: 10px;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 20px;
+}
+
+.rtsp-config-sections {
+  display: flex;
+  gap: 20px;
+  margin-bottom: 20px;
+}
+
+.rtsp-config-section {
+  flex: 1;
+}
+
+.rtsp-config-field {
+  margin-bottom: 15px;
+}
+
+.rtsp-config-field span {
+  display: block;
+  margin-bottom: 5px;
+}
+
+.rtsp-config-field input,
+.rtsp-config-field select {
+  display: block;
+  width: 80%;
+  padding: 8px;
+  background: rgba(255, 255, 255, 0.1);
+  border: 1px solid #666;
+  color: white;
+  border-radius: 4px;
+}
+
+.rtsp-config-message {
+  min-height: 1.2em;
+  margin: 0 0 10px;
+  font-size: 13px;
+}
+
+.rtsp-config-message.error {
+  color: #ff6b6b;
+}
+
+.rtsp-config-actions {
+  display: flex;
+  gap: 10px;
+  justify-content: flex-end;
+}
+
+.rtsp-config-actions button {
+  min-width: 100px;
+  padding: 8px 16px;
+  border: none;
+  border-radius: 4px;
+  color: white;
+  cursor: pointer;
+}
+
+.rtsp-config-actions [data-action="apply"] {
+  background: #28a745;
+}
+
+.rtsp-config-actions [data-action="reset"] {
+  background: #dc3545;
+}
+
+.rtsp-config-close {
+  border: none;
+  background: none;
+  color: inherit;
+  font-size: 20px;
+  cursor: pointer;
+}
+`;
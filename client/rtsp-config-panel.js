@@ -0,0 +1,238 @@
+import { CONFIG_PANEL_CSS } from './player-styles.js';
+import { BaseElement, defineElement, attachStyledShadow } from './dom.js';
+
+// ===== CONFIG PANEL =====
+// Optional form for a stream's connection and video settings. It works on
+// any RTSPPlayer: fields are filled from the player's `config` events and
+// Apply goes through `player.applyConfig()`, which needs the admin role.
+
+const RESOLUTIONS = ['320x240', '640x360', '640x480', '720x480', '1280x720', '1920x1080'];
+const NUMBER_FIELDS = ['frameRate', 'quality'];
+
+const CONFIG_PANEL_HTML =
+  '<div class="rtsp-config-header" part="header">' +
+    '<h3>Stream Configuration</h3>' +
+    '<button type="button" class="rtsp-config-close" title="Close">&times;</button>' +
+  '</div>' +
+  '<div class="rtsp-config-sections">' +
+    '<div class="rtsp-config-section">' +
+      '<h4>Connection Settings</h4>' +
+      '<label class="rtsp-config-field"><span>RTSP URL:</span>' +
+        '<input type="text" name="rtspUrl" placeholder="rtsp://..."></label>' +
+      '<label class="rtsp-config-field"><span>Transport Protocol:</span>' +
+        '<select name="transport"><option value="tcp">TCP</option><option value="udp">UDP</option></select></label>' +
+    '</div>' +
+    '<div class="rtsp-config-section">' +
+      '<h4>Video Settings</h4>' +
+      '<label class="rtsp-config-field"><span>Resolution:</span>' +
+        '<select name="resolution">' + RESOLUTIONS.map(r => '<option value="' + r + '">' + r + '</option>').join('') + '</select></label>' +
+      '<label class="rtsp-config-field"><span>Frame Rate:</span>' +
+        '<input type="number" name="frameRate" min="1" max="30"></label>' +
+      '<label class="rtsp-config-field"><span>Quality (1-31):</span>' +
+        '<input type="number" name="quality" min="1" max="31"></label>' +
+    '</div>' +
+  '</div>' +
+  '<p class="rtsp-config-message" part="message" role="status"></p>' +
+  '<div class="rtsp-config-actions">' +
+    '<button type="button" data-action="reset">Reset</button>' +
+    '<button type="submit" data-action="apply">Apply</button>' +
+  '</div>';
+
+/**
+ * Config form bound to an RTSPPlayer, hidden until shown.
+ *
+ * @param {object} options
+ * @param {Element|ShadowRoot|string} options.container Element, shadow root or selector to render into
+ * @param {RTSPPlayer} [options.player] Player to edit; see setPlayer()
+ */
+export class RTSPConfigPanel {
+  constructor({ container, player = null }) {
+    const target = typeof container === 'string' ? document.querySelector(container) : container;
+    if (!target) {
+      throw new Error('Container element not found');
+    }
+
+    this.el = document.createElement('form');
+    this.el.className = 'rtsp-config-panel';
+    this.el.setAttribute('part', 'panel');
+    this.el.innerHTML = CONFIG_PANEL_HTML;
+    target.appendChild(this.el);
+    this.message = this.el.querySelector('.rtsp-config-message');
+
+    this.player = null;
+    this.onToggle = null; // Called with the new visibility when it changes
+    this.handleConfig = event => this.fill(event.detail.config);
+
+    this.el.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.apply();
+    });
+    this.el.querySelector('[data-action="reset"]').addEventListener('click', () => this.reset());
+    this.el.querySelector('.rtsp-config-close').addEventListener('click', () => this.hide());
+
+    this.setPlayer(player);
+  }
+
+  // Edit another player's stream, or none
+  setPlayer(player) {
+    if (this.player) {
+      this.player.removeEventListener('config', this.handleConfig);
+    }
+    this.player = player;
+    if (player) {
+      player.addEventListener('config', this.handleConfig);
+      this.fill(player.currentConfig);
+    }
+  }
+
+  fill(config) {
+    const fields = this.el.elements;
+    fields.rtspUrl.value = config.rtspUrl || '';
+    fields.transport.value = config.transport || 'tcp';
+    fields.resolution.value = config.resolution || '640x480';
+    fields.frameRate.value = config.frameRate || '';
+    fields.quality.value = config.quality || '';
+  }
+
+  // Filled-in fields only; empty ones keep the stream's current value
+  values() {
+    const config = {};
+    new FormData(this.el).forEach((value, name) => {
+      if (!value) return;
+      config[name] = NUMBER_FIELDS.includes(name) ? parseInt(value, 10) : value;
+    });
+    return config;
+  }
+
+  // The panel stays open with the server's answer when the change was not applied
+  apply() {
+    if (!this.player) return Promise.resolve();
+    return this.settle(this.player.applyConfig(this.values()));
+  }
+
+  reset() {
+    if (!this.player) return Promise.resolve();
+    return this.settle(this.player.resetConfig());
+  }
+
+  settle(change) {
+    this.showMessage('Applying...');
+    return change.then(() => {
+      this.showMessage('');
+      this.hide();
+    }, (error) => {
+      this.showMessage(error.message, true);
+    });
+  }
+
+  showMessage(text, isError = false) {
+    this.message.textContent = text;
+    this.message.classList.toggle('error', isError);
+  }
+
+  get visible() {
+    return this.el.classList.contains('visible');
+  }
+
+  toggle(show = !this.visible) {
+    if (show === this.visible) return;
+    this.el.classList.toggle('visible', show);
+    if (this.onToggle) {
+      this.onToggle(show);
+    }
+  }
+
+  show() {
+    this.toggle(true);
+  }
+
+  hide() {
+    this.toggle(false);
+  }
+
+  destroy() {
+    this.setPlayer(null);
+    this.el.remove();
+  }
+}
+
+/**
+ * `<rtsp-config-panel for="camera">` edits the `<rtsp-player id="camera">`.
+ * The `open` attribute shows it; `show()`, `hide()` and `toggle()` set it.
+ * Style it from outside through `::part(panel)`.
+ */
+export class RTSPConfigPanelElement extends BaseElement {
+  static get observedAttributes() {
+    return ['for', 'open'];
+  }
+
+  constructor() {
+    super();
+    this.panel = null;
+    this.assignedPlayer = null; // Set through the `player` property; wins over `for`
+  }
+
+  connectedCallback() {
+    if (!this.panel) {
+      this.panel = new RTSPConfigPanel({ container: attachStyledShadow(this, CONFIG_PANEL_CSS) });
+      this.panel.onToggle = show => this.toggleAttribute('open', show);
+    }
+    this.panel.toggle(this.hasAttribute('open'));
+    if (this.assignedPlayer) {
+      this.panel.setPlayer(this.assignedPlayer);
+    } else {
+      this.bindPlayer();
+    }
+  }
+
+  disconnectedCallback() {
+    this.panel.setPlayer(null);
+  }
+
+  attributeChangedCallback(name) {
+    if (!this.panel || !this.isConnected) return;
+    if (name === 'open') {
+      this.panel.toggle(this.hasAttribute('open'));
+    } else if (!this.assignedPlayer) {
+      this.bindPlayer();
+    }
+  }
+
+  // Follow the <rtsp-player> named by `for`, once that element is upgraded
+  bindPlayer() {
+    const id = this.getAttribute('for');
+    if (!id) return;
+    customElements.whenDefined('rtsp-player').then(() => {
+      const target = document.getElementById(id);
+      if (this.getAttribute('for') === id && !this.assignedPlayer && target && target.player) {
+        this.panel.setPlayer(target.player);
+      }
+    });
+  }
+
+  get player() {
+    return this.panel ? this.panel.player : this.assignedPlayer;
+  }
+
+  // Edit a player without a `for` attribute, e.g. a plain RTSPPlayer
+  set player(player) {
+    this.assignedPlayer = player;
+    if (this.panel && this.isConnected) {
+      this.panel.setPlayer(player);
+    }
+  }
+
+  toggle(show) {
+    this.toggleAttribute('open', show);
+  }
+
+  show() {
+    this.toggle(true);
+  }
+
+  hide() {
+    this.toggle(false);
+  }
+}
+
+defineElement('rtsp-config-panel', RTSPConfigPanelElement);
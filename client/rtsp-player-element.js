@@ -0,0 +1,181 @@
+import { RTSPPlayer } from './rtsp-player.js';
+import { PLAYER_CSS } from './player-styles.js';
+import { BaseElement, defineElement, attachStyledShadow } from './dom.js';
+
+// ===== <rtsp-player> ELEMENT =====
+
+// Attributes the connection depends on, and the player options they set
+const CONNECTION_ATTRIBUTES = { src: 'url', stream: 'streamId', token: 'token', mode: 'mode', 'socket-path': 'socketPath' };
+const PLAYER_EVENTS = ['status', 'config', 'motion', 'stream-error', 'playback'];
+
+/**
+ * `<rtsp-player src="https://nvr.example.com" stream="lobby">` plays a stream
+ * with an RTSPPlayer in its shadow root. It connects while it is in the
+ * document and reconnects when `src`, `stream`, `token`, `mode` or
+ * `socket-path` change; `profile` and `max-fps` are applied without
+ * reconnecting. The player's events are re-dispatched on the element and
+ * bubble out of the shadow root.
+ */
+export class RTSPPlayerElement extends BaseElement {
+  static get observedAttributes() {
+    return [...Object.keys(CONNECTION_ATTRIBUTES), 'profile', 'max-fps', 'latency-overlay', 'ptz-controls', 'controls', 'snapshot-format', 'mask-editor'];
+  }
+
+  constructor() {
+    super();
+    this.player = null;
+    this.reconnectQueued = false;
+  }
+
+  playerOptions() {
+    const options = {};
+    Object.entries(CONNECTION_ATTRIBUTES).forEach(([attribute, option]) => {
+      options[option] = this.getAttribute(attribute);
+    });
+    return {
+      ...options,
+      url: options.url || '',
+      streamId: options.streamId || 'default',
+      mode: options.mode || 'mjpeg',
+      profile: this.getAttribute('profile') || 'full',
+      maxFps: this.hasAttribute('max-fps') ? Number(this.getAttribute('max-fps')) : null,
+      latencyOverlay: this.hasAttribute('latency-overlay'),
+      ptzControls: this.getAttribute('ptz-controls') !== 'false',
+      controls: this.getAttribute('controls') !== 'false',
+      snapshotFormat: this.getAttribute('snapshot-format') || 'png',
+      maskEditor: this.hasAttribute('mask-editor')
+    };
+  }
+
+  connectedCallback() {
+    if (!this.player) {
+      const container = document.createElement('div');
+      container.setAttribute('part', 'player');
+      attachStyledShadow(this, PLAYER_CSS).appendChild(container);
+
+      this.player = new RTSPPlayer({ ...this.playerOptions(), container, autoConnect: false });
+      PLAYER_EVENTS.forEach((type) => {
+        this.player.addEventListener(type, (event) => {
+          this.dispatchEvent(new CustomEvent(type, { detail: event.detail, bubbles: true, composed: true }));
+        });
+      });
+    }
+    this.player.connect();
+  }
+
+  disconnectedCallback() {
+    this.player.disconnect();
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    if (!this.player || oldValue === value) return;
+    const options = this.playerOptions();
+
+    if (name === 'profile' || name === 'max-fps') {
+      const viewerOptions = { profile: options.profile, maxFps: options.maxFps };
+      if (!this.player.socket) {
+        Object.assign(this.player.options, viewerOptions);
+        return;
+      }
+      this.player.setViewerOptions(viewerOptions).catch((error) => {
+        console.warn('rtsp-player: ' + error.message);
+      });
+    } else if (name === 'latency-overlay') {
+      this.player.options.latencyOverlay = options.latencyOverlay;
+    } else if (name === 'ptz-controls') {
+      this.player.options.ptzControls = options.ptzControls;
+      this.player.updatePtzControls(this.player.currentConfig);
+    } else if (name === 'controls' || name === 'mask-editor') {
+      this.player.options.controls = options.controls;
+      this.player.options.maskEditor = options.maskEditor;
+      this.player.updateControls();
+    } else if (name === 'snapshot-format') {
+      this.player.options.snapshotFormat = options.snapshotFormat;
+    } else {
+      Object.assign(this.player.options, options);
+      this.queueReconnect();
+    }
+  }
+
+  // Several attributes are often set in a row; reconnect once for all of them
+  queueReconnect() {
+    if (this.reconnectQueued || !this.isConnected) return;
+    this.reconnectQueued = true;
+    queueMicrotask(() => {
+      this.reconnectQueued = false;
+      if (!this.isConnected) return;
+      this.player.disconnect();
+      this.player.connect();
+    });
+  }
+
+  get config() {
+    return this.player ? this.player.currentConfig : {};
+  }
+
+  getStats() {
+    return this.player.getStats();
+  }
+
+  applyConfig(config) {
+    return this.player.applyConfig(config);
+  }
+
+  resetConfig() {
+    return this.player.resetConfig();
+  }
+
+  ptz(command) {
+    return this.player.ptz(command);
+  }
+
+  get paused() {
+    return this.player ? this.player.paused : false;
+  }
+
+  pause() {
+    return this.player.pause();
+  }
+
+  resume() {
+    return this.player.resume();
+  }
+
+  toggleFullscreen(show) {
+    return this.player.toggleFullscreen(show);
+  }
+
+  setZoom(zoom, x, y) {
+    this.player.setZoom(zoom, x, y);
+  }
+
+  resetZoom() {
+    this.player.resetZoom();
+  }
+
+  snapshot(options) {
+    return this.player.snapshot(options);
+  }
+
+  startRecording() {
+    this.player.startRecording();
+  }
+
+  stopRecording(options) {
+    return this.player.stopRecording(options);
+  }
+
+  editPrivacyMasks() {
+    this.player.editPrivacyMasks();
+  }
+
+  savePrivacyMasks() {
+    return this.player.savePrivacyMasks();
+  }
+
+  closeMaskEditor() {
+    this.player.closeMaskEditor();
+  }
+}
+
+defineElement('rtsp-player', RTSPPlayerElement);
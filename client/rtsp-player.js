@@ -0,0 +1,1389 @@
+// ===== RTSP PLAYER =====
+// Browser client for RTSPStreamServer. Plays one stream into a container
+// element and reports what happens as DOM events on the player itself:
+//
+//   status        { status, message }  connecting, connected, error
+//   config        { config }           the stream's config, on connect and on every change
+//   motion        { state, ... }       motion start and end
+//   stream-error  { error, code, ... } ffmpeg failures reported by the server
+//   playback      { paused, fullscreen, zoom, recording } after any of them changes
+//
+// socket.io's client is taken from `options.io`, `RTSPPlayer.io` or the global
+// `io` that /socket.io/socket.io.js defines, in that order.
+
+// The server tries a new config for up to `configApply.timeout` (15s by default) before answering
+const CONFIG_ACK_TIMEOUT = 60000;
+
+const MAX_ZOOM = 8;
+const WHEEL_ZOOM_SPEED = 0.002; // Zoom factor per wheel pixel, exponential
+const DRAG_THRESHOLD = 4;       // Pixels a pointer moves before a press is a drag, not a click
+const SNAPSHOT_TYPES = { png: 'image/png', jpeg: 'image/jpeg' };
+const RECORDING_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const MIN_MASK_SIZE = 0.01;     // Drawn masks smaller than this fraction of the frame, either way, are dropped
+
+// Four decimals are finer than a pixel at 4K; corners are rounded first so the mask stays within the frame
+function roundMask({ x, y, width, height }) {
+  const round = value => Math.round(value * 10000);
+  const [left, top, right, bottom] = [x, y, x + width, y + height].map(round);
+  return { x: left / 10000, y: top / 10000, width: (right - left) / 10000, height: (bottom - top) / 10000 };
+}
+
+// Save a blob through a temporary download link
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export class RTSPPlayer extends EventTarget {
+  constructor(options = {}) {
+    super();
+
+    // Add canvas initialization
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'rtsp-player-canvas';
+    this.ctx = this.canvas.getContext('2d', { alpha: false });
+
+    // Create offscreen canvas for double buffering
+    this.offscreenCanvas = document.createElement('canvas');
+    this.offscreenCtx = this.offscreenCanvas.getContext('2d', { alpha: false });
+
+    // Video element for fMP4 playback through Media Source Extensions
+    this.video = document.createElement('video');
+    this.video.className = 'rtsp-player-video';
+    this.video.muted = true;
+    this.video.autoplay = true;
+    this.video.playsInline = true;
+
+    // Add status element
+    this.statusEl = document.createElement('div');
+    this.statusEl.className = 'rtsp-player-status';
+
+    // Set initial canvas size
+    this.canvasWidth = 640;
+    this.canvasHeight = 480;
+    this.canvas.width = this.canvasWidth;
+    this.canvas.height = this.canvasHeight;
+    this.offscreenCanvas.width = this.canvasWidth;
+    this.offscreenCanvas.height = this.canvasHeight;
+
+    // Default options
+    this.options = {
+      container: null,
+      url: '',            // Server origin, e.g. 'https://nvr.example.com'; '' for this page's
+      socketPath: null,   // socket.io path, if the server uses another than /socket.io
+      io: null,           // socket.io client function, if there is no global `io`
+      width: '100%',
+      height: 'auto',
+      autoConnect: true,
+      streamId: 'default',
+      token: null,
+      maxFps: null,       // Frames per second this viewer wants at most; null for all
+      profile: 'full',    // 'full' or 'thumbnail'
+      mode: 'mjpeg',      // 'fmp4' for H.264 passthrough, falling back to 'mjpeg'
+      latencyOverlay: false, // Draw latency and loss on the canvas, for debugging
+      ptzControls: true,  // Show PTZ buttons and click-to-center when the stream has ONVIF
+      ptzSpeed: 0.5,      // Pan, tilt and zoom velocity of the buttons (0-1)
+      controls: true,     // Control bar: pause, snapshot, local recording, zoom reset, fullscreen
+      snapshotFormat: 'png', // 'png' or 'jpeg', for the snapshot button
+      maskEditor: false,  // Control bar button for drawing privacy masks (needs the admin role)
+      ...options
+    };
+
+    // State
+    this.mode = 'mjpeg';  // What the server currently sends
+    this.mse = null;      // { mediaSource, sourceBuffer, queue } while playing fMP4
+    this.frameCount = 0;
+    this.currentConfig = {};
+    this.connectionStatus = 'disconnected';
+    this.connectionMessage = null;
+    this.lastValidFrame = null;
+    this.processingFrame = false;
+    this.frameTimeout = null;
+    this.skippedFrames = 0;
+    this.latency = { samples: [], received: 0, lost: 0, lastSeq: null, last: null, stats: null };
+    this.latencyTimer = null;
+    this.paused = false;  // No frames are sent to this viewer while paused
+    this.view = { zoom: 1, x: 0, y: 0 }; // Digital zoom; x and y are the visible part's top left, in fractions of the frame
+    this.pointers = new Map(); // Pointers down on the picture, for dragging and pinching
+    this.viewDragged = false;
+    this.localRecording = null; // { recorder, done } while recording to WebM
+    this.maskDraft = null; // Rectangles in the privacy mask editor while it is open
+
+    // Event callbacks
+    this.onStatusChange = null;
+    this.onMotion = null;
+
+    // Initialize the player
+    this.init();
+  }
+
+  init() {
+    // Validate container
+    if (!this.options.container) {
+      throw new Error('Container element is required');
+    }
+
+    const container = this.getContainer();
+    if (!container) {
+      throw new Error('Container element not found');
+    }
+
+    // Create player structure
+    container.innerHTML = '';
+    const wrapper = document.createElement('div');
+    wrapper.className = 'rtsp-player-stream-wrapper';
+    this.wrapper = wrapper;
+
+    // Add elements to container
+    wrapper.appendChild(this.canvas);
+    wrapper.appendChild(this.video);
+    wrapper.appendChild(this.statusEl);
+    wrapper.appendChild(this.createPtzControls());
+    wrapper.appendChild(this.createControls());
+    wrapper.appendChild(this.createMaskEditor());
+    container.appendChild(wrapper);
+
+    // Click-to-center on PTZ cameras
+    [this.canvas, this.video].forEach(el => el.addEventListener('click', event => this.centerOn(event)));
+    this.bindViewGestures();
+    wrapper.addEventListener('fullscreenchange', () => {
+      if (this.editingMasks) this.placeMaskLayer(); // The picture gets letterboxed, or stops being
+      this.playbackChanged();
+    });
+    this.updateControls();
+
+    // Initialize socket connection
+    if (this.options.autoConnect) {
+      this.connect();
+    }
+  }
+
+  getContainer() {
+    if (typeof this.options.container === 'string') {
+      return document.querySelector(this.options.container);
+    }
+    return this.options.container;
+  }
+
+  connect() {
+    // fMP4 needs Media Source Extensions; without them JPEG frames are requested
+    this.mode = this.options.mode === 'fmp4' && RTSPPlayer.supportsMse() ? 'fmp4' : 'mjpeg';
+    this.wrapper.classList.toggle('fmp4', this.mode === 'fmp4');
+
+    // Initialize Socket.io connection
+    this.socket = this.createSocket({
+      reconnectionAttempts: Infinity,
+      reconnectionDelay: 2000,
+      reconnectionDelayMax: 10000,
+      timeout: 10000,
+      binaryType: 'arraybuffer',
+      query: this.handshakeQuery(),
+      auth: this.options.token ? { token: this.options.token } : {}
+    });
+
+    // Show connecting status
+    this.showStatus('Connecting to stream...');
+    this.updateConnectionStatus('connecting', 'Connecting...');
+
+    // Tell the server how late frames are painted and how many went missing
+    clearInterval(this.latencyTimer);
+    this.latencyTimer = setInterval(() => this.reportLatency(), 2000);
+
+    // Set up socket event handlers
+    this.socket.on('connect', () => {
+      // A new connection numbers its frames from 1 again
+      this.latency.lastSeq = null;
+      if (!this.paused) {
+        this.showStatus('Establishing stream connection...');
+      }
+    });
+
+    // Rejected by the server's auth middleware
+    this.socket.on('connect_error', (err) => {
+      if (err.data && err.data.code === 'UNAUTHORIZED') {
+        this.showStatus('Not authorized to view this stream', true);
+        this.updateConnectionStatus('error', 'Unauthorized');
+      }
+    });
+
+    // Add stream error handler
+    this.socket.on('stream-error', (data) => {
+      this.showStatus(data.error, true);
+      this.emit('stream-error', data);
+
+      // Start checking for stream recovery
+      this.startStreamCheck();
+    });
+
+    // Add stream status handler
+    this.socket.on('stream-status', (data) => {
+      // Follow the pipeline this viewer is fed from: the MJPEG one or the fMP4 output;
+      // while paused it shows the last frame, whatever the stream does
+      if ((data.output === 'fmp4') !== (this.mode === 'fmp4') || this.paused) return;
+
+      if (data.status === 'stopped') {
+        this.showStatus('Stream stopped. Attempting to reconnect...', true);
+        this.startStreamCheck();
+      } else if (data.status === 'started') {
+        // Wait for first frame before hiding status
+        this.showStatus('Stream connected, waiting for video...');
+      } else if (data.status === 'stalled') {
+        this.showStatus('Stream stalled. Restarting...', true);
+      }
+
+      // Retry state from the server's reconnection state machine
+      this.showRetryStatus(data);
+    });
+
+    // Add stream check method
+    this.startStreamCheck = () => {
+      if (this.streamCheckInterval) {
+        clearInterval(this.streamCheckInterval);
+      }
+
+      this.streamCheckInterval = setInterval(() => {
+        if (this.paused) return;
+        if (this.frameCount === 0 || Date.now() - this.lastFrameTime > 5000) {
+          this.showStatus('Stream not responding. Attempting to reconnect...', true);
+
+          // Emit reconnect request
+          this.socket.emit('stream-reconnect');
+        }
+      }, 5000);
+    };
+
+    // Track last frame time
+    this.lastFrameTime = Date.now();
+
+    // Handle stream data with timeout detection and frame validation
+    this.socket.on('stream', async (data, meta) => {
+      if (this.paused) return; // Sent before the server got the pause
+      const arrivedAt = performance.now();
+      this.trackSequence(meta);
+
+      // Skip if we're still processing a frame to prevent backlog
+      if (this.processingFrame) {
+        this.skippedFrames++;
+        return;
+      }
+
+      // Set a flag to indicate we're processing a frame
+      this.processingFrame = true;
+
+      // Set a timeout to prevent hanging on a single frame
+      this.frameTimeout = setTimeout(() => {
+        this.processingFrame = false;
+        console.debug('Frame processing timed out');
+      }, 500); // 500ms timeout
+
+      try {
+        const blob = new Blob([data], {type: 'image/jpeg'});
+
+        // Validate frame data before processing
+        if (blob.size < 100) { // Minimum size for a valid JPEG
+          throw new Error('Invalid frame data: too small');
+        }
+
+        const decodeStart = performance.now();
+        const imageBitmap = await createImageBitmap(blob).catch(e => {
+          throw new Error('Failed to decode image: ' + e.message);
+        });
+        const paintStart = performance.now();
+
+        // Draw to offscreen canvas first
+        this.offscreenCtx.drawImage(imageBitmap, 0, 0, this.canvasWidth, this.canvasHeight);
+
+        // Only after successful drawing to offscreen, copy to visible canvas
+        this.ctx.drawImage(this.offscreenCanvas, 0, 0);
+        this.addLatencySample(meta, arrivedAt, paintStart - decodeStart, performance.now() - paintStart);
+        if (this.options.latencyOverlay) {
+          this.drawLatencyOverlay();
+        }
+
+        // Store this as the last valid frame
+        this.lastValidFrame = imageBitmap;
+
+        imageBitmap.close();
+
+        this.frameCount++;
+        this.lastFrameTime = Date.now();
+
+        // Clear stream check on successful frame
+        if (this.streamCheckInterval && this.frameCount > 1) {
+          clearInterval(this.streamCheckInterval);
+          this.streamCheckInterval = null;
+        }
+
+        this.hideStatus();
+        this.handleSuccessfulConnection();
+      } catch (error) {
+        // Log the error but don't show to user
+        console.debug('Frame processing error:', error.message);
+
+        // If we have a last valid frame, use it instead
+        if (this.lastValidFrame && !this.lastValidFrame.closed) {
+          try {
+            // Redraw the last valid frame to maintain a stable image
+            this.ctx.drawImage(this.lastValidFrame, 0, 0, this.canvasWidth, this.canvasHeight);
+          } catch (e) {
+            // If even this fails, the lastValidFrame might be invalid
+            this.lastValidFrame = null;
+          }
+        }
+      } finally {
+        // Clear the timeout and reset processing flag
+        if (this.frameTimeout) {
+          clearTimeout(this.frameTimeout);
+          this.frameTimeout = null;
+        }
+        this.processingFrame = false;
+      }
+    });
+
+    // Handle configuration
+    this.socket.on('config', config => this.handleConfig(config));
+
+    // H.264 passthrough: every init segment (re)starts Media Source playback
+    this.socket.on('fmp4-init', data => this.startMse(data));
+    this.socket.on('fmp4-fragment', data => this.appendFragment(data));
+    this.socket.on('fmp4-unsupported', () => this.fallbackToMjpeg());
+
+    // Highlight the feed while the server detects motion
+    this.socket.on('motion', (data) => {
+      this.wrapper.classList.toggle('motion', data.state === 'start');
+      if (this.onMotion) {
+        this.onMotion(data);
+      }
+      this.emit('motion', data);
+    });
+  }
+
+  createSocket(socketOptions) {
+    const io = this.options.io || RTSPPlayer.io || globalThis.io;
+    if (typeof io !== 'function') {
+      throw new Error('socket.io client not found; load /socket.io/socket.io.js or pass the io option');
+    }
+    if (this.options.socketPath) {
+      socketOptions.path = this.options.socketPath;
+    }
+    return this.options.url ? io(this.options.url, socketOptions) : io(socketOptions);
+  }
+
+  disconnect() {
+    this.stopMse();
+    if (this.latencyTimer) {
+      clearInterval(this.latencyTimer);
+      this.latencyTimer = null;
+    }
+    if (this.streamCheckInterval) {
+      clearInterval(this.streamCheckInterval);
+      this.streamCheckInterval = null;
+    }
+    if (this.retryCountdown) {
+      clearInterval(this.retryCountdown);
+      this.retryCountdown = null;
+    }
+    if (this.socket) {
+      this.socket.disconnect();
+      this.socket = null;
+      this.updateConnectionStatus('disconnected', 'Disconnected');
+    }
+  }
+
+  showStatus(message, isError = false) {
+    if (!this.statusEl) return;
+
+    // Create status content with appropriate styling
+    const statusContent = isError
+      ? `<div class="rtsp-player-status-content error">
+           <span class="rtsp-player-status-icon">⚠️</span>
+           <span class="rtsp-player-status-message">${message}</span>
+         </div>`
+      : `<div class="rtsp-player-status-content">
+           <span class="rtsp-player-spinner"></span>
+           <span class="rtsp-player-status-message">${message}</span>
+         </div>`;
+
+    this.statusEl.innerHTML = statusContent;
+    this.statusEl.classList.add('visible');
+
+    // Add error class for styling
+    if (isError) {
+      this.statusEl.classList.add('error');
+    } else {
+      this.statusEl.classList.remove('error');
+    }
+  }
+
+  // Count down to the server's next retry, e.g. "retrying in 20s (attempt 4)"
+  showRetryStatus(data) {
+    if (this.retryCountdown) {
+      clearInterval(this.retryCountdown);
+      this.retryCountdown = null;
+    }
+    if (data.status !== 'backoff' && data.status !== 'failed') return;
+
+    const retryAt = Date.now() + (data.retryIn || 0);
+    const render = () => {
+      const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+      const message = data.status === 'failed'
+        ? 'Stream unavailable after ' + data.attempt + ' attempts. Next try in ' + seconds + 's'
+        : 'Stream unavailable, retrying in ' + seconds + 's (attempt ' + (data.attempt + 1) + ' of ' + data.maxAttempts + ')';
+      this.showStatus(message, true);
+      if (seconds === 0 && this.retryCountdown) {
+        clearInterval(this.retryCountdown);
+        this.retryCountdown = null;
+      }
+    };
+    render();
+    this.retryCountdown = setInterval(render, 1000);
+  }
+
+  hideStatus() {
+    if (!this.statusEl) return;
+    if (this.statusEl.classList.contains('visible')) {
+      this.statusEl.classList.remove('visible');
+    }
+  }
+
+  updateConnectionStatus(status, message) {
+    // Every frame confirms 'connected'; only changes are reported
+    if (status === this.connectionStatus && message === this.connectionMessage) return;
+    this.connectionStatus = status;
+    this.connectionMessage = message;
+
+    // Emit status change event
+    if (this.onStatusChange) {
+      this.onStatusChange(status, message);
+    }
+    this.emit('status', { status, message });
+  }
+
+  // Dispatch a player event; listeners get the data as `event.detail`
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  // The stream's config arrived, on connect or after a change
+  handleConfig(config) {
+    this.currentConfig = config;
+
+    // Parse resolution for canvas sizing
+    if (config.resolution) {
+      const [width, height] = config.resolution.split('x').map(Number);
+      if (width && height) {
+        this.updateCanvasSize(width, height);
+      }
+    }
+
+    this.updatePtzControls(config);
+    this.emit('config', { config });
+  }
+
+  // Send config changes to the server (admin only); RTSPConfigPanel is a form for this.
+  // Resolves with the new config once the server streams with it; rejects when the
+  // server kept the old one, with the server's `code` and field `errors` on the error
+  applyConfig(newConfig) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(new Error('Not connected'));
+        return;
+      }
+      this.showStatus('Applying configuration changes...');
+      this.socket.timeout(CONFIG_ACK_TIMEOUT).emit('update-config', newConfig, (err, result) => {
+        this.settleConfigChange(err ? null : result, resolve, reject);
+      });
+    });
+  }
+
+  // Go back to the config the stream was registered with; settles like applyConfig()
+  resetConfig() {
+    this.showStatus('Resetting to default configuration...');
+
+    return new Promise((resolve, reject) => {
+      fetch(this.apiUrl('/config/reset'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.authHeaders()
+        }
+      })
+      .then(response => response.json())
+      .catch(() => null)
+      .then(result => this.settleConfigChange(result, resolve, reject));
+    });
+  }
+
+  // The server answers config changes once they worked or were rolled back
+  settleConfigChange(result, resolve, reject) {
+    if (result && result.success) {
+      this.hideStatus();
+      resolve(result.config);
+      return;
+    }
+
+    const error = new Error(result ? result.error : 'No answer from the server');
+    if (result) {
+      error.code = result.code;
+      error.errors = result.errors;
+    }
+    this.showStatus('Configuration not applied: ' + error.message, true);
+    reject(error);
+  }
+
+  async getStats() {
+    try {
+      const response = await fetch(this.apiUrl('/stats'), {
+        headers: this.authHeaders()
+      });
+      if (!response.ok) {
+        throw new Error('Failed to fetch stats');
+      }
+      const stats = await response.json();
+
+      // Add client-side frame count to the stats
+      stats.clientFrameCount = this.frameCount;
+      stats.skippedFrames = this.skippedFrames || 0;
+
+      return stats;
+    } catch (error) {
+      console.error('Error fetching stats:', error);
+      return { error: error.message };
+    }
+  }
+
+  // Whether this browser can play fMP4 at all; the codec is checked once it is known
+  static supportsMse() {
+    return typeof window.MediaSource === 'function';
+  }
+
+  startMse({ mimeType, data }) {
+    this.stopMse();
+    if (!MediaSource.isTypeSupported(mimeType)) {
+      this.fallbackToMjpeg();
+      return;
+    }
+
+    const mediaSource = new MediaSource();
+    const mse = { mediaSource, sourceBuffer: null, queue: [data] };
+    this.mse = mse;
+    this.video.src = URL.createObjectURL(mediaSource);
+
+    mediaSource.addEventListener('sourceopen', () => {
+      URL.revokeObjectURL(this.video.src);
+      if (this.mse !== mse) return;
+
+      mse.sourceBuffer = mediaSource.addSourceBuffer(mimeType);
+      mse.sourceBuffer.mode = 'segments';
+      mse.sourceBuffer.addEventListener('updateend', () => this.flushMse());
+      this.flushMse();
+    }, { once: true });
+  }
+
+  appendFragment(data) {
+    if (!this.mse || this.paused) return;
+    this.mse.queue.push(data);
+    this.flushMse();
+
+    this.frameCount++;
+    this.lastFrameTime = Date.now();
+    if (this.streamCheckInterval && this.frameCount > 1) {
+      clearInterval(this.streamCheckInterval);
+      this.streamCheckInterval = null;
+    }
+    this.hideStatus();
+    this.handleSuccessfulConnection();
+  }
+
+  // Append queued segments one at a time, stay near the live edge and drop old media
+  flushMse() {
+    const mse = this.mse;
+    if (!mse || !mse.sourceBuffer || mse.sourceBuffer.updating) return;
+
+    const buffered = this.video.buffered;
+    if (buffered.length > 0) {
+      const end = buffered.end(buffered.length - 1);
+      if (end - this.video.currentTime > 1.5) {
+        this.video.currentTime = end - 0.2;
+      }
+      if (this.video.currentTime - buffered.start(0) > 30) {
+        mse.sourceBuffer.remove(buffered.start(0), this.video.currentTime - 10);
+        return; // Continues on 'updateend'
+      }
+    }
+
+    if (mse.queue.length === 0) return;
+    try {
+      mse.sourceBuffer.appendBuffer(mse.queue.shift());
+    } catch (error) {
+      console.debug('Failed to append fMP4 segment:', error.message);
+    }
+    if (this.video.paused) {
+      this.video.play().catch(() => {});
+    }
+  }
+
+  stopMse() {
+    if (!this.mse) return;
+    const { mediaSource } = this.mse;
+    this.mse = null;
+    if (mediaSource.readyState === 'open') {
+      try {
+        mediaSource.endOfStream();
+      } catch (e) {
+        // Already ending
+      }
+    }
+    this.video.removeAttribute('src');
+    this.video.load();
+  }
+
+  // The browser cannot play the camera's codec, or the camera does not send
+  // H.264; switch this socket to JPEG frames
+  fallbackToMjpeg() {
+    this.stopMse();
+    this.mode = 'mjpeg';
+    this.wrapper.classList.remove('fmp4');
+    this.socket.io.opts.query = this.handshakeQuery();
+    this.socket.emit('stream-mode', 'mjpeg');
+  }
+
+  // Stream and viewer options sent when the socket (re)connects
+  handshakeQuery() {
+    const query = { streamId: this.options.streamId, mode: this.mode, profile: this.options.profile };
+    if (this.options.maxFps) query.maxFps = this.options.maxFps;
+    if (this.paused) query.paused = 'true';
+    return query;
+  }
+
+  // Change this viewer's frame rate limit or profile; other viewers are unaffected
+  setViewerOptions(options) {
+    return new Promise((resolve, reject) => {
+      this.socket.emit('viewer-options', options, (result) => {
+        if (!result.success) {
+          reject(new Error(result.error));
+          return;
+        }
+        this.options.maxFps = result.options.maxFps;
+        this.options.profile = result.options.profile;
+        this.socket.io.opts.query = this.handshakeQuery(); // Keep them across reconnects
+        resolve(result.options);
+      });
+    });
+  }
+
+  // Build a REST URL scoped to this player's stream
+  apiUrl(path) {
+    return (this.options.url || '').replace(/\/+$/, '') + '/api/streams/' + encodeURIComponent(this.options.streamId) + path;
+  }
+
+  // Credentials for REST calls, if a token was given
+  authHeaders() {
+    return this.options.token ? { 'Authorization': 'Bearer ' + this.options.token } : {};
+  }
+
+  // Direction pad, zoom and presets; shown by updatePtzControls()
+  createPtzControls() {
+    const el = document.createElement('div');
+    el.className = 'rtsp-player-ptz';
+    el.innerHTML =
+      '<div class="rtsp-player-ptz-pad">' +
+        '<button type="button" data-pan="0" data-tilt="1" title="Tilt up">▲</button>' +
+        '<button type="button" data-pan="-1" data-tilt="0" title="Pan left">◀</button>' +
+        '<button type="button" data-pan="1" data-tilt="0" title="Pan right">▶</button>' +
+        '<button type="button" data-pan="0" data-tilt="-1" title="Tilt down">▼</button>' +
+        '<button type="button" data-zoom="1" title="Zoom in">+</button>' +
+        '<button type="button" data-zoom="-1" title="Zoom out">−</button>' +
+      '</div>' +
+      '<div class="rtsp-player-ptz-presets">' +
+        '<select></select>' +
+        '<button type="button" data-action="goto" title="Go to preset">Go</button>' +
+        '<button type="button" data-action="save" title="Save the current position as a preset">Save</button>' +
+      '</div>' +
+      '<div class="rtsp-player-ptz-message"></div>';
+
+    this.ptzEl = el;
+    this.ptzPresetSelect = el.querySelector('select');
+    this.ptzMessage = el.querySelector('.rtsp-player-ptz-message');
+
+    // Move while a button is held; the server stops the camera on release
+    el.querySelectorAll('.rtsp-player-ptz-pad button').forEach((button) => {
+      const speed = this.options.ptzSpeed;
+      button.addEventListener('pointerdown', (event) => {
+        this.ptz({
+          action: 'move',
+          pan: Number(button.dataset.pan || 0) * speed,
+          tilt: Number(button.dataset.tilt || 0) * speed,
+          zoom: Number(button.dataset.zoom || 0) * speed,
+          timeout: 10
+        }).catch(() => {});
+        button.setPointerCapture(event.pointerId); // Release still arrives if the pointer slides off
+      });
+      ['pointerup', 'pointercancel'].forEach((type) => {
+        button.addEventListener(type, () => this.ptz({ action: 'stop' }).catch(() => {}));
+      });
+    });
+
+    el.querySelector('[data-action="goto"]').addEventListener('click', () => {
+      const preset = this.ptzPresetSelect.value;
+      if (preset) this.ptz({ action: 'goto-preset', preset }).catch(() => {});
+    });
+    el.querySelector('[data-action="save"]').addEventListener('click', () => {
+      const name = window.prompt('Preset name');
+      if (name) this.savePtzPreset(name).catch(() => {});
+    });
+
+    return el;
+  }
+
+  // Show the controls for streams with an ONVIF device service
+  updatePtzControls(config) {
+    const enabled = !!(this.options.ptzControls && config.onvif && config.onvif.url);
+    const wasEnabled = this.wrapper.classList.contains('ptz');
+    this.wrapper.classList.toggle('ptz', enabled);
+    if (enabled && !wasEnabled) {
+      this.loadPtzPresets().catch(() => {});
+    }
+  }
+
+  // Send a PTZ command (admin only); resolves with the server's result
+  ptz(command) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(new Error('Not connected'));
+        return;
+      }
+      this.socket.emit('ptz', command, (result) => {
+        if (!result || !result.success) {
+          const error = new Error(result ? result.error : 'PTZ command failed');
+          this.ptzMessage.textContent = error.message;
+          reject(error);
+          return;
+        }
+        this.ptzMessage.textContent = '';
+        resolve(result);
+      });
+    });
+  }
+
+  // Fill the preset list; viewers without the admin role may read it too
+  async loadPtzPresets() {
+    const response = await fetch(this.apiUrl('/ptz/presets'), { headers: this.authHeaders() });
+    const result = await response.json();
+    if (!result.success) {
+      this.ptzMessage.textContent = result.error;
+      throw new Error(result.error);
+    }
+
+    this.ptzPresetSelect.innerHTML = '';
+    result.presets.forEach(({ token, name }) => {
+      const option = document.createElement('option');
+      option.value = token;
+      option.textContent = name;
+      this.ptzPresetSelect.appendChild(option);
+    });
+    return result.presets;
+  }
+
+  async savePtzPreset(name) {
+    const result = await this.ptz({ action: 'save-preset', name });
+    await this.loadPtzPresets();
+    this.ptzPresetSelect.value = result.preset.token;
+    return result.preset;
+  }
+
+  // Point the camera at the clicked spot; the rectangle is the zoomed picture's, so zoom needs no extra math
+  centerOn(event) {
+    if (!this.wrapper.classList.contains('ptz') || this.viewDragged) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    if (!rect.width || !rect.height) return;
+
+    const x = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    const y = Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height));
+    this.ptz({ action: 'center', x, y }).catch(() => {});
+  }
+
+  // ===== CONTROLS =====
+  // Control bar over the picture; everything it does is also a method
+  createControls() {
+    const el = document.createElement('div');
+    el.className = 'rtsp-player-controls';
+    el.innerHTML =
+      '<button type="button" data-action="pause" title="Pause">❚❚</button>' +
+      '<button type="button" data-action="snapshot" title="Download a snapshot">📷</button>' +
+      '<button type="button" data-action="record" title="Record in the browser">●</button>' +
+      '<button type="button" data-action="zoom" title="Reset zoom">1×</button>' +
+      '<button type="button" data-action="masks" title="Edit privacy masks">▦</button>' +
+      '<button type="button" data-action="fullscreen" title="Fullscreen">⛶</button>';
+
+    this.controlsEl = el;
+    const report = promise => promise.catch(error => this.showStatus(error.message, true));
+    const actions = {
+      pause: () => report(this.togglePause()),
+      snapshot: () => report(this.snapshot({ download: true })),
+      record: () => report(this.localRecording
+        ? this.stopRecording({ download: true })
+        : new Promise(resolve => resolve(this.startRecording()))),
+      zoom: () => this.resetZoom(),
+      masks: () => this.editPrivacyMasks(),
+      fullscreen: () => report(this.toggleFullscreen())
+    };
+    el.querySelectorAll('button').forEach((button) => {
+      button.addEventListener('click', actions[button.dataset.action]);
+    });
+
+    return el;
+  }
+
+  // Show or hide the bar as `options.controls` says, and match its buttons to the state
+  updateControls() {
+    this.wrapper.classList.toggle('controls', !!this.options.controls);
+    this.wrapper.classList.toggle('paused', this.paused);
+    this.wrapper.classList.toggle('recording', !!this.localRecording);
+    this.wrapper.classList.toggle('zoomed', this.view.zoom > 1);
+
+    const button = action => this.controlsEl.querySelector('[data-action="' + action + '"]');
+    button('pause').textContent = this.paused ? '▶' : '❚❚';
+    button('pause').title = this.paused ? 'Resume' : 'Pause';
+    button('record').title = this.localRecording ? 'Stop recording and download it' : 'Record in the browser';
+    button('zoom').textContent = this.view.zoom.toFixed(1) + '×';
+    button('zoom').hidden = this.view.zoom === 1;
+    button('masks').hidden = !this.options.maskEditor;
+    button('fullscreen').title = this.fullscreen ? 'Exit fullscreen' : 'Fullscreen';
+  }
+
+  getPlaybackState() {
+    return {
+      paused: this.paused,
+      fullscreen: this.fullscreen,
+      zoom: { ...this.view },
+      recording: !!this.localRecording
+    };
+  }
+
+  playbackChanged() {
+    this.updateControls();
+    this.emit('playback', this.getPlaybackState());
+  }
+
+  // Stop or restart frame delivery to this viewer; the picture keeps its last frame.
+  // Other viewers are unaffected, and ffmpeg stops once nobody else watches.
+  pause() {
+    return this.setPaused(true);
+  }
+
+  resume() {
+    return this.setPaused(false);
+  }
+
+  togglePause() {
+    return this.setPaused(!this.paused);
+  }
+
+  setPaused(paused) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(new Error('Not connected'));
+        return;
+      }
+      if (paused === this.paused) {
+        resolve(paused);
+        return;
+      }
+
+      this.paused = paused;
+      this.socket.io.opts.query = this.handshakeQuery(); // Stay paused across reconnects
+      if (paused) {
+        this.hideStatus();
+        this.video.pause();
+      } else {
+        this.showStatus('Resuming stream...');
+      }
+      this.playbackChanged();
+
+      this.socket.emit(paused ? 'pause' : 'resume', (result) => {
+        if (!result || !result.success) {
+          reject(new Error(result ? result.error : 'Failed to change playback'));
+          return;
+        }
+        resolve(result.paused);
+      });
+    });
+  }
+
+  get fullscreen() {
+    const root = this.wrapper.getRootNode(); // The document, or the shadow root of <rtsp-player>
+    return !!root.fullscreenElement && root.fullscreenElement === this.wrapper;
+  }
+
+  toggleFullscreen(show = !this.fullscreen) {
+    if (show === this.fullscreen) return Promise.resolve();
+    return show ? this.wrapper.requestFullscreen() : document.exitFullscreen();
+  }
+
+  // The current frame at the stream's resolution, without zoom or overlays
+  snapshot({ format = this.options.snapshotFormat, quality = 0.92, download = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const type = SNAPSHOT_TYPES[format];
+      if (!type) {
+        reject(new Error('Snapshot format must be png or jpeg'));
+        return;
+      }
+
+      let source = this.offscreenCanvas;
+      if (this.mode === 'fmp4') {
+        source = document.createElement('canvas');
+        source.width = this.video.videoWidth;
+        source.height = this.video.videoHeight;
+        if (source.width) {
+          source.getContext('2d').drawImage(this.video, 0, 0);
+        }
+      }
+      if (this.frameCount === 0 || !source.width) {
+        reject(new Error('No picture to take a snapshot of yet'));
+        return;
+      }
+
+      source.toBlob((blob) => {
+        if (!blob) {
+          reject(new Error('Failed to encode the snapshot'));
+          return;
+        }
+        if (download) {
+          downloadBlob(blob, this.fileName(format === 'jpeg' ? 'jpg' : 'png'));
+        }
+        resolve(blob);
+      }, type, quality);
+    });
+  }
+
+  // Record what the player shows into WebM, in the browser; stopRecording() returns it
+  startRecording() {
+    if (this.localRecording) return;
+    if (typeof MediaRecorder !== 'function') {
+      throw new Error('Recording is not supported in this browser');
+    }
+
+    const source = this.mode === 'fmp4' ? this.video : this.canvas;
+    const capture = source.captureStream || source.mozCaptureStream;
+    if (!capture) {
+      throw new Error('Recording is not supported in this browser');
+    }
+    const mediaStream = capture.call(source);
+    const mimeType = RECORDING_TYPES.find(candidate => MediaRecorder.isTypeSupported(candidate));
+    const recorder = new MediaRecorder(mediaStream, mimeType ? { mimeType } : {});
+
+    const chunks = [];
+    recorder.addEventListener('dataavailable', (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    });
+    const done = new Promise((resolve) => {
+      recorder.addEventListener('stop', () => {
+        mediaStream.getTracks().forEach(track => track.stop());
+        resolve(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }));
+      }, { once: true });
+    });
+
+    recorder.start(1000); // Collect a chunk per second rather than one buffer for the whole recording
+    this.localRecording = { recorder, done };
+    this.playbackChanged();
+  }
+
+  // Resolves with the WebM recording
+  stopRecording({ download = false } = {}) {
+    if (!this.localRecording) {
+      return Promise.reject(new Error('Not recording'));
+    }
+
+    const { recorder, done } = this.localRecording;
+    this.localRecording = null;
+    recorder.stop();
+    this.playbackChanged();
+    return done.then((blob) => {
+      if (download) {
+        downloadBlob(blob, this.fileName('webm'));
+      }
+      return blob;
+    });
+  }
+
+  // e.g. lobby-2026-10-19T08-00-00-000Z.png
+  fileName(extension) {
+    return this.options.streamId + '-' + new Date().toISOString().replace(/[:.]/g, '-') + '.' + extension;
+  }
+
+  // ===== DIGITAL ZOOM =====
+  // Wheel and pinch zoom into the picture and dragging pans it, in the browser
+  // only; ptz() moves the camera itself. The canvas and video are scaled from
+  // their top left corner, then shifted so the view's corner is there.
+
+  bindViewGestures() {
+    const onPicture = target => target === this.canvas || target === this.video;
+
+    this.wrapper.addEventListener('wheel', (event) => {
+      if (!onPicture(event.target)) return;
+      event.preventDefault();
+      const [x, y] = this.viewPoint(event);
+      this.setZoom(this.view.zoom * Math.exp(-event.deltaY * WHEEL_ZOOM_SPEED), x, y);
+    }, { passive: false });
+
+    this.wrapper.addEventListener('pointerdown', (event) => {
+      if (!onPicture(event.target)) return;
+      if (this.pointers.size === 0) {
+        this.viewDragged = false;
+      }
+      this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY, startX: event.clientX, startY: event.clientY });
+    });
+
+    this.wrapper.addEventListener('pointermove', (event) => {
+      const pointer = this.pointers.get(event.pointerId);
+      if (!pointer) return;
+
+      if (!this.viewDragged && Math.hypot(event.clientX - pointer.startX, event.clientY - pointer.startY) > DRAG_THRESHOLD) {
+        // From here on it is a gesture; capturing also keeps the release from being a click
+        this.viewDragged = true;
+        this.wrapper.setPointerCapture(event.pointerId);
+      }
+      if (this.viewDragged) {
+        const rect = this.wrapper.getBoundingClientRect();
+        const other = [...this.pointers].find(([id]) => id !== event.pointerId);
+        if (other) {
+          // Pinch: zoom by the change in distance, around the point between the fingers
+          const [, second] = other;
+          const before = Math.hypot(pointer.x - second.x, pointer.y - second.y);
+          const after = Math.hypot(event.clientX - second.x, event.clientY - second.y);
+          const [x, y] = this.viewPoint({ clientX: (event.clientX + second.x) / 2, clientY: (event.clientY + second.y) / 2 });
+          if (before > 0) {
+            this.setZoom(this.view.zoom * after / before, x, y);
+          }
+        } else if (rect.width && rect.height) {
+          this.panBy((pointer.x - event.clientX) / rect.width, (pointer.y - event.clientY) / rect.height);
+        }
+      }
+      pointer.x = event.clientX;
+      pointer.y = event.clientY;
+    });
+
+    ['pointerup', 'pointercancel'].forEach((type) => {
+      this.wrapper.addEventListener(type, event => this.pointers.delete(event.pointerId));
+    });
+  }
+
+  // Position of a pointer event in the view, as fractions
+  viewPoint({ clientX, clientY }) {
+    const rect = this.wrapper.getBoundingClientRect();
+    if (!rect.width || !rect.height) return [0.5, 0.5];
+    return [(clientX - rect.left) / rect.width, (clientY - rect.top) / rect.height];
+  }
+
+  // Zoom to `zoom` (1-8), keeping the point at (x, y) of the view in place
+  setZoom(zoom, x = 0.5, y = 0.5) {
+    const { view } = this;
+    const next = Math.min(MAX_ZOOM, Math.max(1, zoom));
+    const frameX = view.x + x / view.zoom;
+    const frameY = view.y + y / view.zoom;
+    this.updateView(next, frameX - x / next, frameY - y / next);
+  }
+
+  // Move the view by fractions of its size
+  panBy(dx, dy) {
+    const { view } = this;
+    this.updateView(view.zoom, view.x + dx / view.zoom, view.y + dy / view.zoom);
+  }
+
+  resetZoom() {
+    this.updateView(1, 0, 0);
+  }
+
+  updateView(zoom, x, y) {
+    const max = 1 - 1 / zoom;
+    const clamp = value => Math.min(max, Math.max(0, value));
+    this.view = { zoom, x: clamp(x), y: clamp(y) };
+
+    const transform = zoom === 1
+      ? ''
+      : 'scale(' + zoom + ') translate(' + (-this.view.x * 100) + '%, ' + (-this.view.y * 100) + '%)';
+    this.canvas.style.transform = transform;
+    this.video.style.transform = transform;
+    this.playbackChanged();
+  }
+
+  // ===== PRIVACY MASK EDITOR =====
+  // Draw rectangles over the picture and save them as the stream's
+  // `privacyMasks`. The server burns masks into the video before it leaves,
+  // so what the editor shows is already masked. Polygon masks set through the
+  // API are kept as they are; the editor only draws and deletes rectangles.
+
+  createMaskEditor() {
+    const el = document.createElement('div');
+    el.className = 'rtsp-player-mask-editor';
+    el.innerHTML =
+      '<div class="rtsp-player-mask-layer"></div>' +
+      '<div class="rtsp-player-mask-toolbar">' +
+        '<span class="rtsp-player-mask-message"></span>' +
+        '<button type="button" data-action="clear">Clear</button>' +
+        '<button type="button" data-action="cancel">Cancel</button>' +
+        '<button type="button" data-action="save">Save masks</button>' +
+      '</div>';
+
+    this.maskLayer = el.querySelector('.rtsp-player-mask-layer');
+    this.maskMessage = el.querySelector('.rtsp-player-mask-message');
+    el.querySelector('[data-action="clear"]').addEventListener('click', () => {
+      this.maskDraft = [];
+      this.renderMasks();
+    });
+    el.querySelector('[data-action="cancel"]').addEventListener('click', () => this.closeMaskEditor());
+    el.querySelector('[data-action="save"]').addEventListener('click', () => this.savePrivacyMasks().catch(() => {}));
+
+    // Drag on the picture to draw a rectangle
+    let start = null;
+    let drawing = null;
+    const rectFrom = (event) => {
+      const [x, y] = this.maskPoint(event);
+      return {
+        x: Math.min(start[0], x),
+        y: Math.min(start[1], y),
+        width: Math.abs(x - start[0]),
+        height: Math.abs(y - start[1])
+      };
+    };
+    this.maskLayer.addEventListener('pointerdown', (event) => {
+      if (event.target !== this.maskLayer) return; // A mask's delete button
+      start = this.maskPoint(event);
+      drawing = this.createMaskElement(null);
+      this.maskLayer.setPointerCapture(event.pointerId);
+    });
+    this.maskLayer.addEventListener('pointermove', (event) => {
+      if (drawing) this.placeMaskElement(drawing, rectFrom(event));
+    });
+    ['pointerup', 'pointercancel'].forEach((type) => {
+      this.maskLayer.addEventListener(type, (event) => {
+        if (!drawing) return;
+        const rect = rectFrom(event);
+        drawing = null;
+        if (type === 'pointerup' && rect.width >= MIN_MASK_SIZE && rect.height >= MIN_MASK_SIZE) {
+          this.maskDraft.push(rect);
+        }
+        this.renderMasks();
+      });
+    });
+
+    return el;
+  }
+
+  get editingMasks() {
+    return this.maskDraft !== null;
+  }
+
+  // Open the editor with the stream's rectangle masks; zoom is reset, since masks cover the whole frame
+  editPrivacyMasks() {
+    this.resetZoom();
+    this.maskDraft = (this.currentConfig.privacyMasks || [])
+      .filter(mask => !mask.points)
+      .map(({ x, y, width, height }) => ({ x, y, width, height }));
+    this.wrapper.classList.add('editing-masks');
+    this.renderMasks();
+  }
+
+  closeMaskEditor() {
+    this.maskDraft = null;
+    this.wrapper.classList.remove('editing-masks');
+    this.maskLayer.innerHTML = '';
+  }
+
+  // Save the drawn rectangles (admin only); settles like applyConfig() and closes the editor once applied
+  savePrivacyMasks() {
+    if (!this.editingMasks) {
+      return Promise.reject(new Error('The privacy mask editor is not open'));
+    }
+
+    const polygons = (this.currentConfig.privacyMasks || []).filter(mask => mask.points);
+    this.maskMessage.textContent = 'Saving...';
+    return this.applyConfig({ privacyMasks: [...polygons, ...this.maskDraft.map(roundMask)] })
+      .then((config) => {
+        this.closeMaskEditor();
+        return config;
+      }, (error) => {
+        this.maskMessage.textContent = error.errors && error.errors.length ? error.errors[0].message : error.message;
+        throw error;
+      });
+  }
+
+  // Draw the current rectangles, each with a button that deletes it
+  renderMasks() {
+    this.placeMaskLayer();
+    this.maskLayer.innerHTML = '';
+    this.maskDraft.forEach((mask, i) => {
+      const el = this.createMaskElement(mask);
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.title = 'Delete this mask';
+      remove.textContent = '×';
+      remove.addEventListener('click', () => {
+        this.maskDraft.splice(i, 1);
+        this.renderMasks();
+      });
+      el.appendChild(remove);
+    });
+
+    const polygons = (this.currentConfig.privacyMasks || []).filter(mask => mask.points).length;
+    this.maskMessage.textContent = 'Drag over the picture to mask an area' +
+      (polygons ? ' (' + polygons + ' polygon mask' + (polygons === 1 ? '' : 's') + ' kept)' : '');
+  }
+
+  createMaskElement(mask) {
+    const el = document.createElement('div');
+    el.className = 'rtsp-player-mask';
+    if (mask) this.placeMaskElement(el, mask);
+    this.maskLayer.appendChild(el);
+    return el;
+  }
+
+  placeMaskElement(el, { x, y, width, height }) {
+    el.style.left = x * 100 + '%';
+    el.style.top = y * 100 + '%';
+    el.style.width = width * 100 + '%';
+    el.style.height = height * 100 + '%';
+  }
+
+  // Lay the drawing layer over the picture itself, without the bars object-fit adds around it
+  placeMaskLayer() {
+    const picture = this.mode === 'fmp4' ? this.video : this.canvas;
+    const width = this.mode === 'fmp4' ? this.video.videoWidth : this.canvas.width;
+    const height = this.mode === 'fmp4' ? this.video.videoHeight : this.canvas.height;
+    const box = this.wrapper.getBoundingClientRect();
+    const rect = picture.getBoundingClientRect();
+    let area = { x: 0, y: 0, width: 1, height: 1 };
+
+    if (box.width && box.height && rect.width && rect.height && width && height
+      && getComputedStyle(picture).objectFit === 'contain') {
+      const scale = Math.min(rect.width / width, rect.height / height);
+      area = {
+        x: (rect.width - width * scale) / 2 / box.width,
+        y: (rect.height - height * scale) / 2 / box.height,
+        width: width * scale / box.width,
+        height: height * scale / box.height
+      };
+    }
+    this.placeMaskElement(this.maskLayer, area);
+  }
+
+  // Position of a pointer event in the frame, as fractions
+  maskPoint({ clientX, clientY }) {
+    const rect = this.maskLayer.getBoundingClientRect();
+    if (!rect.width || !rect.height) return [0, 0];
+    const clamp = value => Math.min(1, Math.max(0, value));
+    return [clamp((clientX - rect.left) / rect.width), clamp((clientY - rect.top) / rect.height)];
+  }
+
+  // Count frames, and gaps in the sequence numbers the server put on them
+  trackSequence(meta) {
+    if (!meta || typeof meta.seq !== 'number') return;
+    const { lastSeq } = this.latency;
+    this.latency.received++;
+    if (lastSeq !== null && meta.seq > lastSeq + 1) {
+      this.latency.lost += meta.seq - lastSeq - 1;
+    }
+    if (lastSeq === null || meta.seq > lastSeq) {
+      this.latency.lastSeq = meta.seq;
+    }
+  }
+
+  // Remember a painted frame's decode and paint time until the next report
+  addLatencySample(meta, arrivedAt, decode, paint) {
+    if (!meta || typeof meta.seq !== 'number') return;
+    const sample = { receivedAt: meta.receivedAt, sentAt: meta.sentAt, decode, paint, arrivedAt };
+    this.latency.last = { seq: meta.seq, decode, paint };
+    this.latency.samples.push(sample);
+    if (this.latency.samples.length > 100) {
+      this.latency.samples.shift();
+    }
+  }
+
+  // Send what was collected since the last report; the server answers with p50/p95 and loss
+  reportLatency() {
+    const { samples, received, lost } = this.latency;
+    if (!this.socket || !this.socket.connected || this.mode !== 'mjpeg' || received === 0) return;
+
+    const now = performance.now();
+    const report = {
+      received,
+      lost,
+      samples: samples.map(({ arrivedAt, ...sample }) => ({ ...sample, held: now - arrivedAt }))
+    };
+    this.latency.samples = [];
+    this.latency.received = 0;
+    this.latency.lost = 0;
+
+    this.socket.emit('latency-report', report, (result) => {
+      if (result && result.success) {
+        this.latency.stats = result.latency;
+      }
+    });
+  }
+
+  // Debug overlay in the top left corner of the canvas
+  drawLatencyOverlay() {
+    const { last, stats } = this.latency;
+    const ms = value => (value === null || value === undefined ? '-' : value.toFixed(1) + ' ms');
+    const lines = [
+      'seq ' + (last ? last.seq : '-') + '  decode ' + ms(last && last.decode) + '  paint ' + ms(last && last.paint),
+      stats
+        ? 'p50 ' + ms(stats.p50) + '  p95 ' + ms(stats.p95) + '  loss ' + stats.loss + '%'
+        : 'waiting for latency report...'
+    ];
+
+    this.ctx.save();
+    this.ctx.font = '12px monospace';
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    this.ctx.fillRect(4, 4, Math.max(...lines.map(line => this.ctx.measureText(line).width)) + 12, lines.length * 16 + 8);
+    this.ctx.fillStyle = '#0f0';
+    lines.forEach((line, i) => this.ctx.fillText(line, 10, 20 + i * 16));
+    this.ctx.restore();
+  }
+
+  setStatusChangeCallback(callback) {
+    this.onStatusChange = callback;
+  }
+
+  // Add this new method to handle successful connections
+  handleSuccessfulConnection() {
+    this.hideStatus();
+    this.updateConnectionStatus('connected', 'Connected');
+  }
+
+  // Update canvas size when resolution changes
+  updateCanvasSize(width, height) {
+    if (!width || !height) return;
+
+    this.canvasWidth = width;
+    this.canvasHeight = height;
+
+    // Update both main and offscreen canvas
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.offscreenCanvas.width = width;
+    this.offscreenCanvas.height = height;
+
+    // Clear both canvases to prevent artifacts
+    this.ctx.fillStyle = '#000';
+    this.ctx.fillRect(0, 0, width, height);
+    this.offscreenCtx.fillStyle = '#000';
+    this.offscreenCtx.fillRect(0, 0, width, height);
+
+    // Reset last valid frame as it may no longer be the right size
+    if (this.lastValidFrame && !this.lastValidFrame.closed) {
+      this.lastValidFrame.close();
+      this.lastValidFrame = null;
+    }
+  }
+}
+
+// socket.io client used by players without an `io` option
+RTSPPlayer.io = null;
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+
+// ===== AUTHENTICATION =====
+// Roles in increasing order of privilege: viewers may watch streams and read
+// stats, admins may also change, reset, add or remove streams.
+const ROLES = ['viewer', 'admin'];
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+function base64UrlDecode(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function hmac(secret, data) {
+  return base64UrlEncode(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+/**
+ * Issue an HS256 signed bearer token (a JWT).
+ *
+ * @param {object} payload Claims; `role` should be 'viewer' or 'admin'
+ * @param {string} secret Shared secret, the server's `auth.jwtSecret`
+ * @param {object} [options]
+ * @param {number} [options.expiresIn] Lifetime in seconds
+ * @returns {string}
+ */
+function signToken(payload, secret, options = {}) {
+  const claims = { ...payload, iat: Math.floor(Date.now() / 1000) };
+  if (options.expiresIn) {
+    claims.exp = claims.iat + options.expiresIn;
+  }
+
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64UrlEncode(JSON.stringify(claims));
+  return `${header}.${body}.${hmac(secret, `${header}.${body}`)}`;
+}
+
+/**
+ * Check an HS256 token's signature and expiry.
+ *
+ * @returns {object|null} The token's claims, or null if it is invalid
+ */
+function verifyToken(token, secret) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, body, signature] = parts;
+  if (!safeEqual(signature, hmac(secret, `${header}.${body}`))) return null;
+
+  try {
+    const { alg } = JSON.parse(base64UrlDecode(header).toString());
+    if (alg !== 'HS256') return null;
+
+    const claims = JSON.parse(base64UrlDecode(body).toString());
+    if (claims.exp !== undefined && Date.now() / 1000 >= claims.exp) return null;
+    return claims;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Resolves credentials to a `{ name, role }` user for REST calls and
+ * socket.io handshakes.
+ *
+ * Auth is disabled, and every caller is treated as an admin, unless at least
+ * one of `tokens`, `jwtSecret` or `verify` is configured.
+ *
+ * @param {object} [options]
+ * @param {Array<{token: string, role: string, name?: string}>} [options.tokens] Static API tokens
+ * @param {string} [options.jwtSecret] Secret for HS256 signed bearer tokens
+ * @param {Function} [options.verify] Custom `(token, context) => user|null`, may be async
+ * @param {string|null} [options.anonymousRole] Role for requests without credentials
+ */
+class Authenticator {
+  constructor(options = {}) {
+    this.tokens = options.tokens || [];
+    this.jwtSecret = options.jwtSecret || null;
+    this.verify = options.verify || null;
+    this.anonymousRole = options.anonymousRole || null;
+    this.enabled = this.tokens.length > 0 || !!this.jwtSecret || !!this.verify;
+
+    for (const entry of this.tokens) {
+      if (!ROLES.includes(entry.role)) {
+        throw new Error(`Unknown role for API token ${entry.name || ''}: ${entry.role}`);
+      }
+    }
+  }
+
+  // Resolve a token to a user, or null if it is not accepted
+  async authenticate(token, context = {}) {
+    if (!this.enabled) {
+      return { name: 'anonymous', role: 'admin' };
+    }
+
+    if (!token) {
+      return this.anonymousRole ? { name: 'anonymous', role: this.anonymousRole } : null;
+    }
+
+    const entry = this.tokens.find(candidate => safeEqual(candidate.token, token));
+    if (entry) {
+      return { name: entry.name || 'api-token', role: entry.role };
+    }
+
+    if (this.jwtSecret) {
+      const claims = verifyToken(token, this.jwtSecret);
+      if (claims && ROLES.includes(claims.role)) {
+        return { name: claims.sub || 'bearer', role: claims.role };
+      }
+    }
+
+    if (this.verify) {
+      const user = await this.verify(token, context);
+      if (user && ROLES.includes(user.role)) {
+        return { name: user.name || 'custom', role: user.role };
+      }
+    }
+
+    return null;
+  }
+
+  // Whether `user` holds at least `role`
+  hasRole(user, role) {
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+
+  // Express middleware that requires `role`; the user ends up on `req.user`
+  requireRole(role) {
+    return (req, res, next) => {
+      this.authenticate(tokenFromRequest(req), { req }).then((user) => {
+        if (!user) {
+          return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+        if (!this.hasRole(user, role)) {
+          return res.status(403).json({ success: false, error: `${role} role required` });
+        }
+        req.user = user;
+        next();
+      }).catch(next);
+    };
+  }
+
+  // socket.io middleware; the user ends up on `socket.data.user`
+  socketMiddleware() {
+    return (socket, next) => {
+      this.authenticate(tokenFromHandshake(socket.handshake), { socket }).then((user) => {
+        if (!user) {
+          const err = new Error('Authentication required');
+          err.data = { code: 'UNAUTHORIZED' };
+          return next(err);
+        }
+        socket.data.user = user;
+        next();
+      }).catch(next);
+    };
+  }
+}
+
+// Credentials come from `Authorization: Bearer`, `X-API-Key` or `?access_token=`
+function tokenFromRequest(req) {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.headers['x-api-key'] || (req.query && req.query.access_token) || null;
+}
+
+// socket.io clients pass `auth: { token }`; headers and query work as well
+function tokenFromHandshake(handshake) {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+  return tokenFromRequest({ headers: handshake.headers, query: handshake.query });
+}
+
+module.exports = {
+  Authenticator,
+  signToken,
+  verifyToken,
+  ROLES
+};
@@ -0,0 +1,232 @@
+const fs = require('fs');
+
+// ===== MJPEG AVI WRITER =====
+// Streams JPEG frames into an AVI file (MJPG codec). Frames are appended as
+// they arrive; sizes, frame counts and the idx1 index are written on close.
+// encodeAvi() builds a whole file in memory, for short clips.
+
+const HEADER_SIZE = 224;        // Everything before the first frame chunk
+const MOVI_FOURCC_OFFSET = 220; // idx1 offsets are relative to the 'movi' fourcc
+const AVIF_HASINDEX = 0x10;
+const AVIIF_KEYFRAME = 0x10;
+const MAX_PENDING_BYTES = 16 * 1024 * 1024; // Drop frames rather than buffer more than this
+
+function fourcc(buf, offset, code) {
+  buf.write(code, offset, 4, 'ascii');
+}
+
+// RIFF/AVI header with placeholder sizes, patched in close()
+function buildHeader(width, height, frameRate) {
+  const buf = Buffer.alloc(HEADER_SIZE);
+
+  fourcc(buf, 0, 'RIFF');
+  fourcc(buf, 8, 'AVI ');
+
+  // hdrl list: main header plus one video stream
+  fourcc(buf, 12, 'LIST');
+  buf.writeUInt32LE(192, 16);
+  fourcc(buf, 20, 'hdrl');
+
+  fourcc(buf, 24, 'avih');
+  buf.writeUInt32LE(56, 28);
+  buf.writeUInt32LE(Math.round(1e6 / frameRate), 32); // dwMicroSecPerFrame
+  buf.writeUInt32LE(AVIF_HASINDEX, 44);                // dwFlags
+  buf.writeUInt32LE(1, 56);                            // dwStreams
+  buf.writeUInt32LE(width, 64);
+  buf.writeUInt32LE(height, 68);
+
+  fourcc(buf, 88, 'LIST');
+  buf.writeUInt32LE(116, 92);
+  fourcc(buf, 96, 'strl');
+
+  fourcc(buf, 100, 'strh');
+  buf.writeUInt32LE(56, 104);
+  fourcc(buf, 108, 'vids');
+  fourcc(buf, 112, 'MJPG');
+  buf.writeUInt32LE(1, 128);          // dwScale
+  buf.writeUInt32LE(frameRate, 132);  // dwRate
+  buf.writeInt32LE(-1, 148);          // dwQuality
+  buf.writeUInt16LE(width, 160);      // rcFrame right
+  buf.writeUInt16LE(height, 162);     // rcFrame bottom
+
+  fourcc(buf, 164, 'strf');
+  buf.writeUInt32LE(40, 168);
+  buf.writeUInt32LE(40, 172);         // biSize
+  buf.writeInt32LE(width, 176);
+  buf.writeInt32LE(height, 180);
+  buf.writeUInt16LE(1, 184);          // biPlanes
+  buf.writeUInt16LE(24, 186);         // biBitCount
+  fourcc(buf, 188, 'MJPG');
+  buf.writeUInt32LE(width * height * 3, 192);
+
+  fourcc(buf, 212, 'LIST');
+  fourcc(buf, 220, 'movi');
+
+  return buf;
+}
+
+// '00dc' chunk header for one frame; chunks are padded to an even size
+function chunkHeader(frameData) {
+  const buf = Buffer.alloc(8);
+  fourcc(buf, 0, '00dc');
+  buf.writeUInt32LE(frameData.length, 4);
+  return buf;
+}
+
+// idx1 chunk; offsets are relative to the 'movi' fourcc
+function buildIndex(index) {
+  const idx = Buffer.alloc(8 + index.length * 16);
+  fourcc(idx, 0, 'idx1');
+  idx.writeUInt32LE(index.length * 16, 4);
+  index.forEach((entry, i) => {
+    const pos = 8 + i * 16;
+    fourcc(idx, pos, '00dc');
+    idx.writeUInt32LE(AVIIF_KEYFRAME, pos + 4);
+    idx.writeUInt32LE(entry.offset, pos + 8);
+    idx.writeUInt32LE(entry.size, pos + 12);
+  });
+  return idx;
+}
+
+// Header fields that are only known once every frame is written
+function headerPatches(fileSize, frameCount, maxFrameSize, moviSize) {
+  return [
+    [4, fileSize - 8],    // RIFF size
+    [48, frameCount],     // avih dwTotalFrames
+    [60, maxFrameSize],   // avih dwSuggestedBufferSize
+    [140, frameCount],    // strh dwLength
+    [144, maxFrameSize],  // strh dwSuggestedBufferSize
+    [216, moviSize]       // movi list size
+  ];
+}
+
+/**
+ * Build a complete AVI file from frames held in memory.
+ *
+ * @param {Buffer[]} frames JPEG frames in playback order
+ * @param {object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} options.frameRate
+ * @returns {Buffer}
+ */
+function encodeAvi(frames, { width, height, frameRate }) {
+  const header = buildHeader(width, height, frameRate);
+  const chunks = [header];
+  const index = [];
+  let moviSize = 4;
+  let maxFrameSize = 0;
+
+  for (const frameData of frames) {
+    index.push({ offset: moviSize, size: frameData.length });
+    chunks.push(chunkHeader(frameData), frameData);
+    if (frameData.length % 2) chunks.push(Buffer.alloc(1));
+    moviSize += 8 + frameData.length + (frameData.length % 2);
+    maxFrameSize = Math.max(maxFrameSize, frameData.length);
+  }
+
+  const idx = buildIndex(index);
+  chunks.push(idx);
+  for (const [offset, value] of headerPatches(MOVI_FOURCC_OFFSET + moviSize + idx.length, index.length, maxFrameSize, moviSize)) {
+    header.writeUInt32LE(value >>> 0, offset);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * One AVI segment on disk.
+ *
+ * @param {string} filePath Destination file
+ * @param {object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ * @param {number} options.frameRate Nominal playback rate
+ */
+class AviWriter {
+  constructor(filePath, { width, height, frameRate }) {
+    this.filePath = filePath;
+    this.frameRate = frameRate;
+    this.index = [];
+    this.moviSize = 4; // 'movi' fourcc
+    this.maxFrameSize = 0;
+    this.droppedFrames = 0;
+    this.closed = false;
+    this.error = null; // First write error, reported by close()
+
+    this.out = fs.createWriteStream(filePath);
+    this.out.on('error', (err) => {
+      console.error(`Recording write error (${filePath}):`, err.message);
+      this.error = this.error || err;
+    });
+    this.out.write(buildHeader(width, height, frameRate));
+  }
+
+  get frameCount() {
+    return this.index.length;
+  }
+
+  // Size of the file so far, excluding the index written on close
+  get bytesWritten() {
+    return HEADER_SIZE - 4 + this.moviSize;
+  }
+
+  // Append one JPEG frame; returns false if it was dropped
+  writeFrame(frameData) {
+    if (this.closed) return false;
+    if (this.out.writableLength > MAX_PENDING_BYTES) {
+      this.droppedFrames++;
+      return false;
+    }
+
+    const padded = frameData.length + (frameData.length % 2);
+
+    this.index.push({ offset: this.moviSize, size: frameData.length });
+    this.moviSize += 8 + padded;
+    this.maxFrameSize = Math.max(this.maxFrameSize, frameData.length);
+
+    this.out.write(chunkHeader(frameData));
+    this.out.write(frameData);
+    if (padded !== frameData.length) {
+      this.out.write(Buffer.alloc(1));
+    }
+    return true;
+  }
+
+  // Write the index, patch the header and close the file; rejects if the
+  // segment could not be written completely
+  close() {
+    if (this.closed) return Promise.resolve();
+    this.closed = true;
+
+    const idx = buildIndex(this.index);
+
+    // 'close' also follows a write error, so this never hangs
+    return new Promise((resolve) => {
+      this.out.once('close', resolve);
+      this.out.end(idx);
+    }).then(() => {
+      if (this.error) throw this.error;
+      return this.patchHeader(MOVI_FOURCC_OFFSET + this.moviSize + idx.length);
+    });
+  }
+
+  // Fill in the sizes and counts that were unknown while recording
+  patchHeader(fileSize) {
+    const patches = headerPatches(fileSize, this.index.length, this.maxFrameSize, this.moviSize);
+
+    return fs.promises.open(this.filePath, 'r+').then(async (handle) => {
+      try {
+        for (const [offset, value] of patches) {
+          const buf = Buffer.alloc(4);
+          buf.writeUInt32LE(value >>> 0, 0);
+          await handle.write(buf, 0, 4, offset);
+        }
+      } finally {
+        await handle.close();
+      }
+    });
+  }
+}
+
+module.exports = AviWriter;
+module.exports.encodeAvi = encodeAvi;
@@ -0,0 +1,1014 @@
+const rtspFFmpeg = require('rtsp-ffmpeg');
+const { validateStreamConfig } = require('./config-validator');
+const { StreamRecorder } = require('./recordings');
+const FrameBuffer = require('./frame-buffer');
+const { MotionDetector } = require('./motion');
+const { RateWindow } = require('./metrics');
+const { ReconnectStateMachine } = require('./reconnect');
+const { StderrTail, classifyFfmpegError } = require('./ffmpeg-errors');
+const { Fmp4Output } = require('./fmp4');
+const { HlsOutput } = require('./hls');
+const { LatencyTracker } = require('./latency');
+const { OnvifPtz } = require('./onvif');
+const { ConfigApplyError, pipelineChanged, probeStream } = require('./config-apply');
+const { buildFilterGraph } = require('./video-filters');
+const {
+  VIEWER_PROFILES, DEFAULT_VIEWER_OPTIONS, FrameThrottle, ProfileEncoder
+} = require('./viewer-profiles');
+const {
+  splitUrlCredentials, withCredentials, maskRtspUrl, isMasked, sameCameraHost, loadStreamCredentials
+} = require('./credentials');
+
+// Frame processing limits
+const MAX_QUEUE_SIZE = 3;      // Maximum frames to buffer per client
+const MAX_CLIENTS_PER_FRAME = 10; // Process clients in batches to avoid memory spikes
+const MJPEG_BOUNDARY = 'mjpegframe';
+const SNAPSHOT_MAX_AGE = 2000; // A frame older than this is not served while ffmpeg runs
+const RECONNECT_MIN_IDLE = 5000; // A viewer's stream-reconnect only restarts ffmpeg this long after the last frame
+const MAX_ERRORS = 50;         // Classified errors kept per stream
+
+let httpClientSeq = 0;
+let snapshotSeq = 0;
+let clipSeq = 0;
+
+// ===== CAMERA STREAM =====
+/**
+ * One named camera: its config, ffmpeg process, viewers and stats.
+ *
+ * ffmpeg is started lazily when the first viewer joins and stopped when the
+ * last one leaves. Viewers are socket.io sockets in the `room` of this stream,
+ * or HTTP responses streaming multipart/x-mixed-replace MJPEG.
+ *
+ * @param {string} id Stream id, used in URLs and as the socket.io room name
+ * @param {object} config Initial (and default) stream configuration
+ * @param {object} manager Owning RTSPStreamServer, used to reach socket.io
+ * @throws {ConfigValidationError} If `config` is not a valid stream config
+ */
+class CameraStream {
+  constructor(id, config, manager) {
+    this.id = id;
+    this.room = `stream:${id}`;
+    this.manager = manager;
+    this.defaultConfig = this.extractCredentials(this.validateConfig(config));
+    this.activeConfig = { ...this.defaultConfig };
+    this.externalCredentials = null;
+
+    // Stream state
+    this.stream = null;
+    this.activeClients = new Set();
+    this.holds = new Set(); // Non-viewer reasons to keep ffmpeg running
+    this.watched = false;   // Whether any viewer was there at the last count, for webhooks
+    this.pendingConfig = null; // Config whose candidate ffmpeg is being tried
+    this.closed = false;
+    this.totalFrames = 0;
+    this.lastFrameTime = 0;
+    this.previousFrameTime = null; // Previous frame of the current ffmpeg run
+    this.startedAt = null;         // When ffmpeg last started
+    this.stalledSince = null;      // Last frame time before the watchdog saw a stall
+    this.errors = [];              // Classified ffmpeg errors, oldest first
+    this.fps = new RateWindow();
+    this.metrics = manager.metrics;
+
+    // Frame processing state
+    this.frameQueues = new Map(); // Map of client ID to frame queue
+    this.latency = new LatencyTracker((latency) => {
+      this.metrics.clientLatency.observe({ stream: this.id }, latency / 1000);
+    });
+    this.frameBuffer = new FrameBuffer(manager.config.preEventBuffer); // Recent frames for clips
+    this.clipCaptures = new Set(); // Clip exports still collecting frames
+    this.clipBytes = 0;            // Frames held by clipCaptures, capped like frameBuffer
+    this.httpClients = new Map(); // Map of client ID to MJPEG response state
+    this.clientOptions = new Map(); // Map of client ID to profile, maxFps and throttle
+    this.encoders = new Map();      // Map of profile to its ProfileEncoder, while in use
+    this.lastFrame = null;        // Most recent frame, for snapshots
+    this.frameWaiters = [];       // Snapshot requests waiting for the next frame
+
+    this.recorder = new StreamRecorder(this, manager.recordings, {
+      segmentDuration: manager.config.recordings.segmentDuration
+    });
+    this.motion = new MotionDetector(this);
+    this.fmp4 = new Fmp4Output(this); // H.264 passthrough viewers; separate from activeClients
+    this.hls = new HlsOutput(this);   // Playlist pollers, with their own ffmpeg
+    this.ptz = new OnvifPtz(this);
+
+    // idle / connecting / streaming / backoff / failed, broadcast on every change
+    this.connection = new ReconnectStateMachine(manager.config.reconnect, {
+      // Called while canConnect is still false, so ffmpeg is started here directly
+      retry: () => {
+        this.createStream();
+        this.startStream();
+      },
+      wanted: () => this.hasConsumers(),
+      onChange: state => this.broadcast('stream-status', { status: state.state, ...state })
+    });
+  }
+
+  // ===== STREAM FUNCTIONS =====
+  // Create a new stream with current configuration
+  createStream(config = this.activeConfig) {
+    this.attachStream(this.buildStream(config));
+  }
+
+  // An rtsp-ffmpeg instance for `config`; ffmpeg spawns on its first 'data' listener.
+  // `stream.onExit` is called with the classified error if ffmpeg exits on its own.
+  buildStream(config) {
+    // Build FFmpeg arguments
+    const ffmpegArgs = [
+      '-rtsp_transport', config.transport,
+      ...config.ffmpegOptions
+    ];
+
+    // Create new stream instance; credentials only ever appear in ffmpeg's input
+    const stream = new rtspFFmpeg.FFMpeg({
+      input: this.inputUrl(config),
+      rate: config.frameRate,
+      resolution: config.resolution,
+      quality: config.quality,
+      arguments: ffmpegArgs
+    });
+
+    // rtsp-ffmpeg silences ffmpeg; errors are needed to tell failures apart.
+    // Masks and overlays go in as output options, before the MJPEG muxer.
+    const filterGraph = buildFilterGraph(config);
+    stream._args = () => {
+      const args = rtspFFmpeg.FFMpeg.prototype._args.call(stream);
+      args[args.indexOf('quiet', ffmpegArgs.length)] = 'error';
+      if (filterGraph) {
+        args.splice(args.indexOf('-f', ffmpegArgs.length), 0, '-vf', filterGraph);
+      }
+      return args;
+    };
+    stream.start = () => {
+      rtspFFmpeg.FFMpeg.prototype.start.call(stream);
+      this.watchChild(stream);
+    };
+    stream.onExit = null;
+    return stream;
+  }
+
+  // Make `stream` the one viewers get frames from
+  attachStream(stream) {
+    this.destroyStream();
+    this.stream = stream;
+
+    // ffmpeg exiting on its own is a failure; stop() kills it only when nobody watches
+    stream.onExit = (error) => {
+      if (this.stream === stream && this.hasConsumers()) {
+        this.handleFailure('exit', error);
+      }
+    };
+
+    // Handle stream events
+    stream.on('start', () => this.handleStreamStart());
+
+    // Not for streams already replaced: destroyStream() stops them after dropping them
+    stream.on('stop', () => {
+      if (this.stream !== stream) return;
+      console.log(`Stream stopped: ${this.id}`);
+      this.startedAt = null;
+      this.stalledSince = null;
+      this.broadcast('stream-status', { status: 'stopped' });
+      this.notify('stream.stopped');
+    });
+
+    stream.on('error', (err) => {
+      if (this.stream === stream && this.hasConsumers()) {
+        this.handleFailure('error', classifyFfmpegError({ error: err }));
+      }
+    });
+
+    // Set up frame handling last: rtsp-ffmpeg spawns ffmpeg on the first 'data' listener
+    stream.on('data', frameData => this.handleNewFrame(frameData));
+  }
+
+  handleStreamStart() {
+    console.log(`Stream started: ${this.id}`);
+    this.lastFrameTime = Date.now();
+    this.startedAt = this.lastFrameTime;
+    this.previousFrameTime = null;
+    this.broadcast('stream-status', { status: 'started' });
+    this.notify('stream.started');
+    this.connection.connecting();
+  }
+
+  // Replace rtsp-ffmpeg's child handlers, which throw on any stderr output or
+  // spawn error and respawn on a timer after a clean exit, with ones that
+  // collect stderr and leave retries to the connection state machine
+  watchChild(stream) {
+    const child = stream.child;
+    const stderr = new StderrTail();
+    let spawnError = null;
+    let reported = false;
+
+    // stop() drops `stream.child` before the child exits, and start() reuses the
+    // instance: a child that is no longer the current one was stopped on purpose
+    const report = (failure) => {
+      if (reported || stream.child !== child) return;
+      reported = true;
+      if (stream.onExit) {
+        stream.onExit(classifyFfmpegError({ ...failure, stderr: stderr.tail() }));
+      }
+    };
+
+    child.stderr.removeAllListeners('data');
+    child.stderr.on('data', chunk => stderr.push(chunk));
+    child.removeAllListeners('error');
+    child.removeAllListeners('close');
+    child.on('error', (err) => {
+      spawnError = err;
+      // A child that never spawned may not emit 'close'
+      if (child.pid === undefined) report({ error: err });
+    });
+    child.on('close', (code, signal) => {
+      report({ exitCode: code, signal, error: spawnError });
+    });
+  }
+
+  // Stop and drop the current stream, if any
+  destroyStream() {
+    if (!this.stream) return;
+
+    const stream = this.stream;
+    this.stream = null;
+    try {
+      stream.removeAllListeners();
+      stream.stop();
+    } catch (e) {
+      console.error('Error cleaning up stream:', e);
+    }
+  }
+
+  // Emit to every viewer of this stream, if socket.io is attached
+  broadcast(event, data) {
+    const io = this.manager.io;
+    if (io) {
+      io.to(this.room).emit(event, { streamId: this.id, ...data });
+    }
+  }
+
+  // Send a lifecycle event to webhook subscribers
+  notify(event, data) {
+    this.manager.webhooks.send(event, this.id, data);
+  }
+
+  // Handle a new frame from the stream
+  handleNewFrame(frameData) {
+    this.totalFrames++;
+    this.lastFrameTime = Date.now();
+    this.lastFrame = { data: frameData, time: this.lastFrameTime };
+    this.fps.add(this.lastFrameTime);
+    this.connection.connected();
+
+    this.metrics.framesReceived.inc({ stream: this.id });
+    if (this.previousFrameTime !== null) {
+      this.metrics.frameInterval.observe({ stream: this.id }, (this.lastFrameTime - this.previousFrameTime) / 1000);
+    }
+    this.previousFrameTime = this.lastFrameTime;
+
+    if (this.stalledSince !== null) {
+      const stalledFor = this.lastFrameTime - this.stalledSince;
+      this.stalledSince = null;
+      console.log(`Stream recovered: ${this.id} (stalled for ${stalledFor}ms)`);
+      this.broadcast('stream-status', { status: 'recovered', stalledFor });
+    }
+
+    this.recorder.writeFrame(frameData);
+    this.frameBuffer.push(frameData, this.lastFrameTime);
+    this.clipCaptures.forEach(capture => capture.add(this.lastFrame));
+    this.motion.feed(this.lastFrame);
+    this.encoders.forEach(encoder => encoder.feed(this.lastFrame));
+
+    // Hand the frame to waiting snapshot requests
+    if (this.frameWaiters.length > 0) {
+      const waiters = this.frameWaiters;
+      this.frameWaiters = [];
+      waiters.forEach(resolve => resolve(this.lastFrame));
+    }
+
+    this.deliverFrame(frameData, 'full', this.lastFrameTime);
+  }
+
+  // Send a frame to every viewer of `profile` whose frame rate limit allows one now
+  deliverFrame(frameData, profile, time) {
+    // Group clients into batches to avoid memory spikes
+    const clientBatches = [];
+    const currentBatch = [];
+
+    for (const clientId of this.activeClients) {
+      const options = this.clientOptions.get(clientId);
+      if (options.profile !== profile || !options.throttle.take(time)) continue;
+
+      currentBatch.push(clientId);
+      if (currentBatch.length >= MAX_CLIENTS_PER_FRAME) {
+        clientBatches.push([...currentBatch]);
+        currentBatch.length = 0;
+      }
+    }
+
+    // Add the last batch if it has any clients
+    if (currentBatch.length > 0) {
+      clientBatches.push(currentBatch);
+    }
+
+    // Process each batch with a small delay between them
+    this.processClientBatch(0, clientBatches, frameData, time);
+  }
+
+  // Process a batch of clients for a frame received at `time`
+  processClientBatch(batchIndex, clientBatches, frameData, time) {
+    if (batchIndex >= clientBatches.length) return;
+
+    const batch = clientBatches[batchIndex];
+
+    // Process each client in this batch
+    for (const clientId of batch) {
+      this.queueFrameForClient(clientId, frameData, time);
+    }
+
+    // Process next batch with a small delay to avoid memory spikes
+    if (batchIndex + 1 < clientBatches.length) {
+      setTimeout(() => {
+        this.processClientBatch(batchIndex + 1, clientBatches, frameData, time);
+      }, 5);
+    }
+  }
+
+  // Queue a frame for a specific client
+  queueFrameForClient(clientId, frameData, time) {
+    const httpClient = this.httpClients.get(clientId);
+    if (httpClient) {
+      this.writeHttpFrame(httpClient, frameData);
+      return;
+    }
+
+    const io = this.manager.io;
+    if (!io) return;
+
+    const socket = io.sockets.sockets.get(clientId);
+    if (!socket || !socket.connected) return;
+
+    // Get or create queue for this client
+    if (!this.frameQueues.has(clientId)) {
+      this.frameQueues.set(clientId, []);
+    }
+
+    const queue = this.frameQueues.get(clientId);
+
+    // Add to queue, maintaining maximum size; frames dropped from here on leave a gap in `seq`
+    queue.push({ data: frameData, receivedAt: time, seq: this.latency.nextSeq(clientId) });
+
+    const labels = { stream: this.id, client: clientId, transport: 'socket' };
+
+    // If queue is too large, remove oldest frames
+    if (queue.length > MAX_QUEUE_SIZE) {
+      const dropped = queue.splice(0, queue.length - MAX_QUEUE_SIZE);
+      this.metrics.framesDropped.inc(labels, dropped.length);
+    }
+
+    // Send the frame to the client
+    if (queue.length > 0 && socket.connected) {
+      // Always send the newest frame for lowest latency
+      const frameToSend = queue.pop();
+      this.metrics.framesDropped.inc(labels, queue.length);
+      queue.length = 0; // Clear queue after sending
+
+      // socket.io discards volatile packets while the transport is busy; count them
+      if (!socket.conn.transport.writable) {
+        this.metrics.framesDropped.inc(labels);
+        return;
+      }
+
+      // Binary frame plus the metadata players report latency and loss from
+      const { data, receivedAt, seq } = frameToSend;
+      socket.volatile.emit('stream', data, { seq, receivedAt, sentAt: Date.now() });
+      this.metrics.framesDelivered.inc(labels);
+      this.metrics.bytesSent.inc({ stream: this.id, transport: 'socket' }, data.length);
+    }
+  }
+
+  // Whether anything needs frames: viewers, or holds such as snapshots and recordings
+  hasConsumers() {
+    return this.activeClients.size > 0 || this.holds.size > 0;
+  }
+
+  // Viewers of every kind: MJPEG over socket.io and HTTP, fMP4 and HLS
+  viewerCount() {
+    return this.activeClients.size + this.fmp4.clients.size + this.hls.viewers.size;
+  }
+
+  // Called whenever a viewer comes or goes; webhooks hear about the first and the last
+  updateViewerCount() {
+    const viewers = this.viewerCount();
+    if ((viewers > 0) === this.watched) return;
+    this.watched = viewers > 0;
+    this.notify(this.watched ? 'viewers.active' : 'viewers.idle', { viewers });
+  }
+
+  // Keep ffmpeg running for a non-viewer consumer until release()
+  hold(reason) {
+    this.holds.add(reason);
+    this.startStreamIfNeeded();
+  }
+
+  release(reason) {
+    if (this.holds.delete(reason)) {
+      this.stopStreamIfNoClients();
+    }
+  }
+
+  // Start the stream if clients are connected, unless a retry is pending
+  startStreamIfNeeded() {
+    if (this.hasConsumers() && this.connection.canConnect) {
+      this.startStream();
+    }
+  }
+
+  // Make sure ffmpeg runs, creating the stream if there is none
+  startStream() {
+    if (!this.stream) {
+      this.createStream();
+    }
+
+    // Attaching the 'data' listener may already have spawned ffmpeg
+    if (this.stream.child) return;
+
+    try {
+      this.stream.start();
+    } catch (e) {
+      console.error('Error starting stream:', e);
+    }
+  }
+
+  // Stop the stream if no clients are connected
+  stopStreamIfNoClients() {
+    if (this.hasConsumers()) return;
+
+    this.connection.stop();
+    if (this.stream) {
+      try {
+        this.stream.stop();
+        console.log(`Stream stopped (no clients): ${this.id}`);
+      } catch (e) {
+        console.error('Error stopping stream:', e);
+      }
+    }
+  }
+
+  // ===== FAILURES AND WATCHDOG =====
+  // Whether ffmpeg is spawned and supposed to deliver frames
+  isRunning() {
+    return !!this.stream && !!this.stream.child && this.hasConsumers();
+  }
+
+  // Drop the failed ffmpeg; the connection state machine decides when to retry
+  handleFailure(kind, error) {
+    console.error(`Stream failed (${this.id}): [${error.code}] ${error.detail}`);
+    this.reportError(error);
+    this.destroyStream();
+    this.connection.fail(error.message);
+
+    if (this.connection.state === 'backoff') {
+      this.metrics.ffmpegRestarts.inc({ stream: this.id, reason: kind });
+    }
+  }
+
+  // Called periodically by the server: kill ffmpeg if it runs without producing frames
+  checkStall(stallTimeout, now = Date.now()) {
+    if (!this.isRunning() || now - this.lastFrameTime < stallTimeout) return false;
+
+    if (this.stalledSince === null) {
+      this.stalledSince = this.lastFrame ? this.lastFrame.time : this.lastFrameTime;
+    }
+    console.warn(`Stream stalled: ${this.id} (no frames for ${now - this.lastFrameTime}ms), restarting ffmpeg`);
+    this.broadcast('stream-status', {
+      status: 'stalled',
+      lastFrameAt: this.lastFrame ? new Date(this.lastFrame.time).toISOString() : null,
+      stalledFor: now - this.stalledSince
+    });
+
+    // Recovery is reported once frames flow again
+    this.handleFailure('stall', classifyFfmpegError({
+      code: 'STALLED',
+      detail: `No frames for ${Math.round((now - this.lastFrameTime) / 1000)}s`
+    }));
+    return true;
+  }
+
+  // Keep a classified error, count it and tell viewers
+  reportError(error) {
+    this.recordError(error);
+    const { message, ...rest } = error;
+    this.broadcast('stream-error', { error: message, ...rest });
+    this.notify('stream.error', { error: message, ...rest });
+  }
+
+  // Keep and count an error without telling viewers, e.g. one of the HLS output
+  recordError(error) {
+    this.errors.push(error);
+    if (this.errors.length > MAX_ERRORS) {
+      this.errors.splice(0, this.errors.length - MAX_ERRORS);
+    }
+    this.metrics.ffmpegErrors.inc({ stream: this.id, code: error.code });
+  }
+
+  // Newest first
+  listErrors() {
+    return this.errors.slice().reverse();
+  }
+
+  // A player's latency report; returns its summary, or null if the report is invalid
+  recordLatency(clientId, report) {
+    if (!this.activeClients.has(clientId)) return null;
+    return this.latency.record(clientId, report);
+  }
+
+  // A viewer asked for a reconnect; only honoured when frames have actually stopped
+  // and no retry is already scheduled
+  requestReconnect() {
+    if (!this.hasConsumers() || !this.connection.canConnect) return false;
+    if (this.isRunning() && Date.now() - this.lastFrameTime < RECONNECT_MIN_IDLE) return false;
+
+    console.log(`Reconnect requested by a viewer: ${this.id}`);
+    this.metrics.ffmpegRestarts.inc({ stream: this.id, reason: 'viewer' });
+    this.createStream();
+    this.startStreamIfNeeded();
+    return true;
+  }
+
+  // ===== VIEWERS =====
+  // Register a socket as a viewer and start ffmpeg for the first one
+  addClient(socket, options = DEFAULT_VIEWER_OPTIONS) {
+    socket.join(this.room);
+    this.activeClients.add(socket.id);
+    this.setClientOptions(socket.id, options);
+    this.updateViewerCount();
+    this.startStreamIfNeeded();
+  }
+
+  // Register a socket as an fMP4 viewer; it gets config and motion events but
+  // no JPEG frames, so it does not keep the MJPEG ffmpeg running
+  addFmp4Client(socket) {
+    socket.join(this.room);
+    this.fmp4.addClient(socket);
+    this.updateViewerCount();
+  }
+
+  // Forget a viewer and stop ffmpeg after the last one
+  removeClient(socket) {
+    socket.leave(this.room);
+    this.fmp4.removeClient(socket);
+    this.activeClients.delete(socket.id);
+
+    // Clean up frame queue for this client
+    if (this.frameQueues.has(socket.id)) {
+      this.frameQueues.delete(socket.id);
+    }
+    this.clientOptions.delete(socket.id);
+    this.latency.removeClient(socket.id);
+    this.updateEncoders();
+    this.metrics.removeClient(this.id, socket.id);
+    this.updateViewerCount();
+
+    this.stopStreamIfNoClients();
+  }
+
+  // Register an HTTP MJPEG response as a viewer; returns its client ID
+  addHttpClient(res, options = DEFAULT_VIEWER_OPTIONS) {
+    const id = `http:${++httpClientSeq}`;
+
+    res.writeHead(200, {
+      'Content-Type': `multipart/x-mixed-replace; boundary=${MJPEG_BOUNDARY}`,
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'Pragma': 'no-cache',
+      'Connection': 'close'
+    });
+
+    this.httpClients.set(id, { id, res, droppedFrames: 0 });
+    this.activeClients.add(id);
+    this.setClientOptions(id, options);
+    this.updateViewerCount();
+    this.startStreamIfNeeded();
+    return id;
+  }
+
+  // Forget an HTTP viewer and stop ffmpeg after the last one
+  removeHttpClient(id) {
+    const client = this.httpClients.get(id);
+    if (!client) return;
+
+    this.httpClients.delete(id);
+    this.activeClients.delete(id);
+    this.clientOptions.delete(id);
+    this.updateEncoders();
+    this.metrics.removeClient(this.id, id);
+    this.updateViewerCount();
+    if (!client.res.writableEnded) {
+      client.res.end();
+    }
+
+    this.stopStreamIfNoClients();
+  }
+
+  // Change one viewer's profile or frame rate; ffmpeg and other viewers are unaffected
+  setClientOptions(clientId, { maxFps, profile }) {
+    this.clientOptions.set(clientId, { maxFps, profile, throttle: new FrameThrottle(maxFps) });
+    this.updateEncoders();
+  }
+
+  // Run one encoder per profile in use, fed as fast as its fastest viewer wants
+  updateEncoders() {
+    const rates = new Map(); // Profile -> highest maxFps, null for every frame
+    this.clientOptions.forEach(({ profile, maxFps }) => {
+      if (!VIEWER_PROFILES[profile]) return;
+      const current = rates.has(profile) ? rates.get(profile) : 0;
+      rates.set(profile, current === null || maxFps === null ? null : Math.max(current, maxFps));
+    });
+
+    this.encoders.forEach((encoder, profile) => {
+      if (!rates.has(profile)) {
+        encoder.close();
+        this.encoders.delete(profile);
+      }
+    });
+    rates.forEach((maxFps, profile) => {
+      if (!this.encoders.has(profile)) {
+        this.encoders.set(profile, new ProfileEncoder(this, profile, (frame) => {
+          this.deliverFrame(frame.data, profile, frame.time);
+        }));
+      }
+      this.encoders.get(profile).maxFps = maxFps;
+    });
+  }
+
+  // Viewers per profile, plus the state of each running encoder
+  getProfileStats() {
+    const stats = {};
+    Object.keys(VIEWER_PROFILES).forEach((profile) => {
+      stats[profile] = { viewers: 0 };
+    });
+    this.clientOptions.forEach(({ profile }) => stats[profile].viewers++);
+    this.encoders.forEach((encoder, profile) => Object.assign(stats[profile], encoder.getState()));
+    return stats;
+  }
+
+  // Write one multipart part; a consumer still flushing the previous frame skips this one
+  writeHttpFrame(client, frameData) {
+    const { res } = client;
+    if (res.writableEnded || res.destroyed) return;
+
+    const labels = { stream: this.id, client: client.id, transport: 'http' };
+    if (res.writableLength > 0) {
+      client.droppedFrames++;
+      this.metrics.framesDropped.inc(labels);
+      return;
+    }
+
+    res.write(`--${MJPEG_BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${frameData.length}\r\n\r\n`);
+    res.write(frameData);
+    res.write('\r\n');
+    this.metrics.framesDelivered.inc(labels);
+    this.metrics.bytesSent.inc({ stream: this.id, transport: 'http' }, frameData.length);
+  }
+
+  // ===== SNAPSHOTS =====
+  /**
+   * Latest frame as `{ data, time }`. While ffmpeg is running with recent
+   * frames this resolves immediately; otherwise ffmpeg is started on demand,
+   * the next frame is awaited and the stream idles down again afterwards.
+   *
+   * @param {number} timeout Milliseconds to wait for a frame
+   * @returns {Promise<{data: Buffer, time: number}>}
+   */
+  getSnapshot(timeout) {
+    const running = this.stream && this.stream.child;
+    if (running && this.lastFrame && Date.now() - this.lastFrame.time < SNAPSHOT_MAX_AGE) {
+      return Promise.resolve(this.lastFrame);
+    }
+
+    // Hold ffmpeg up until the frame arrives
+    const holdId = `snapshot:${++snapshotSeq}`;
+    this.hold(holdId);
+
+    return new Promise((resolve, reject) => {
+      const done = (frame) => {
+        clearTimeout(timer);
+        this.release(holdId);
+        resolve(frame);
+      };
+      const timer = setTimeout(() => {
+        this.frameWaiters = this.frameWaiters.filter(waiter => waiter !== done);
+        this.release(holdId);
+
+        const err = new Error('Timed out waiting for a frame');
+        err.code = 'SNAPSHOT_TIMEOUT';
+        reject(err);
+      }, timeout);
+
+      this.frameWaiters.push(done);
+    });
+  }
+
+  // ===== CLIPS =====
+  /**
+   * Frames from `before` seconds ago until `after` seconds from now.
+   *
+   * Earlier frames come from the pre-event buffer; ffmpeg is kept running
+   * while later ones are collected. Frames held by pending captures share one
+   * memory budget per stream (the buffer's `maxBytes`), and a capture that
+   * runs out of it ends early.
+   *
+   * @param {number} before Seconds before now
+   * @param {number} after Seconds after now
+   * @param {AbortSignal} [signal] Stops collecting early, e.g. when the requester disconnects
+   * @returns {Promise<Array<{data: Buffer, time: number}>>}
+   */
+  captureClip(before, after, signal) {
+    const now = Date.now();
+    const frames = this.frameBuffer.since(now - before * 1000);
+    const holdId = `clip:${++clipSeq}`;
+    let bytes = 0;
+
+    // Pre-event frames are shared with the buffer, so they cost nothing extra
+    if (after <= 0) {
+      return Promise.resolve(frames);
+    }
+
+    return new Promise((resolve) => {
+      const capture = {
+        add: (frame) => {
+          if (this.clipBytes + frame.data.length > this.frameBuffer.maxBytes) {
+            capture.finish();
+            return;
+          }
+          frames.push(frame);
+          bytes += frame.data.length;
+          this.clipBytes += frame.data.length;
+        },
+        finish: () => {
+          if (!this.clipCaptures.delete(capture)) return;
+          clearTimeout(timer);
+          this.clipBytes -= bytes;
+          this.release(holdId);
+          resolve(frames);
+        }
+      };
+      const timer = setTimeout(capture.finish, after * 1000);
+      if (signal) {
+        signal.addEventListener('abort', capture.finish, { once: true });
+      }
+
+      this.clipCaptures.add(capture);
+      this.hold(holdId);
+    });
+  }
+
+  // ===== CONFIGURATION =====
+  // Check a config against the schema and the server's ffmpeg option allowlist
+  validateConfig(config, partial = false) {
+    return validateStreamConfig(config, {
+      partial,
+      allowedFfmpegOptions: this.manager.config.allowedFfmpegOptions
+    });
+  }
+
+  /**
+   * Apply a config change. Once the server runs, changes that need a new
+   * ffmpeg are proven on a candidate process first (see lib/config-apply.js).
+   * `replace` swaps in a complete config instead of merging, for rollbacks
+   * and reloads of the config file.
+   *
+   * @returns {Promise<object>} The new public config, once viewers are on it
+   * @throws {ConfigValidationError|ConfigApplyError} The previous config stays in place
+   */
+  async updateStreamConfig(newConfig, { replace = false } = {}) {
+    if (this.pendingConfig) {
+      throw new ConfigApplyError('CONFIG_APPLY_IN_PROGRESS', 'Another config change is still being applied');
+    }
+
+    // Merge validated changes with current config; throws before touching ffmpeg
+    const changes = this.extractCredentials(this.validateConfig(newConfig, !replace));
+    const config = replace ? changes : this.mergeConfig(changes);
+    if (!this.manager.io || !pipelineChanged(this.activeConfig, config)) {
+      return this.commitConfig(config);
+    }
+
+    this.pendingConfig = config;
+    let candidate;
+    try {
+      candidate = await probeStream(this.buildStream(config), this.manager.config.configApply.timeout * 1000);
+    } catch (error) {
+      console.warn(`Config change rolled back (${this.id}): ${error.message}`);
+      if (error.ffmpegError) {
+        this.recordError(error.ffmpegError);
+      }
+      throw error;
+    } finally {
+      this.pendingConfig = null;
+    }
+
+    // Nobody to switch over, or the stream was removed meanwhile: the candidate only had to prove itself
+    if (this.closed || !this.hasConsumers()) {
+      candidate.stream.removeAllListeners();
+      candidate.stream.stop();
+      candidate = null;
+    }
+    if (this.closed) {
+      throw new ConfigApplyError('CONFIG_APPLY_FAILED', 'Stream was removed while the config was being applied');
+    }
+    return this.commitConfig(config, candidate);
+  }
+
+  // Make `config` the active one, switching to a proven candidate if there is one
+  commitConfig(config, candidate = null) {
+    const previous = this.activeConfig;
+    const restart = !!candidate || pipelineChanged(previous, config);
+    this.activeConfig = config;
+
+    if (restart) {
+      this.frameBuffer.clear(); // Older frames may not match the new resolution
+      this.connection.reset();  // The new config deserves a fresh set of attempts
+      if (candidate) {
+        this.attachStream(candidate.stream);
+        candidate.release();
+        this.handleStreamStart();
+        this.handleNewFrame(candidate.frame);
+      } else {
+        this.destroyStream(); // Created again below if anyone watches
+      }
+      this.fmp4.restart();
+
+      // A new resolution or frame rate needs a new AVI header
+      if (this.recorder.active) {
+        this.recorder.rotate();
+      }
+    }
+    if (restart || JSON.stringify(previous.hls) !== JSON.stringify(config.hls)) {
+      this.hls.restart();
+    }
+    this.applyBackgroundTasks();
+
+    // Start stream if clients are connected, otherwise leave it idle
+    if (this.hasConsumers()) {
+      this.startStreamIfNeeded();
+    } else {
+      this.stopStreamIfNoClients();
+    }
+
+    return this.publicConfig();
+  }
+
+  // Start or stop continuous recording, motion detection and always-on to match
+  // the config (once the server runs); each keeps ffmpeg up without viewers
+  applyBackgroundTasks() {
+    if (!this.manager.io) return;
+
+    if (this.activeConfig.continuousRecording && !this.recorder.active) {
+      this.recorder.start({ continuous: true });
+    } else if (!this.activeConfig.continuousRecording && this.recorder.continuous) {
+      this.recorder.stop().catch(() => {}); // Logged by the recorder
+    }
+
+    if (this.motion.configure(this.activeConfig.motion)) {
+      this.hold('motion');
+    } else {
+      this.release('motion');
+    }
+
+    if (this.activeConfig.alwaysOn) {
+      this.hold('always-on');
+    } else {
+      this.release('always-on');
+    }
+  }
+
+  // Move credentials embedded in `rtspUrl` into the username/password fields.
+  // A masked URL echoed back by a client keeps the current credentials.
+  extractCredentials(config) {
+    if (config.rtspUrl === undefined) return config;
+
+    const { url, username, password } = splitUrlCredentials(config.rtspUrl);
+    const result = { ...config, rtspUrl: url };
+    if (username !== undefined && !isMasked(username, password)) {
+      if (result.username === undefined) result.username = username;
+      if (result.password === undefined && password !== undefined) result.password = password;
+    }
+    return result;
+  }
+
+  // The active config with `changes` applied. Stored credentials belong to the
+  // camera they were entered for: an rtspUrl on another host or port drops them
+  mergeConfig(changes) {
+    const base = { ...this.activeConfig };
+    if (changes.rtspUrl !== undefined && !sameCameraHost(base.rtspUrl, changes.rtspUrl)) {
+      delete base.username;
+      delete base.password;
+    }
+    return { ...base, ...changes };
+  }
+
+  // Credentials from the secrets file or environment; re-read on every ffmpeg start
+  loadExternalCredentials(refresh = false) {
+    if (refresh || !this.externalCredentials) {
+      this.externalCredentials = loadStreamCredentials(this.id, {
+        secretsFile: this.manager.config.secretsFile
+      });
+    }
+    return this.externalCredentials;
+  }
+
+  // Camera credentials: config first, then secrets file/env
+  cameraCredentials(config = this.activeConfig) {
+    const external = this.loadExternalCredentials(true);
+    if (config.username) {
+      return { username: config.username, password: config.password };
+    }
+    return { username: external.username, password: external.password };
+  }
+
+  // Build ffmpeg's input URL with the camera credentials
+  inputUrl(config = this.activeConfig) {
+    const { username, password } = this.cameraCredentials(config);
+    return withCredentials(config.rtspUrl, username, password);
+  }
+
+  // Config safe to send to clients: no credentials, masked URL
+  publicConfig(config = this.activeConfig) {
+    const { username, password, ...rest } = config;
+    const hasCredentials = !!username || !!this.loadExternalCredentials().username;
+    return { ...rest, rtspUrl: maskRtspUrl(config.rtspUrl, hasCredentials) };
+  }
+
+  // Start from a saved config instead of the one the stream was registered with;
+  // for the server's constructor, before anything runs
+  loadConfig(config) {
+    this.activeConfig = this.extractCredentials(this.validateConfig(config));
+  }
+
+  // Go back to the config the stream was registered with; replaced, not merged,
+  // so credentials and settings added since do not survive
+  async resetStreamConfig() {
+    return this.updateStreamConfig(this.defaultConfig, { replace: true });
+  }
+
+  // Get current stream stats
+  getStreamStats() {
+    const now = Date.now();
+    const secondsElapsed = (now - this.lastFrameTime) / 1000;
+    const uptime = this.startedAt ? Math.round((now - this.startedAt) / 1000) : 0;
+
+    // FPS over a sliding window, so it is neither reset nor smoothed away
+    const currentFps = Math.round(this.fps.rate(now) * 10) / 10;
+
+    return {
+      id: this.id,
+      activeClients: this.activeClients.size,
+      httpClients: this.httpClients.size,
+      frameCount: this.fps.count(now),
+      totalFrames: this.totalFrames,
+      currentFps,
+      uptime,
+      isActive: !!this.stream && this.hasConsumers() && secondsElapsed < 5,
+      stalled: this.stalledSince !== null,
+      connection: this.connection.getState(),
+      lastFrameAt: this.lastFrame ? new Date(this.lastFrame.time).toISOString() : null,
+      recording: this.recorder.getState(),
+      preEventBuffer: this.frameBuffer.getState(),
+      motion: this.motion.getState(),
+      profiles: this.getProfileStats(),
+      fmp4: this.fmp4.getState(),
+      hls: this.hls.getState(),
+      latency: this.latency.getStats(),
+      ptz: this.ptz.getState(),
+      config: this.publicConfig()
+    };
+  }
+
+  // Kill ffmpeg and forget every viewer; resolves once the recording is finalized
+  // or has failed to be (the recorder logs why)
+  close() {
+    const recordingDone = this.recorder.stop().catch(() => {});
+    this.clipCaptures.forEach(capture => capture.finish());
+    this.motion.close();
+    this.fmp4.close();
+    this.hls.close();
+    this.encoders.forEach(encoder => encoder.close());
+    this.encoders.clear();
+    this.frameBuffer.clear();
+    this.connection.reset();
+    this.closed = true;
+
+    this.httpClients.forEach(({ res }) => res.end());
+    this.httpClients.clear();
+    this.frameWaiters = [];
+    this.holds.clear();
+    this.destroyStream();
+    this.activeClients.clear();
+    this.clientOptions.clear();
+    this.frameQueues.clear();
+    this.latency.clear();
+
+    return recordingDone;
+  }
+}
+
+module.exports = CameraStream;
@@ -0,0 +1,75 @@
+const { encodeAvi } = require('./avi-writer');
+const { buildZip } = require('./zip');
+
+// ===== CLIP EXPORT =====
+const CLIP_FORMATS = {
+  avi: { contentType: 'video/x-msvideo' },
+  zip: { contentType: 'application/zip' }
+};
+
+/**
+ * Parse `before`/`after` query parameters (seconds) for a clip export.
+ *
+ * @param {object} query
+ * @param {object} limits
+ * @param {number} limits.maxBefore Length of the pre-event buffer
+ * @param {number} limits.maxAfter Longest wait for frames after the request
+ * @returns {{before: number, after: number}|null} null when a value is out of range
+ */
+function parseClipOptions(query, { maxBefore, maxAfter }) {
+  const options = { before: maxBefore, after: 0 };
+
+  for (const [key, max] of [['before', maxBefore], ['after', maxAfter]]) {
+    if (query[key] === undefined) continue;
+
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value < 0 || value > max) return null;
+    options[key] = value;
+  }
+
+  return options;
+}
+
+// `2026-10-19T07:44:45.123Z` -> `2026-10-19T07-44-45-123Z`
+function fileTime(time) {
+  return new Date(time).toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Encode captured frames as one AVI file or a ZIP of JPEGs.
+ *
+ * The AVI frame rate is the rate the frames actually arrived at, so the clip
+ * plays back in real time.
+ *
+ * @param {Array<{data: Buffer, time: number}>} frames
+ * @param {'avi'|'zip'} format
+ * @param {object} options
+ * @param {string} options.streamId Used in file names
+ * @param {string} options.resolution Stream resolution, e.g. `640x360`
+ * @returns {{data: Buffer, contentType: string, fileName: string}}
+ */
+function encodeClip(frames, format, { streamId, resolution }) {
+  const first = frames[0].time;
+  const fileName = `${streamId}-${fileTime(first)}.${format}`;
+
+  if (format === 'zip') {
+    const entries = frames.map((frame, i) => ({
+      name: `${String(i + 1).padStart(6, '0')}-${fileTime(frame.time)}.jpg`,
+      data: frame.data,
+      date: new Date(frame.time)
+    }));
+    return { data: buildZip(entries), contentType: CLIP_FORMATS.zip.contentType, fileName };
+  }
+
+  const [width, height] = resolution.split('x').map(Number);
+  const span = (frames[frames.length - 1].time - first) / 1000;
+  const frameRate = span > 0 ? Math.max(1, Math.round((frames.length - 1) / span)) : 1;
+  const data = encodeAvi(frames.map(frame => frame.data), { width, height, frameRate });
+  return { data, contentType: CLIP_FORMATS.avi.contentType, fileName };
+}
+
+module.exports = {
+  CLIP_FORMATS,
+  parseClipOptions,
+  encodeClip
+};
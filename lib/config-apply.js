@@ -0,0 +1,97 @@
+const { classifyFfmpegError } = require('./ffmpeg-errors');
+
+// ===== TRANSACTIONAL CONFIG APPLY =====
+// A config change that needs a new ffmpeg is tried on a candidate process
+// next to the running one, so a typo in `rtspUrl` never blacks out viewers.
+// The stream switches to the candidate once it delivers its first valid JPEG;
+// if it fails or stays silent until the timeout, it is killed and the stream
+// keeps its old config and process.
+
+// Keys ffmpeg's MJPEG pipeline is built from; changing any of them needs a new process
+const PIPELINE_KEYS = [
+  'rtspUrl', 'transport', 'frameRate', 'resolution', 'quality', 'ffmpegOptions', 'username', 'password',
+  'overlays', 'privacyMasks'
+];
+
+// HTTP status each error code maps to in the REST API
+const CONFIG_APPLY_ERROR_STATUS = {
+  CONFIG_APPLY_IN_PROGRESS: 409,
+  CONFIG_APPLY_FAILED: 502,
+  CONFIG_APPLY_TIMEOUT: 504
+};
+
+/**
+ * A config change that was not applied; the stream still runs its previous
+ * config. `ffmpegError` is the candidate's classified ffmpeg error, if any.
+ */
+class ConfigApplyError extends Error {
+  constructor(code, message, ffmpegError = null) {
+    super(message);
+    this.name = 'ConfigApplyError';
+    this.code = code;
+    this.status = CONFIG_APPLY_ERROR_STATUS[code] || 500;
+    this.ffmpegError = ffmpegError;
+  }
+}
+
+function pipelineChanged(before, after) {
+  return PIPELINE_KEYS.some(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+// A whole JPEG: rtsp-ffmpeg cuts frames at the end marker, so only the start needs checking
+function isJpeg(frame) {
+  return frame.length > 4 && frame[0] === 0xff && frame[1] === 0xd8;
+}
+
+/**
+ * Start a candidate stream and wait for its first valid frame.
+ *
+ * On success the candidate keeps running with the probe's 'data' listener
+ * attached; call `release()` once another listener is attached, since
+ * rtsp-ffmpeg stops ffmpeg when the last one goes. On failure it is stopped.
+ *
+ * @param {FFMpeg} stream Built by CameraStream.buildStream(), not started yet
+ * @param {number} timeout Milliseconds to wait for the first frame
+ * @returns {Promise<{stream: FFMpeg, frame: Buffer, release: function(): void}>}
+ *   Rejects with a ConfigApplyError
+ */
+function probeStream(stream, timeout) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = (error, frame) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      stream.onExit = null;
+
+      if (error) {
+        stream.removeAllListeners();
+        stream.stop();
+        reject(error);
+        return;
+      }
+      resolve({ stream, frame, release: () => stream.removeListener('data', onData) });
+    };
+    const fail = (ffmpegError) => {
+      settle(new ConfigApplyError('CONFIG_APPLY_FAILED', `New config did not work: ${ffmpegError.message}`, ffmpegError));
+    };
+    const onData = (frame) => {
+      if (isJpeg(frame)) settle(null, frame);
+    };
+
+    const timer = setTimeout(() => {
+      settle(new ConfigApplyError('CONFIG_APPLY_TIMEOUT', `No frame from the new config within ${timeout / 1000}s`));
+    }, timeout);
+
+    stream.onExit = fail;
+    stream.on('error', err => fail(classifyFfmpegError({ error: err })));
+    stream.on('data', onData); // Spawns ffmpeg
+  });
+}
+
+module.exports = {
+  ConfigApplyError,
+  PIPELINE_KEYS,
+  pipelineChanged,
+  probeStream
+};
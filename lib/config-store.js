@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const { MASK } = require('./credentials');
+
+// ===== CONFIG PERSISTENCE =====
+// Stream configs survive restarts in one JSON file, next to a versioned
+// history of every change: who made it, through what, and what changed.
+// The file is replaced atomically (write a temp file, then rename), so a
+// crash never leaves half a config behind. Camera credentials are stored in
+// it too, so it is written readable by its owner only. Without a file the
+// history is kept in memory.
+
+const FILE_MODE = 0o600;
+const WATCH_INTERVAL = 1000; // fs.watchFile polling; survives the rename of atomic writes
+const CREDENTIAL_KEYS = ['username', 'password'];
+
+const CONFIG_STORE_ERROR_STATUS = {
+  VERSION_NOT_FOUND: 404,
+  NOTHING_TO_RESTORE: 409
+};
+
+// Failed history lookups, with a code and the HTTP status to answer with
+class ConfigStoreError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ConfigStoreError';
+    this.code = code;
+    this.status = CONFIG_STORE_ERROR_STATUS[code] || 500;
+  }
+}
+
+// Fields whose value differs between two configs, with their new value (null when removed)
+function diffConfig(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach((key) => {
+    const oldValue = before ? before[key] : undefined;
+    const newValue = after ? after[key] : undefined;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+    changes[key] = newValue === undefined ? null : newValue;
+  });
+  return changes;
+}
+
+// History as shown over the API: credentials replaced by the mask
+function maskCredentials(config) {
+  if (!config) return config;
+  const masked = { ...config };
+  CREDENTIAL_KEYS.forEach((key) => {
+    if (masked[key]) masked[key] = MASK;
+  });
+  return masked;
+}
+
+// A history entry as shown over the API and sent to webhooks
+function publicHistoryEntry(entry) {
+  return { ...entry, changes: maskCredentials(entry.changes), config: maskCredentials(entry.config) };
+}
+
+/**
+ * Persisted stream configs and their change history.
+ *
+ * @param {object} options
+ * @param {string|null} options.file JSON file to load and save; null keeps everything in memory
+ * @param {number} options.historySize Changes kept, oldest dropped first
+ */
+class ConfigStore {
+  constructor({ file, historySize }) {
+    this.file = file ? path.resolve(file) : null;
+    this.historySize = historySize;
+    this.version = 0;
+    this.streams = {};   // Stream id -> config as last saved
+    this.history = [];   // Oldest first
+    this.lastWritten = null; // File content last read or written, so the watcher ignores our own saves
+    this.watchListener = null;
+  }
+
+  /**
+   * Read the file. A missing file is an empty store; anything unreadable
+   * throws, so a damaged file is never overwritten with defaults.
+   *
+   * @returns {{version: number, streams: object, history: object[], text: string|null}}
+   */
+  read() {
+    let text;
+    try {
+      text = fs.readFileSync(this.file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return { version: 0, streams: {}, history: [], text: null };
+      throw new Error(`Cannot read config file ${this.file}: ${err.message}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Config file ${this.file} is not valid JSON: ${err.message}`);
+    }
+    if (!data || typeof data !== 'object' || (data.streams !== undefined && (typeof data.streams !== 'object' || Array.isArray(data.streams)))) {
+      throw new Error(`Config file ${this.file} must hold an object with a "streams" object`);
+    }
+
+    return {
+      version: Number.isInteger(data.version) ? data.version : 0,
+      streams: data.streams || {},
+      history: Array.isArray(data.history) ? data.history : [],
+      text
+    };
+  }
+
+  // Load the file at startup; returns the saved stream configs
+  load() {
+    if (!this.file) return {};
+    const data = this.read();
+    this.version = data.version;
+    this.streams = data.streams;
+    this.history = data.history;
+    this.lastWritten = data.text;
+    return this.streams;
+  }
+
+  // Re-read the file after someone else edited it; returns its stream configs.
+  // The history stays ours, so entries edited by hand are overwritten on the next save.
+  reread() {
+    const data = this.read();
+    this.lastWritten = data.text;
+    return data.streams;
+  }
+
+  // Save configs the file does not have yet without recording a change, so
+  // streams passed to the constructor show up in a new file
+  track(streams) {
+    let added = false;
+    Object.entries(streams).forEach(([id, config]) => {
+      if (this.streams[id]) return;
+      this.streams[id] = config;
+      added = true;
+    });
+    if (added) this.save();
+  }
+
+  /**
+   * Record a change and save. Nothing is recorded when the config did not change.
+   *
+   * @param {object} change
+   * @param {string} change.stream Stream id
+   * @param {string} change.action add, update, reset, rollback, reload or remove
+   * @param {object|null} change.before Config before the change; null for a new stream
+   * @param {object|null} change.after Config after the change; null for a removed stream
+   * @param {string|null} [change.user] Name of the authenticated user
+   * @param {string} [change.source] rest, socket, api or file
+   * @param {number} [change.rolledBackTo] Version a rollback restored
+   * @returns {object|null} The history entry
+   */
+  commit({ stream, action, before, after, user = null, source = 'api', rolledBackTo }) {
+    const changes = diffConfig(before, after);
+    if (Object.keys(changes).length === 0 && before && after) return null;
+
+    this.version++;
+    const entry = {
+      version: this.version,
+      time: new Date().toISOString(),
+      stream,
+      action,
+      user,
+      source,
+      changes,
+      config: after
+    };
+    if (rolledBackTo !== undefined) entry.rolledBackTo = rolledBackTo;
+
+    this.history.push(entry);
+    if (this.history.length > this.historySize) {
+      this.history.splice(0, this.history.length - this.historySize);
+    }
+    if (after) {
+      this.streams[stream] = after;
+    } else {
+      delete this.streams[stream];
+    }
+
+    this.save();
+    return entry;
+  }
+
+  // Replace the file atomically; a failed write is logged and the server keeps running
+  save() {
+    if (!this.file) return;
+
+    const text = JSON.stringify({ version: this.version, streams: this.streams, history: this.history }, null, 2) + '\n';
+    const temp = `${this.file}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(temp, text, { mode: FILE_MODE });
+      fs.renameSync(temp, this.file);
+      this.lastWritten = text;
+    } catch (err) {
+      console.error(`Failed to save config file ${this.file}:`, err.message);
+      fs.rmSync(temp, { force: true });
+    }
+  }
+
+  // History entry of a version; throws for versions no longer in the history
+  find(version) {
+    const entry = this.history.find(item => item.version === version);
+    if (!entry) {
+      throw new ConfigStoreError('VERSION_NOT_FOUND', `Config version ${version} is not in the history`);
+    }
+    return entry;
+  }
+
+  /**
+   * Changes, newest first, with credentials masked.
+   *
+   * @param {object} [filter]
+   * @param {string} [filter.stream] Only this stream's changes
+   * @returns {object[]}
+   */
+  list({ stream } = {}) {
+    return this.history
+      .filter(entry => !stream || entry.stream === stream)
+      .map(publicHistoryEntry)
+      .reverse();
+  }
+
+  // Whether the file on disk differs from what this store last wrote
+  changedOnDisk() {
+    try {
+      return fs.readFileSync(this.file, 'utf8') !== this.lastWritten;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // Call `onChange` when someone else edits the file
+  watch(onChange) {
+    if (!this.file || this.watchListener) return;
+    this.watchListener = (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs || !this.changedOnDisk()) return;
+      onChange();
+    };
+    fs.watchFile(this.file, { interval: WATCH_INTERVAL }, this.watchListener);
+  }
+
+  unwatch() {
+    if (!this.watchListener) return;
+    fs.unwatchFile(this.file, this.watchListener);
+    this.watchListener = null;
+  }
+}
+
+module.exports = {
+  ConfigStore,
+  ConfigStoreError,
+  diffConfig,
+  publicHistoryEntry
+};
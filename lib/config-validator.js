@@ -0,0 +1,407 @@
+const { OVERLAY_POSITIONS } = require('./video-filters');
+
+// ===== STREAM CONFIG VALIDATION =====
+// Every config change (REST, socket.io or the public API) goes through
+// validateStreamConfig before it reaches ffmpeg.
+
+const REQUIRED_KEYS = ['rtspUrl', 'transport', 'frameRate', 'resolution', 'quality', 'ffmpegOptions'];
+const STREAM_CONFIG_KEYS = [...REQUIRED_KEYS, 'username', 'password', 'continuousRecording', 'alwaysOn', 'motion', 'hls', 'onvif', 'overlays', 'privacyMasks'];
+const TRANSPORTS = ['tcp', 'udp'];
+const RTSP_PROTOCOLS = ['rtsp:', 'rtsps:'];
+const MAX_URL_LENGTH = 2048;
+const MAX_CREDENTIAL_LENGTH = 256;
+
+// Limits for numeric settings
+const FRAME_RATE_RANGE = [1, 60];
+const QUALITY_RANGE = [1, 31]; // 1-31 (lower is better quality)
+const WIDTH_RANGE = [16, 3840];
+const HEIGHT_RANGE = [16, 2160];
+const SENSITIVITY_RANGE = [1, 100];
+const MIN_AREA_RANGE = [0.01, 100]; // Percent of the watched area
+const COOLDOWN_RANGE = [1, 300];    // Seconds
+const MAX_EXCLUSION_ZONES = 16;
+const MOTION_KEYS = ['enabled', 'sensitivity', 'minArea', 'cooldown', 'exclusionZones'];
+const HLS_KEYS = ['enabled', 'lowLatency'];
+const ONVIF_KEYS = ['url', 'profileToken'];
+const ONVIF_PROTOCOLS = ['http:', 'https:'];
+const MAX_PROFILE_TOKEN_LENGTH = 64;
+const MAX_OVERLAYS = 8;
+const OVERLAY_KEYS = ['text', 'timeFormat', 'position', 'fontSize'];
+const FONT_SIZE_RANGE = [8, 128]; // Pixels, at the stream's resolution
+const MAX_OVERLAY_TEXT_LENGTH = 200;
+const MAX_TIME_FORMAT_LENGTH = 64;
+const MAX_PRIVACY_MASKS = 16;
+const POLYGON_POINTS_RANGE = [3, 32];
+const MIN_POLYGON_AREA = 1e-6;   // Fraction of the frame; less is a line or a point
+
+// Overlay text is drawn as is: no drawtext expansions (%), quotes or backslashes
+const OVERLAY_TEXT_PATTERN = /^[^\\'%\x00-\x1f\x7f]*$/;
+// strftime conversions and plain characters; `}` would end drawtext's %{localtime}
+const TIME_FORMAT_PATTERN = /^(%[aAbBdeHIjmMpSyYzZ%]|[^%\\'{}\x00-\x1f\x7f])*$/;
+
+// ffmpeg flags a config may carry, and the values each one accepts:
+// an array of literal values, a RegExp, or `true` for flags without a value.
+// Operators can replace this with the `allowedFfmpegOptions` server setting.
+const DEFAULT_FFMPEG_OPTION_ALLOWLIST = {
+  '-fflags': /^[+-]?(nobuffer|discardcorrupt|genpts|igndts)([+-](nobuffer|discardcorrupt|genpts|igndts))*$/,
+  '-flags': ['low_delay'],
+  '-analyzeduration': /^\d{1,10}$/,
+  '-probesize': /^\d{1,10}$/,
+  '-max_delay': /^\d{1,10}$/,
+  '-reorder_queue_size': /^\d{1,6}$/,
+  '-timeout': /^\d{1,12}$/,
+  '-an': true
+};
+
+/**
+ * Thrown when a stream config fails validation.
+ * `errors` lists every problem as `{ field, message }`.
+ */
+class ConfigValidationError extends Error {
+  constructor(errors) {
+    super('Invalid stream configuration');
+    this.name = 'ConfigValidationError';
+    this.code = 'INVALID_CONFIG';
+    this.errors = errors;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkInteger(errors, field, value, [min, max]) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    errors.push({ field, message: `${field} must be an integer between ${min} and ${max}` });
+  }
+}
+
+function checkRtspUrl(errors, value) {
+  if (typeof value !== 'string' || value.length === 0 || value.length > MAX_URL_LENGTH) {
+    errors.push({ field: 'rtspUrl', message: `rtspUrl must be a string of at most ${MAX_URL_LENGTH} characters` });
+    return;
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    errors.push({ field: 'rtspUrl', message: 'rtspUrl is not a valid URL' });
+    return;
+  }
+
+  if (!RTSP_PROTOCOLS.includes(url.protocol)) {
+    errors.push({ field: 'rtspUrl', message: 'rtspUrl must use the rtsp:// or rtsps:// scheme' });
+  } else if (!url.hostname) {
+    errors.push({ field: 'rtspUrl', message: 'rtspUrl must include a host' });
+  }
+}
+
+function checkCredential(errors, field, value) {
+  if (typeof value !== 'string' || value.length > MAX_CREDENTIAL_LENGTH) {
+    errors.push({ field, message: `${field} must be a string of at most ${MAX_CREDENTIAL_LENGTH} characters` });
+  }
+}
+
+function checkResolution(errors, value) {
+  const match = typeof value === 'string' && /^(\d{1,5})x(\d{1,5})$/.exec(value);
+  if (!match) {
+    errors.push({ field: 'resolution', message: 'resolution must be in WxH format, e.g. 640x360' });
+    return;
+  }
+
+  const width = Number(match[1]);
+  const height = Number(match[2]);
+  if (width < WIDTH_RANGE[0] || width > WIDTH_RANGE[1] || height < HEIGHT_RANGE[0] || height > HEIGHT_RANGE[1]) {
+    errors.push({
+      field: 'resolution',
+      message: `resolution must be between ${WIDTH_RANGE[0]}x${HEIGHT_RANGE[0]} and ${WIDTH_RANGE[1]}x${HEIGHT_RANGE[1]}`
+    });
+  }
+}
+
+function checkFfmpegOptions(errors, value, allowlist) {
+  if (!Array.isArray(value) || !value.every(arg => typeof arg === 'string')) {
+    errors.push({ field: 'ffmpegOptions', message: 'ffmpegOptions must be an array of strings' });
+    return;
+  }
+
+  for (let i = 0; i < value.length; i++) {
+    const flag = value[i];
+    const rule = Object.prototype.hasOwnProperty.call(allowlist, flag) ? allowlist[flag] : undefined;
+
+    if (rule === undefined) {
+      errors.push({ field: `ffmpegOptions[${i}]`, message: `ffmpeg option ${flag} is not allowed` });
+      continue;
+    }
+    if (rule === true) continue;
+
+    const arg = value[i + 1];
+    const allowed = arg !== undefined && (rule instanceof RegExp ? rule.test(arg) : rule.includes(arg));
+    if (!allowed) {
+      errors.push({ field: `ffmpegOptions[${i + 1}]`, message: `Value ${JSON.stringify(arg)} is not allowed for ${flag}` });
+    }
+    i++; // Skip the flag's value
+  }
+}
+
+// Exclusion zones are rectangles given as fractions (0-1) of the frame
+function checkZone(errors, field, zone) {
+  if (!isPlainObject(zone)) {
+    errors.push({ field, message: `${field} must be an object with x, y, width and height` });
+    return;
+  }
+
+  const { x, y, width, height } = zone;
+  const inUnitRange = value => typeof value === 'number' && value >= 0 && value <= 1;
+  if (![x, y, width, height].every(inUnitRange)) {
+    errors.push({ field, message: `${field} x, y, width and height must be numbers between 0 and 1` });
+  } else if (x + width > 1 || y + height > 1) {
+    errors.push({ field, message: `${field} must lie within the frame` });
+  }
+}
+
+function checkMotion(errors, value) {
+  if (!isPlainObject(value)) {
+    errors.push({ field: 'motion', message: 'motion must be an object' });
+    return;
+  }
+
+  for (const key of Object.keys(value)) {
+    if (!MOTION_KEYS.includes(key)) {
+      errors.push({ field: `motion.${key}`, message: `Unknown motion setting: ${key}` });
+    }
+  }
+
+  if (value.enabled !== undefined && typeof value.enabled !== 'boolean') {
+    errors.push({ field: 'motion.enabled', message: 'motion.enabled must be a boolean' });
+  }
+  if (value.sensitivity !== undefined) {
+    checkInteger(errors, 'motion.sensitivity', value.sensitivity, SENSITIVITY_RANGE);
+  }
+  if (value.cooldown !== undefined) {
+    checkInteger(errors, 'motion.cooldown', value.cooldown, COOLDOWN_RANGE);
+  }
+  if (value.minArea !== undefined) {
+    const [min, max] = MIN_AREA_RANGE;
+    if (typeof value.minArea !== 'number' || value.minArea < min || value.minArea > max) {
+      errors.push({ field: 'motion.minArea', message: `motion.minArea must be a number between ${min} and ${max}` });
+    }
+  }
+  if (value.exclusionZones !== undefined) {
+    if (!Array.isArray(value.exclusionZones) || value.exclusionZones.length > MAX_EXCLUSION_ZONES) {
+      errors.push({
+        field: 'motion.exclusionZones',
+        message: `motion.exclusionZones must be an array of at most ${MAX_EXCLUSION_ZONES} zones`
+      });
+    } else {
+      value.exclusionZones.forEach((zone, i) => checkZone(errors, `motion.exclusionZones[${i}]`, zone));
+    }
+  }
+}
+
+function checkHls(errors, value) {
+  if (!isPlainObject(value)) {
+    errors.push({ field: 'hls', message: 'hls must be an object' });
+    return;
+  }
+
+  for (const key of Object.keys(value)) {
+    if (!HLS_KEYS.includes(key)) {
+      errors.push({ field: `hls.${key}`, message: `Unknown hls setting: ${key}` });
+    } else if (typeof value[key] !== 'boolean') {
+      errors.push({ field: `hls.${key}`, message: `hls.${key} must be a boolean` });
+    }
+  }
+}
+
+// The ONVIF device service; credentials come from the stream's username and password
+function checkOnvif(errors, value) {
+  if (value === null) return; // Turns PTZ off
+  if (!isPlainObject(value)) {
+    errors.push({ field: 'onvif', message: 'onvif must be an object or null' });
+    return;
+  }
+
+  for (const key of Object.keys(value)) {
+    if (!ONVIF_KEYS.includes(key)) {
+      errors.push({ field: `onvif.${key}`, message: `Unknown onvif setting: ${key}` });
+    }
+  }
+
+  let url = null;
+  try {
+    url = typeof value.url === 'string' && value.url.length <= MAX_URL_LENGTH ? new URL(value.url) : null;
+  } catch (e) {
+    url = null;
+  }
+  if (!url || !ONVIF_PROTOCOLS.includes(url.protocol) || !url.hostname) {
+    errors.push({ field: 'onvif.url', message: 'onvif.url must be an http:// or https:// URL of the device service' });
+  } else if (url.username || url.password) {
+    errors.push({ field: 'onvif.url', message: 'onvif.url must not contain credentials; the stream\'s username and password are used' });
+  }
+
+  if (value.profileToken !== undefined && value.profileToken !== null
+    && (typeof value.profileToken !== 'string' || !value.profileToken || value.profileToken.length > MAX_PROFILE_TOKEN_LENGTH)) {
+    errors.push({
+      field: 'onvif.profileToken',
+      message: `onvif.profileToken must be a string of 1-${MAX_PROFILE_TOKEN_LENGTH} characters`
+    });
+  }
+}
+
+function checkOverlays(errors, value) {
+  if (!Array.isArray(value) || value.length > MAX_OVERLAYS) {
+    errors.push({ field: 'overlays', message: `overlays must be an array of at most ${MAX_OVERLAYS} overlays` });
+    return;
+  }
+
+  value.forEach((overlay, i) => {
+    const field = `overlays[${i}]`;
+    if (!isPlainObject(overlay)) {
+      errors.push({ field, message: `${field} must be an object with text and/or timeFormat` });
+      return;
+    }
+
+    for (const key of Object.keys(overlay)) {
+      if (!OVERLAY_KEYS.includes(key)) {
+        errors.push({ field: `${field}.${key}`, message: `Unknown overlay setting: ${key}` });
+      }
+    }
+    if (!overlay.text && !overlay.timeFormat) {
+      errors.push({ field, message: `${field} needs text, timeFormat or both` });
+    }
+    if (overlay.text !== undefined && (typeof overlay.text !== 'string'
+      || overlay.text.length > MAX_OVERLAY_TEXT_LENGTH || !OVERLAY_TEXT_PATTERN.test(overlay.text))) {
+      errors.push({
+        field: `${field}.text`,
+        message: `${field}.text must be a string of at most ${MAX_OVERLAY_TEXT_LENGTH} characters without %, ', \\ or control characters`
+      });
+    }
+    if (overlay.timeFormat !== undefined && (typeof overlay.timeFormat !== 'string'
+      || overlay.timeFormat.length > MAX_TIME_FORMAT_LENGTH || !TIME_FORMAT_PATTERN.test(overlay.timeFormat))) {
+      errors.push({
+        field: `${field}.timeFormat`,
+        message: `${field}.timeFormat must be a strftime format of at most ${MAX_TIME_FORMAT_LENGTH} characters using %a %A %b %B %d %e %H %I %j %m %M %p %S %y %Y %z %Z or %%`
+      });
+    }
+    if (overlay.position !== undefined && !Object.keys(OVERLAY_POSITIONS).includes(overlay.position)) {
+      errors.push({
+        field: `${field}.position`,
+        message: `${field}.position must be one of: ${Object.keys(OVERLAY_POSITIONS).join(', ')}`
+      });
+    }
+    if (overlay.fontSize !== undefined) checkInteger(errors, `${field}.fontSize`, overlay.fontSize, FONT_SIZE_RANGE);
+  });
+}
+
+// Shoelace formula; self-intersecting polygons may cancel out parts, which only errs towards rejecting them
+function polygonArea(points) {
+  const sum = points.reduce((total, [x, y], i) => {
+    const [nextX, nextY] = points[(i + 1) % points.length];
+    return total + x * nextY - nextX * y;
+  }, 0);
+  return Math.abs(sum) / 2;
+}
+
+// Privacy masks are rectangles like exclusion zones, or polygons of [x, y] points, in fractions of the frame
+function checkPrivacyMasks(errors, value) {
+  if (!Array.isArray(value) || value.length > MAX_PRIVACY_MASKS) {
+    errors.push({ field: 'privacyMasks', message: `privacyMasks must be an array of at most ${MAX_PRIVACY_MASKS} masks` });
+    return;
+  }
+
+  value.forEach((mask, i) => {
+    const field = `privacyMasks[${i}]`;
+    if (!isPlainObject(mask) || mask.points === undefined) {
+      const before = errors.length;
+      checkZone(errors, field, mask);
+      if (errors.length === before && (mask.width === 0 || mask.height === 0)) {
+        errors.push({ field, message: `${field} must have a width and height above 0` });
+      }
+      return;
+    }
+
+    const [min, max] = POLYGON_POINTS_RANGE;
+    const inUnitRange = coordinate => typeof coordinate === 'number' && coordinate >= 0 && coordinate <= 1;
+    if (Object.keys(mask).length > 1) {
+      errors.push({ field, message: `${field} must have either points or x, y, width and height` });
+    } else if (!Array.isArray(mask.points) || mask.points.length < min || mask.points.length > max) {
+      errors.push({ field: `${field}.points`, message: `${field}.points must be an array of ${min}-${max} points` });
+    } else if (!mask.points.every(point => Array.isArray(point) && point.length === 2 && point.every(inUnitRange))) {
+      errors.push({ field: `${field}.points`, message: `${field}.points must be [x, y] pairs of numbers between 0 and 1` });
+    } else if (polygonArea(mask.points) < MIN_POLYGON_AREA) {
+      errors.push({ field: `${field}.points`, message: `${field}.points must enclose an area, not lie on a line` });
+    }
+  });
+}
+
+/**
+ * Validate a stream config (or a partial update of one).
+ *
+ * @param {object} input Config received from a client or an operator
+ * @param {object} [options]
+ * @param {boolean} [options.partial] Only check the keys that are present
+ * @param {object} [options.allowedFfmpegOptions] ffmpeg flag allowlist
+ * @returns {object} Copy of `input` with only stream config keys
+ * @throws {ConfigValidationError}
+ */
+function validateStreamConfig(input, options = {}) {
+  const { partial = false, allowedFfmpegOptions = DEFAULT_FFMPEG_OPTION_ALLOWLIST } = options;
+  const errors = [];
+
+  if (!isPlainObject(input)) {
+    throw new ConfigValidationError([{ field: '', message: 'Configuration must be a JSON object' }]);
+  }
+
+  for (const key of Object.keys(input)) {
+    if (!STREAM_CONFIG_KEYS.includes(key)) {
+      errors.push({ field: key, message: `Unknown configuration key: ${key}` });
+    }
+  }
+
+  for (const key of REQUIRED_KEYS) {
+    if (input[key] === undefined && !partial) {
+      errors.push({ field: key, message: `${key} is required` });
+    }
+  }
+
+  if (input.rtspUrl !== undefined) checkRtspUrl(errors, input.rtspUrl);
+  if (input.transport !== undefined && !TRANSPORTS.includes(input.transport)) {
+    errors.push({ field: 'transport', message: `transport must be one of: ${TRANSPORTS.join(', ')}` });
+  }
+  if (input.frameRate !== undefined) checkInteger(errors, 'frameRate', input.frameRate, FRAME_RATE_RANGE);
+  if (input.quality !== undefined) checkInteger(errors, 'quality', input.quality, QUALITY_RANGE);
+  if (input.resolution !== undefined) checkResolution(errors, input.resolution);
+  if (input.ffmpegOptions !== undefined) checkFfmpegOptions(errors, input.ffmpegOptions, allowedFfmpegOptions);
+  if (input.username !== undefined) checkCredential(errors, 'username', input.username);
+  if (input.password !== undefined) checkCredential(errors, 'password', input.password);
+  if (input.continuousRecording !== undefined && typeof input.continuousRecording !== 'boolean') {
+    errors.push({ field: 'continuousRecording', message: 'continuousRecording must be a boolean' });
+  }
+  if (input.alwaysOn !== undefined && typeof input.alwaysOn !== 'boolean') {
+    errors.push({ field: 'alwaysOn', message: 'alwaysOn must be a boolean' });
+  }
+  if (input.motion !== undefined) checkMotion(errors, input.motion);
+  if (input.hls !== undefined) checkHls(errors, input.hls);
+  if (input.onvif !== undefined) checkOnvif(errors, input.onvif);
+  if (input.overlays !== undefined) checkOverlays(errors, input.overlays);
+  if (input.privacyMasks !== undefined) checkPrivacyMasks(errors, input.privacyMasks);
+
+  if (errors.length > 0) {
+    throw new ConfigValidationError(errors);
+  }
+
+  const config = {};
+  for (const key of STREAM_CONFIG_KEYS) {
+    if (input[key] !== undefined) config[key] = input[key];
+  }
+  return config;
+}
+
+module.exports = {
+  validateStreamConfig,
+  ConfigValidationError,
+  DEFAULT_FFMPEG_OPTION_ALLOWLIST,
+  STREAM_CONFIG_KEYS
+};
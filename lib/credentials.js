@@ -0,0 +1,112 @@
+const fs = require('fs');
+
+// ===== CAMERA CREDENTIALS =====
+// Usernames and passwords are stored next to the stream config, never inside
+// `rtspUrl`. They are only put back into the URL handed to ffmpeg; everything
+// sent to clients carries a masked URL instead.
+
+const MASK = '***';
+
+/**
+ * Split the userinfo out of an RTSP URL.
+ *
+ * @returns {{url: string, username: string|undefined, password: string|undefined}}
+ */
+function splitUrlCredentials(rtspUrl) {
+  let url;
+  try {
+    url = new URL(rtspUrl);
+  } catch (e) {
+    return { url: rtspUrl, username: undefined, password: undefined };
+  }
+
+  const username = url.username ? decodeURIComponent(url.username) : undefined;
+  const password = url.password ? decodeURIComponent(url.password) : undefined;
+  url.username = '';
+  url.password = '';
+  return { url: url.toString(), username, password };
+}
+
+// Whether credentials are the placeholders of a masked URL sent back by a client
+function isMasked(username, password) {
+  return username === MASK && (password === undefined || password === MASK);
+}
+
+// Put credentials into an RTSP URL for ffmpeg
+function withCredentials(rtspUrl, username, password) {
+  if (!username) return rtspUrl;
+
+  const url = new URL(rtspUrl);
+  url.username = encodeURIComponent(username);
+  if (password) {
+    url.password = encodeURIComponent(password);
+  }
+  return url.toString();
+}
+
+// Whether two RTSP URLs point at the same host and port, so credentials for one apply to the other
+function sameCameraHost(a, b) {
+  try {
+    return new URL(a).host === new URL(b).host;
+  } catch (e) {
+    return false;
+  }
+}
+
+// URL safe to show to clients: credentials, if any, become `***:***`
+function maskRtspUrl(rtspUrl, hasCredentials) {
+  const { url } = splitUrlCredentials(rtspUrl);
+  return hasCredentials ? withCredentials(url, MASK, MASK) : url;
+}
+
+// `front-door` -> `FRONT_DOOR`, for environment variable names
+function envName(streamId) {
+  return streamId.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+/**
+ * Look up credentials for a stream outside of its config.
+ *
+ * The secrets file is JSON mapping stream ids to `{ username, password }` and
+ * is read on every call, so rotated secrets apply on the next ffmpeg start.
+ * Environment variables `RTSP_<ID>_USERNAME` and `RTSP_<ID>_PASSWORD` are
+ * used when the file has no entry.
+ *
+ * @param {string} streamId
+ * @param {object} [options]
+ * @param {string} [options.secretsFile] Path to the JSON secrets file
+ * @param {object} [options.env] Environment to read, defaults to process.env
+ * @returns {{username?: string, password?: string}}
+ */
+function loadStreamCredentials(streamId, options = {}) {
+  const { secretsFile, env = process.env } = options;
+
+  if (secretsFile) {
+    try {
+      const secrets = JSON.parse(fs.readFileSync(secretsFile, 'utf8'));
+      const entry = secrets[streamId];
+      if (entry && entry.username) {
+        return { username: entry.username, password: entry.password };
+      }
+    } catch (e) {
+      console.error(`Failed to read secrets file ${secretsFile}:`, e.message);
+    }
+  }
+
+  const prefix = `RTSP_${envName(streamId)}_`;
+  if (env[`${prefix}USERNAME`]) {
+    return { username: env[`${prefix}USERNAME`], password: env[`${prefix}PASSWORD`] };
+  }
+
+  return {};
+}
+
+module.exports = {
+  splitUrlCredentials,
+  withCredentials,
+  maskRtspUrl,
+  isMasked,
+  sameCameraHost,
+  loadStreamCredentials,
+  MASK
+};
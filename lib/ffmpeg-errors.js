@@ -0,0 +1,129 @@
+// ===== FFMPEG ERROR CLASSIFICATION =====
+// ffmpeg's stderr and exit status are turned into one of a fixed set of error
+// codes, each with a message that can be shown to viewers as-is.
+
+const ERROR_MESSAGES = {
+  AUTH_FAILED: 'Camera rejected the credentials (401 Unauthorized)',
+  NOT_FOUND: 'Stream path not found on the camera (404 Not Found)',
+  DNS_FAILURE: 'Camera host name could not be resolved',
+  CONNECTION_REFUSED: 'Failed to connect to RTSP stream: Connection refused',
+  TIMEOUT: 'Stream connection timed out',
+  UNSUPPORTED_CODEC: 'The camera sends a codec ffmpeg cannot decode',
+  TRANSPORT_MISMATCH: 'Camera does not support the selected transport; try switching between tcp and udp',
+  FFMPEG_NOT_FOUND: 'ffmpeg executable was not found',
+  STALLED: 'Stream stopped producing frames',
+  PROCESS_EXIT: 'ffmpeg exited unexpectedly',
+  STREAM_ERROR: 'Stream error occurred'
+};
+
+// First match wins, so the more specific RTSP status codes come first
+const STDERR_PATTERNS = [
+  ['AUTH_FAILED', /\b401\b.*Unauthorized|method \w+ failed: 401/i],
+  ['NOT_FOUND', /\b404\b.*Not Found|method \w+ failed: 404|Server returned 404/i],
+  ['TRANSPORT_MISMATCH', /\b461\b|Unsupported transport|Nonmatching transport/i],
+  ['DNS_FAILURE', /Name or service not known|nodename nor servname|Temporary failure in name resolution|Failed to resolve hostname|No address associated with hostname/i],
+  ['CONNECTION_REFUSED', /Connection refused/i],
+  ['TIMEOUT', /timed out|Connection timeout|Operation timed out/i],
+  ['UNSUPPORTED_CODEC', /Unsupported codec|Decoder \(codec [^)]*\) not found|codec not currently supported|Could not find codec parameters/i]
+];
+
+const STDERR_TAIL_LINES = 10; // Lines of stderr kept with each error
+
+// Hide credentials ffmpeg may print as part of the input URL
+function redactLine(line) {
+  return line.replace(/(rtsps?:\/\/)[^\s/@]+@/gi, '$1***:***@');
+}
+
+/**
+ * Last lines of a child process's stderr, with credentials redacted.
+ *
+ * @param {number} [maxLines]
+ */
+class StderrTail {
+  constructor(maxLines = 50) {
+    this.maxLines = maxLines;
+    this.lines = [];
+    this.partial = '';
+  }
+
+  push(chunk) {
+    const text = this.partial + chunk.toString();
+    const parts = text.split(/\r?\n|\r/);
+    this.partial = parts.pop();
+
+    for (const line of parts) {
+      if (line.trim()) this.lines.push(redactLine(line.trim()));
+    }
+    if (this.lines.length > this.maxLines) {
+      this.lines.splice(0, this.lines.length - this.maxLines);
+    }
+  }
+
+  // Complete lines plus whatever is still unterminated
+  tail(count = STDERR_TAIL_LINES) {
+    const lines = this.partial.trim() ? [...this.lines, redactLine(this.partial.trim())] : this.lines;
+    return lines.slice(-count);
+  }
+
+  clear() {
+    this.lines = [];
+    this.partial = '';
+  }
+}
+
+/**
+ * Classify a failed ffmpeg run.
+ *
+ * @param {object} failure
+ * @param {string[]} [failure.stderr] Last stderr lines
+ * @param {number|null} [failure.exitCode]
+ * @param {string|null} [failure.signal]
+ * @param {Error} [failure.error] Spawn or stream error
+ * @param {string} [failure.code] Known code, e.g. STALLED from the watchdog
+ * @param {string} [failure.detail] What happened, if not an exit
+ * @returns {{code: string, message: string, detail: string, exitCode: number|null,
+ *   signal: string|null, stderr: string[], time: string}}
+ */
+function classifyFfmpegError({ stderr = [], exitCode = null, signal = null, error = null, code = null, detail = null }) {
+  let resolved = code;
+
+  if (!resolved && error && error.code === 'ENOENT') {
+    resolved = 'FFMPEG_NOT_FOUND';
+  }
+  if (!resolved) {
+    const text = [...stderr, error ? error.message : ''].join('\n');
+    const match = STDERR_PATTERNS.find(([, pattern]) => pattern.test(text));
+    if (match) resolved = match[0];
+  }
+  if (!resolved) {
+    resolved = exitCode !== null || signal ? 'PROCESS_EXIT' : 'STREAM_ERROR';
+  }
+
+  let description = detail;
+  if (!description) {
+    if (error) {
+      description = redactLine(error.message);
+    } else if (exitCode !== null || signal) {
+      description = `ffmpeg exited with ${signal || `code ${exitCode}`}`;
+    } else {
+      description = ERROR_MESSAGES[resolved];
+    }
+  }
+
+  return {
+    code: resolved,
+    message: ERROR_MESSAGES[resolved],
+    detail: description,
+    exitCode,
+    signal,
+    stderr: stderr.slice(-STDERR_TAIL_LINES),
+    time: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  ERROR_MESSAGES,
+  StderrTail,
+  classifyFfmpegError,
+  redactLine
+};
@@ -0,0 +1,338 @@
+const { spawn } = require('child_process');
+const rtspFFmpeg = require('rtsp-ffmpeg');
+const { ReconnectStateMachine } = require('./reconnect');
+const { StderrTail, classifyFfmpegError } = require('./ffmpeg-errors');
+const { buildFilterGraph } = require('./video-filters');
+
+// ===== FRAGMENTED MP4 PASSTHROUGH =====
+// A second ffmpeg copies the camera's H.264 video without re-encoding and
+// muxes it as fragmented MP4. Viewers get the init segment (ftyp + moov) once,
+// then moof + mdat fragments from the next keyframe on, and play them with
+// Media Source Extensions. The MJPEG pipeline is not involved. Streams with
+// privacy masks or overlays are re-encoded instead, since those have to be
+// burned into the picture.
+
+const FRAGMENT_DURATION = 100000;  // Microseconds; fragments are also cut at keyframes
+const MAX_PENDING_PACKETS = 50;    // A viewer further behind skips to the next keyframe
+const TRUN_FIRST_SAMPLE_FLAGS = 0x4;
+const TFHD_DEFAULT_SAMPLE_FLAGS = 0x20;
+const SAMPLE_IS_NON_SYNC = 0x10000;
+
+// Yield [type, start, end] for each box in buf[start, end)
+function* boxes(buf, start = 0, end = buf.length) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    const size = buf.readUInt32BE(offset);
+    const type = buf.toString('latin1', offset + 4, offset + 8);
+    if (size < 8 || offset + size > end) return;
+    yield [type, offset, offset + size];
+    offset += size;
+  }
+}
+
+function findBox(buf, type, start, end) {
+  for (const box of boxes(buf, start, end)) {
+    if (box[0] === type) return box;
+  }
+  return null;
+}
+
+/**
+ * Whether a moof's first sample is a sync sample (keyframe), from trun's
+ * first_sample_flags or tfhd's default_sample_flags. Without either, ffmpeg
+ * only writes fragments that start at a keyframe.
+ *
+ * @param {Buffer} moof Complete moof box
+ * @returns {boolean}
+ */
+function startsWithKeyframe(moof) {
+  const traf = findBox(moof, 'traf', 8, moof.length);
+  if (!traf) return false;
+
+  const trun = findBox(moof, 'trun', traf[1] + 8, traf[2]);
+  if (trun) {
+    const flags = moof.readUInt32BE(trun[1] + 8) & 0xffffff;
+    if (flags & TRUN_FIRST_SAMPLE_FLAGS) {
+      const offset = trun[1] + 16 + (flags & 0x1 ? 4 : 0);
+      return !(moof.readUInt32BE(offset) & SAMPLE_IS_NON_SYNC);
+    }
+  }
+
+  const tfhd = findBox(moof, 'tfhd', traf[1] + 8, traf[2]);
+  if (tfhd) {
+    const flags = moof.readUInt32BE(tfhd[1] + 8) & 0xffffff;
+    if (flags & TFHD_DEFAULT_SAMPLE_FLAGS) {
+      // Optional fields before default_sample_flags: base_data_offset (8), then 4 bytes each
+      let offset = tfhd[1] + 16;
+      if (flags & 0x1) offset += 8;
+      if (flags & 0x2) offset += 4;
+      if (flags & 0x8) offset += 4;
+      if (flags & 0x10) offset += 4;
+      return !(moof.readUInt32BE(offset) & SAMPLE_IS_NON_SYNC);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * RFC 6381 codec string of an H.264 init segment, e.g. `avc1.64001f`.
+ *
+ * @param {Buffer} init ftyp + moov
+ * @returns {string|null} null when the video is not H.264
+ */
+function avcCodecString(init) {
+  const index = init.indexOf('avcC', 0, 'latin1');
+  if (index === -1 || index + 8 > init.length) return null;
+
+  const hex = byte => byte.toString(16).padStart(2, '0');
+  return `avc1.${hex(init[index + 5])}${hex(init[index + 6])}${hex(init[index + 7])}`;
+}
+
+/**
+ * Splits an fMP4 byte stream into the init segment and moof + mdat fragments.
+ *
+ * @param {object} handlers
+ * @param {function(Buffer): void} handlers.onInit
+ * @param {function(Buffer, boolean): void} handlers.onFragment Fragment and whether it starts with a keyframe
+ */
+class Fmp4Parser {
+  constructor({ onInit, onFragment }) {
+    this.onInit = onInit;
+    this.onFragment = onFragment;
+    this.buffer = Buffer.alloc(0);
+    this.initParts = [];
+    this.moof = null;
+  }
+
+  push(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    while (this.buffer.length >= 8) {
+      const size = this.buffer.readUInt32BE(0);
+      if (size < 8) throw new Error(`Unsupported MP4 box size ${size}`);
+      if (this.buffer.length < size) return;
+
+      const box = Buffer.from(this.buffer.subarray(0, size));
+      this.buffer = this.buffer.subarray(size);
+      this.handleBox(box.toString('latin1', 4, 8), box);
+    }
+  }
+
+  handleBox(type, box) {
+    if (type === 'ftyp') {
+      this.initParts = [box];
+    } else if (type === 'moov') {
+      this.onInit(Buffer.concat([...this.initParts, box]));
+      this.initParts = [];
+    } else if (type === 'moof') {
+      this.moof = box;
+    } else if (type === 'mdat' && this.moof) {
+      const moof = this.moof;
+      this.moof = null;
+      this.onFragment(Buffer.concat([moof, box]), startsWithKeyframe(moof));
+    }
+  }
+}
+
+/**
+ * fMP4 output of one stream, running while at least one fMP4 viewer is connected.
+ *
+ * Viewers are socket.io sockets. Each receives `fmp4-init` (`{ codec, mimeType,
+ * data }`) and then `fmp4-fragment` buffers, starting at a keyframe. If the
+ * camera does not send H.264, viewers receive `fmp4-unsupported` and should
+ * fall back to MJPEG. ffmpeg failures are retried through a
+ * ReconnectStateMachine, like the MJPEG pipeline's.
+ *
+ * @param {CameraStream} stream
+ */
+class Fmp4Output {
+  constructor(stream) {
+    this.stream = stream;
+    this.room = `${stream.room}:fmp4`;
+    this.clients = new Map(); // Socket ID -> { socket, synced }
+    this.child = null;
+    this.init = null;         // { codec, mimeType, data }
+
+    this.connection = new ReconnectStateMachine(stream.manager.config.reconnect, {
+      retry: () => this.start(),
+      wanted: () => this.clients.size > 0,
+      onChange: state => this.emit('stream-status', { status: state.state, output: 'fmp4', ...state })
+    });
+  }
+
+  emit(event, data) {
+    const io = this.stream.manager.io;
+    if (io) {
+      io.to(this.room).emit(event, { streamId: this.stream.id, ...data });
+    }
+  }
+
+  addClient(socket) {
+    socket.join(this.room);
+    this.clients.set(socket.id, { socket, synced: false });
+    if (this.init) {
+      socket.emit('fmp4-init', { streamId: this.stream.id, ...this.init });
+    }
+    if (!this.child && this.connection.canConnect) {
+      this.start();
+    }
+  }
+
+  removeClient(socket) {
+    if (!this.clients.delete(socket.id)) return;
+    socket.leave(this.room);
+    this.stream.metrics.removeClient(this.stream.id, socket.id);
+    if (this.clients.size === 0) {
+      this.connection.stop();
+      this.stop();
+    }
+  }
+
+  start(config = this.stream.activeConfig) {
+    this.stop();
+
+    // A keyframe a second, so new viewers do not wait long for their first fragment
+    const filterGraph = buildFilterGraph(config);
+    const video = filterGraph
+      ? [
+        '-vf', filterGraph,
+        '-c:v', 'libx264', '-preset', 'veryfast', '-tune', 'zerolatency', '-pix_fmt', 'yuv420p',
+        '-r', String(config.frameRate), '-g', String(config.frameRate)
+      ]
+      : ['-c:v', 'copy'];
+
+    const stderr = new StderrTail();
+    const child = spawn(rtspFFmpeg.FFMpeg.cmd, [
+      '-loglevel', 'error',
+      '-rtsp_transport', config.transport,
+      ...config.ffmpegOptions,
+      '-i', this.stream.inputUrl(config),
+      '-map', '0:v:0', ...video, '-an',
+      '-f', 'mp4',
+      '-movflags', 'frag_keyframe+empty_moov+default_base_moof',
+      '-frag_duration', String(FRAGMENT_DURATION),
+      'pipe:1'
+    ]);
+    this.child = child;
+    console.log(`fMP4 output started: ${this.stream.id}`);
+    this.connection.connecting();
+
+    const parser = new Fmp4Parser({
+      onInit: data => this.handleInit(data),
+      onFragment: (data, keyframe) => this.handleFragment(data, keyframe)
+    });
+    let failure = null;
+
+    child.stdout.on('data', (chunk) => {
+      if (this.child !== child) return;
+      try {
+        parser.push(chunk);
+      } catch (err) {
+        failure = { error: err };
+        child.kill();
+      }
+    });
+    child.stderr.on('data', chunk => stderr.push(chunk));
+    child.on('error', (err) => {
+      failure = { error: err };
+    });
+    child.on('close', (code, signal) => {
+      if (this.child !== child) return;
+      this.child = null;
+      this.init = null;
+      if (this.clients.size === 0) return;
+
+      const error = classifyFfmpegError({ exitCode: code, signal, ...failure, stderr: stderr.tail() });
+      console.error(`fMP4 output failed (${this.stream.id}): [${error.code}] ${error.detail}`);
+      const { message, ...rest } = error;
+      this.emit('stream-error', { error: message, output: 'fmp4', ...rest });
+      this.connection.fail(message);
+    });
+  }
+
+  handleInit(data) {
+    const codec = avcCodecString(data);
+    if (!codec) {
+      // Passthrough cannot help; viewers switch to MJPEG
+      console.warn(`fMP4 output (${this.stream.id}): camera does not send H.264`);
+      this.emit('fmp4-unsupported', { error: 'The camera does not send H.264 video' });
+      this.connection.stop();
+      this.stop();
+      return;
+    }
+
+    this.init = { codec, mimeType: `video/mp4; codecs="${codec}"`, data };
+    this.clients.forEach((client) => {
+      client.synced = false;
+    });
+    this.emit('fmp4-init', this.init);
+  }
+
+  // Send a fragment to every viewer that has seen a keyframe since the init segment
+  handleFragment(data, keyframe) {
+    if (!this.init) return;
+    this.connection.connected();
+
+    this.clients.forEach((client, id) => {
+      const { socket } = client;
+      if (!socket.connected) return;
+
+      const labels = { stream: this.stream.id, client: id, transport: 'fmp4' };
+
+      // A viewer that falls behind skips ahead to the next keyframe
+      if (socket.conn.writeBuffer.length > MAX_PENDING_PACKETS) {
+        client.synced = false;
+        this.stream.metrics.framesDropped.inc(labels);
+        return;
+      }
+      if (!client.synced) {
+        if (!keyframe) return; // New viewers start at a keyframe
+        client.synced = true;
+      }
+
+      socket.emit('fmp4-fragment', data);
+      this.stream.metrics.framesDelivered.inc(labels);
+      this.stream.metrics.bytesSent.inc({ stream: this.stream.id, transport: 'fmp4' }, data.length);
+    });
+  }
+
+  // Apply a new stream config; a running output is restarted with it
+  restart() {
+    this.connection.reset();
+    if (this.clients.size > 0) {
+      this.start();
+    }
+  }
+
+  stop() {
+    if (!this.child) return;
+    const child = this.child;
+    this.child = null;
+    this.init = null;
+    child.kill();
+    console.log(`fMP4 output stopped: ${this.stream.id}`);
+  }
+
+  getState() {
+    return {
+      viewers: this.clients.size,
+      running: !!this.child,
+      codec: this.init ? this.init.codec : null,
+      connection: this.connection.getState()
+    };
+  }
+
+  close() {
+    this.clients.clear();
+    this.connection.reset();
+    this.stop();
+  }
+}
+
+module.exports = {
+  Fmp4Output,
+  Fmp4Parser,
+  startsWithKeyframe,
+  avcCodecString
+};
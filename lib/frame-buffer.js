@@ -0,0 +1,77 @@
+// ===== PRE-EVENT FRAME BUFFER =====
+
+/**
+ * Ring buffer of a stream's most recent frames with their capture times.
+ *
+ * Frames older than `duration` seconds are dropped, and so are the oldest
+ * frames whenever the buffer would exceed `maxBytes`.
+ *
+ * @param {object} options
+ * @param {number} options.duration Seconds of history to keep; 0 disables the buffer
+ * @param {number} options.maxBytes Memory cap for the buffered frames
+ */
+class FrameBuffer {
+  constructor({ duration, maxBytes }) {
+    this.duration = duration;
+    this.maxBytes = maxBytes;
+    this.frames = []; // { data, time }, oldest first
+    this.bytes = 0;
+    this.evictedFrames = 0; // Frames dropped to stay under maxBytes
+  }
+
+  push(data, time) {
+    if (!this.duration) return;
+
+    this.frames.push({ data, time });
+    this.bytes += data.length;
+    this.trim(time);
+  }
+
+  // Drop frames past the time window, then the oldest ones above the memory cap
+  trim(now = Date.now()) {
+    const cutoff = now - this.duration * 1000;
+    let drop = 0;
+    let bytes = this.bytes;
+
+    while (drop < this.frames.length && this.frames[drop].time < cutoff) {
+      bytes -= this.frames[drop].data.length;
+      drop++;
+    }
+    while (drop < this.frames.length && bytes > this.maxBytes) {
+      bytes -= this.frames[drop].data.length;
+      this.evictedFrames++;
+      drop++;
+    }
+
+    if (drop > 0) {
+      this.frames.splice(0, drop);
+      this.bytes = bytes;
+    }
+  }
+
+  // Frames captured at or after `time`, oldest first
+  since(time) {
+    this.trim();
+    const start = this.frames.findIndex(frame => frame.time >= time);
+    return start === -1 ? [] : this.frames.slice(start);
+  }
+
+  clear() {
+    this.frames = [];
+    this.bytes = 0;
+  }
+
+  getState() {
+    const oldest = this.frames[0];
+    return {
+      duration: this.duration,
+      frames: this.frames.length,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      oldestFrameAge: oldest ? Date.now() - oldest.time : null,
+      evictedFrames: this.evictedFrames
+    };
+  }
+}
+
+module.exports = FrameBuffer;
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const rtspFFmpeg = require('rtsp-ffmpeg');
+const { ReconnectStateMachine } = require('./reconnect');
+const { StderrTail, classifyFfmpegError } = require('./ffmpeg-errors');
+const { buildFilterGraph } = require('./video-filters');
+
+// ===== HLS OUTPUT =====
+// For players that only understand HLS, an ffmpeg process per stream writes a
+// rolling playlist and segments into a temp directory that Express serves.
+// It runs while HLS viewers keep polling and the directory is removed when
+// the last one goes away. Each run writes into its own subdirectory, removed
+// once its ffmpeg has exited, so a restart never serves the old run's files.
+
+const HLS_PROFILES = {
+  // H.264 copied from the camera; segments can only be cut at its keyframes
+  standard: { segmentDuration: 2, playlistSize: 6, encode: false },
+  // Re-encoded with a keyframe at every segment boundary, for a few seconds of latency
+  lowLatency: { segmentDuration: 1, playlistSize: 3, encode: true }
+};
+
+const DEFAULT_HLS_CONFIG = { enabled: false, lowLatency: false };
+const PLAYLIST = 'index.m3u8';
+const FILE_PATTERN = /^(index\.m3u8|segment-\d{5}\.ts)$/;
+const READY_POLL_INTERVAL = 250;
+
+// Viewers are anonymous HTTP pollers, told apart by address and user agent
+function hlsViewerKey(req) {
+  return `${req.ip} ${req.get('user-agent') || ''}`;
+}
+
+// Segment URLs are relative; carry a query token over so every request is authorized
+function rewritePlaylist(text, accessToken) {
+  if (typeof accessToken !== 'string' || !accessToken) return text;
+  const query = `?access_token=${encodeURIComponent(accessToken)}`;
+  return text.split('\n').map(line => (line && !line.startsWith('#') ? line + query : line)).join('\n');
+}
+
+/**
+ * HLS output of one stream.
+ *
+ * A viewer counts as watching while it requests the playlist or segments at
+ * least every `viewerTimeout` seconds; the server's watchdog calls
+ * `expireViewers()`. Failures are retried through a ReconnectStateMachine,
+ * like the MJPEG pipeline's.
+ *
+ * @param {CameraStream} stream
+ */
+class HlsOutput {
+  constructor(stream) {
+    this.stream = stream;
+    this.options = stream.manager.config.hlsOutput;
+    this.viewers = new Map(); // Viewer key -> last request time
+    this.child = null;
+    this.dir = path.join(this.options.dir, stream.id);
+    this.runDir = null;       // Playlist and segments of the current run
+    this.runs = 0;
+    this.ready = false;       // Whether the current run has written a playlist
+    this.readyTimer = null;
+    this.waiters = [];        // playlistReady() calls waiting for the first playlist
+
+    this.connection = new ReconnectStateMachine(stream.manager.config.reconnect, {
+      retry: () => this.start(),
+      wanted: () => this.viewers.size > 0,
+      onChange: () => {}
+    });
+  }
+
+  get config() {
+    return { ...DEFAULT_HLS_CONFIG, ...this.stream.activeConfig.hls };
+  }
+
+  get enabled() {
+    return this.config.enabled;
+  }
+
+  get profileName() {
+    return this.config.lowLatency ? 'lowLatency' : 'standard';
+  }
+
+  // A viewer requested the playlist or a segment; the first one starts ffmpeg
+  touch(key) {
+    this.viewers.set(key, Date.now());
+    this.stream.updateViewerCount();
+    if (!this.child && this.connection.canConnect) {
+      this.start();
+    }
+  }
+
+  // Forget viewers that stopped polling, and stop ffmpeg after the last one
+  expireViewers(now = Date.now()) {
+    const timeout = this.options.viewerTimeout * 1000;
+    this.viewers.forEach((lastSeen, key) => {
+      if (now - lastSeen > timeout) this.viewers.delete(key);
+    });
+    this.stream.updateViewerCount();
+
+    if (this.viewers.size === 0 && (this.child || this.connection.state !== 'idle')) {
+      this.connection.stop();
+      this.stop();
+    }
+  }
+
+  ffmpegArgs(config) {
+    const { segmentDuration, playlistSize, encode } = HLS_PROFILES[this.profileName];
+    // Privacy masks and overlays cannot be applied to copied video
+    const filterGraph = buildFilterGraph(config);
+    const video = encode || filterGraph
+      ? [
+        ...(filterGraph ? ['-vf', filterGraph] : []),
+        '-c:v', 'libx264', '-preset', 'veryfast', '-tune', 'zerolatency',
+        '-r', String(config.frameRate), '-s', config.resolution,
+        '-g', String(config.frameRate * segmentDuration), '-keyint_min', String(config.frameRate * segmentDuration),
+        '-sc_threshold', '0'
+      ]
+      : ['-c:v', 'copy'];
+
+    return [
+      '-loglevel', 'error',
+      '-rtsp_transport', config.transport,
+      ...config.ffmpegOptions,
+      '-i', this.stream.inputUrl(config),
+      '-map', '0:v:0', '-an',
+      ...video,
+      '-f', 'hls',
+      '-hls_time', String(segmentDuration),
+      '-hls_list_size', String(playlistSize),
+      '-hls_flags', 'delete_segments+independent_segments+omit_endlist',
+      '-hls_segment_filename', path.join(this.runDir, 'segment-%05d.ts'),
+      path.join(this.runDir, PLAYLIST)
+    ];
+  }
+
+  start(config = this.stream.activeConfig) {
+    this.stop();
+
+    this.runDir = path.join(this.dir, `run-${++this.runs}`);
+    try {
+      fs.mkdirSync(this.runDir, { recursive: true });
+    } catch (err) {
+      console.error(`HLS output (${this.stream.id}): cannot create ${this.runDir}:`, err.message);
+      this.connection.fail(err.message);
+      return;
+    }
+
+    const stderr = new StderrTail();
+    const child = spawn(rtspFFmpeg.FFMpeg.cmd, this.ffmpegArgs(config));
+    this.child = child;
+    console.log(`HLS output started: ${this.stream.id} (${this.profileName})`);
+    this.connection.connecting();
+    this.readyTimer = setInterval(() => this.checkReady(), READY_POLL_INTERVAL);
+
+    let spawnError = null;
+    child.stderr.on('data', chunk => stderr.push(chunk));
+    child.on('error', (err) => {
+      spawnError = err;
+    });
+    child.on('close', (code, signal) => {
+      if (this.child !== child) return;
+      this.child = null;
+      this.resetRun();
+      if (this.viewers.size === 0) return;
+
+      const error = classifyFfmpegError({ exitCode: code, signal, error: spawnError, stderr: stderr.tail() });
+      console.error(`HLS output failed (${this.stream.id}): [${error.code}] ${error.detail}`);
+      this.stream.recordError({ ...error, output: 'hls' });
+      this.connection.fail(error.message);
+    });
+  }
+
+  // The playlist appears once the first segment is complete
+  checkReady() {
+    if (!fs.existsSync(path.join(this.runDir, PLAYLIST))) return;
+
+    clearInterval(this.readyTimer);
+    this.readyTimer = null;
+    this.ready = true;
+    this.connection.connected();
+    this.flushWaiters(true);
+  }
+
+  flushWaiters(ready) {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(resolve => resolve(ready));
+  }
+
+  /**
+   * Resolves true once the current run has written a playlist, or false after
+   * `timeout` milliseconds or when ffmpeg stops first.
+   *
+   * @param {number} timeout
+   * @returns {Promise<boolean>}
+   */
+  playlistReady(timeout) {
+    if (this.ready) return Promise.resolve(true);
+
+    return new Promise((resolve) => {
+      const done = (ready) => {
+        clearTimeout(timer);
+        resolve(ready);
+      };
+      const timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(waiter => waiter !== done);
+        resolve(false);
+      }, timeout);
+      this.waiters.push(done);
+    });
+  }
+
+  // Playlist text, or null if there is none
+  readPlaylist() {
+    if (!this.runDir) return Promise.resolve(null);
+    return fs.promises.readFile(path.join(this.runDir, PLAYLIST), 'utf8').catch(() => null);
+  }
+
+  // Absolute path of a playlist or segment file, or null for any other name
+  resolve(file) {
+    return this.runDir && FILE_PATTERN.test(file) ? path.join(this.runDir, file) : null;
+  }
+
+  // Apply a new stream config; a running output is restarted with it
+  restart() {
+    this.connection.reset();
+    if (this.enabled && this.viewers.size > 0) {
+      this.start();
+    } else {
+      this.viewers.clear();
+      this.stream.updateViewerCount();
+      this.stop();
+    }
+  }
+
+  resetRun() {
+    clearInterval(this.readyTimer);
+    this.readyTimer = null;
+    this.ready = false;
+    this.flushWaiters(false);
+  }
+
+  // Kill ffmpeg and remove its playlist and segments once it has exited;
+  // until then it may still write to them
+  stop() {
+    this.resetRun();
+    const { child, runDir } = this;
+    this.child = null;
+    this.runDir = null;
+    if (child) {
+      child.once('close', () => this.removeRun(runDir));
+      child.kill();
+      console.log(`HLS output stopped: ${this.stream.id}`);
+    } else {
+      this.removeRun(runDir);
+    }
+  }
+
+  // Delete a finished run's files, and the stream's directory when nothing runs
+  removeRun(runDir) {
+    if (runDir) {
+      fs.rmSync(runDir, { recursive: true, force: true });
+    }
+    if (!this.runDir) {
+      fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+  }
+
+  getState() {
+    return {
+      enabled: this.enabled,
+      profile: this.profileName,
+      viewers: this.viewers.size,
+      running: !!this.child,
+      ready: this.ready,
+      connection: this.connection.getState()
+    };
+  }
+
+  close() {
+    this.viewers.clear();
+    this.connection.reset();
+    this.stop();
+  }
+}
+
+module.exports = {
+  HlsOutput,
+  HLS_PROFILES,
+  DEFAULT_HLS_CONFIG,
+  hlsViewerKey,
+  rewritePlaylist
+};
@@ -0,0 +1,139 @@
+// ===== END-TO-END LATENCY =====
+// Every JPEG frame sent over socket.io carries `{ seq, receivedAt, sentAt }`.
+// The player reports back, per frame, how long decoding and painting took and
+// how long it held the frame before reporting, plus the gaps it saw in `seq`.
+// Only server clocks are compared, so client clock skew does not matter:
+//
+//   latency = (sentAt - receivedAt)            server queueing
+//           + (reportedAt - sentAt - held) / 2 network, half the round trip
+//           + decode + paint                   player
+//
+// `seq` counts the frames chosen for one client, so frames dropped on the way
+// (server queue, busy transport, volatile packets) show up as gaps.
+
+const MAX_SAMPLES = 300;          // Latency samples kept per client
+const MAX_REPORT_SAMPLES = 100;   // Samples accepted in one report
+const MAX_SAMPLE_MS = 60 * 1000;  // Larger durations are bogus
+const LATENCY_REPORT_ERROR = `A latency report needs received and lost counts and at most ${MAX_REPORT_SAMPLES} samples`;
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function isDuration(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= MAX_SAMPLE_MS;
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+const round = value => (value === null ? null : Math.round(value * 10) / 10);
+
+function summarize(latencies, received, lost) {
+  const sorted = latencies.slice().sort((a, b) => a - b);
+  return {
+    p50: round(percentile(sorted, 50)),
+    p95: round(percentile(sorted, 95)),
+    samples: sorted.length,
+    received,
+    lost,
+    loss: received + lost > 0 ? Math.round((lost / (received + lost)) * 10000) / 100 : 0 // Percent
+  };
+}
+
+/**
+ * Sequence numbers and latency reports of one stream's socket.io viewers.
+ *
+ * @param {function(number): void} [onSample] Called with each latency in milliseconds
+ */
+class LatencyTracker {
+  constructor(onSample = () => {}) {
+    this.onSample = onSample;
+    this.clients = new Map(); // Client ID -> { seq, latencies, received, lost }
+  }
+
+  client(clientId) {
+    if (!this.clients.has(clientId)) {
+      this.clients.set(clientId, { seq: 0, latencies: [], received: 0, lost: 0 });
+    }
+    return this.clients.get(clientId);
+  }
+
+  // Sequence number of the next frame chosen for a client, starting at 1
+  nextSeq(clientId) {
+    return ++this.client(clientId).seq;
+  }
+
+  /**
+   * Add a player's report.
+   *
+   * @param {string} clientId
+   * @param {object} report
+   * @param {number} report.received Frames received since the last report
+   * @param {number} report.lost Frames missing from the sequence since the last report
+   * @param {Array<{receivedAt: number, sentAt: number, decode: number, paint: number, held: number}>} report.samples
+   * @param {number} [now] When the report arrived
+   * @returns {object|null} The client's summary, or null for an invalid report
+   */
+  record(clientId, report, now = Date.now()) {
+    if (!report || typeof report !== 'object' || !isCount(report.received) || !isCount(report.lost)) return null;
+    const samples = report.samples === undefined ? [] : report.samples;
+    if (!Array.isArray(samples) || samples.length > MAX_REPORT_SAMPLES) return null;
+
+    const client = this.client(clientId);
+    client.received += report.received;
+    client.lost += report.lost;
+
+    samples.forEach((sample) => {
+      if (!sample || typeof sample !== 'object') return;
+      const { receivedAt, sentAt, decode, paint, held } = sample;
+      if (![decode, paint, held].every(isDuration)) return;
+      const queued = sentAt - receivedAt;
+      const roundTrip = now - sentAt - held;
+      if (!isDuration(queued) || !isDuration(roundTrip)) return; // Not a frame this server sent recently
+
+      const latency = queued + roundTrip / 2 + decode + paint;
+      client.latencies.push(latency);
+      this.onSample(latency);
+    });
+    if (client.latencies.length > MAX_SAMPLES) {
+      client.latencies.splice(0, client.latencies.length - MAX_SAMPLES);
+    }
+
+    return summarize(client.latencies, client.received, client.lost);
+  }
+
+  removeClient(clientId) {
+    this.clients.delete(clientId);
+  }
+
+  // p50/p95 latency in milliseconds and loss in percent, overall and per client
+  getStats() {
+    const clients = {};
+    const all = [];
+    let received = 0;
+    let lost = 0;
+
+    this.clients.forEach((client, id) => {
+      clients[id] = summarize(client.latencies, client.received, client.lost);
+      all.push(...client.latencies);
+      received += client.received;
+      lost += client.lost;
+    });
+
+    return { ...summarize(all, received, lost), clients };
+  }
+
+  clear() {
+    this.clients.clear();
+  }
+}
+
+module.exports = {
+  LatencyTracker,
+  LATENCY_REPORT_ERROR,
+  percentile
+};
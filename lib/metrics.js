@@ -0,0 +1,255 @@
+// ===== METRICS =====
+// Counters, gauges and histograms rendered in the Prometheus text exposition
+// format, plus a sliding-window rate used for FPS. Series are kept per label
+// set; per-client series are removed when the client leaves.
+
+const FRAME_INTERVAL_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.2, 0.5, 1, 2, 5]; // Seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.2, 0.3, 0.5, 1, 2, 5];                 // Seconds
+const FPS_WINDOW = 5000; // Milliseconds of frame history used for FPS
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra = '') {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Base for all metric types: one value (or histogram state) per label set.
+ *
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ */
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // Label values joined -> { labels, value }
+  }
+
+  key(labels) {
+    return this.labelNames.map(name => labels[name]).join('\u0000');
+  }
+
+  entry(labels, initial) {
+    const key = this.key(labels);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { labels: this.labelNames.map(name => labels[name]), value: initial() };
+      this.series.set(key, entry);
+    }
+    return entry;
+  }
+
+  // Drop every series whose labels include all of `labels`
+  remove(labels) {
+    const names = Object.keys(labels).filter(name => this.labelNames.includes(name));
+    if (names.length === 0) return;
+
+    for (const [key, entry] of this.series) {
+      const matches = names.every(name => String(entry.labels[this.labelNames.indexOf(name)]) === String(labels[name]));
+      if (matches) this.series.delete(key);
+    }
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const entry of this.series.values()) {
+      lines.push(...this.renderEntry(entry));
+    }
+    return lines.join('\n');
+  }
+
+  renderEntry({ labels, value }) {
+    return [`${this.name}${formatLabels(this.labelNames, labels)} ${formatValue(value)}`];
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  inc(labels = {}, value = 1) {
+    this.entry(labels, () => 0).value += value;
+  }
+}
+
+/**
+ * Gauge. With a `collect` function, the gauge is refilled from it on every
+ * scrape instead of being set by the code that changes the value.
+ */
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect = null) {
+    super(name, help, labelNames);
+    this.collect = collect;
+  }
+
+  get type() {
+    return 'gauge';
+  }
+
+  set(labels, value) {
+    this.entry(labels, () => 0).value = value;
+  }
+
+  render() {
+    if (this.collect) {
+      this.series.clear();
+      this.collect(this);
+    }
+    return super.render();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  observe(labels, value) {
+    const state = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 })).value;
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) state.counts[i]++;
+    });
+    state.sum += value;
+    state.count++;
+  }
+
+  renderEntry({ labels, value }) {
+    const lines = this.buckets.map((bound, i) => (
+      `${this.name}_bucket${formatLabels(this.labelNames, labels, `le="${bound}"`)} ${value.counts[i]}`
+    ));
+    lines.push(`${this.name}_bucket${formatLabels(this.labelNames, labels, 'le="+Inf"')} ${value.count}`);
+    lines.push(`${this.name}_sum${formatLabels(this.labelNames, labels)} ${value.sum}`);
+    lines.push(`${this.name}_count${formatLabels(this.labelNames, labels)} ${value.count}`);
+    return lines;
+  }
+}
+
+/**
+ * Frames per second over the last `windowMs` milliseconds.
+ *
+ * The rate decays to zero when frames stop, and is meaningful right after a
+ * start because it only spans the frames actually seen.
+ */
+class RateWindow {
+  constructor(windowMs = FPS_WINDOW) {
+    this.windowMs = windowMs;
+    this.times = [];
+  }
+
+  add(time) {
+    this.times.push(time);
+    this.prune(time);
+  }
+
+  prune(now) {
+    const cutoff = now - this.windowMs;
+    let drop = 0;
+    while (drop < this.times.length && this.times[drop] < cutoff) drop++;
+    if (drop > 0) this.times.splice(0, drop);
+  }
+
+  // Events seen within the window
+  count(now = Date.now()) {
+    this.prune(now);
+    return this.times.length;
+  }
+
+  rate(now = Date.now()) {
+    this.prune(now);
+    if (this.times.length < 2) return 0;
+    const seconds = (now - this.times[0]) / 1000;
+    return seconds > 0 ? (this.times.length - 1) / seconds : 0;
+  }
+
+  clear() {
+    this.times = [];
+  }
+}
+
+/**
+ * Every series the stream server exports at `/metrics`.
+ *
+ * @param {RTSPStreamServer} server Read at scrape time for viewer and FPS gauges
+ */
+class StreamMetrics {
+  constructor(server) {
+    this.framesReceived = new Counter('rtsp_frames_received_total',
+      'Frames received from ffmpeg', ['stream']);
+    this.framesDelivered = new Counter('rtsp_frames_delivered_total',
+      'Frames (fMP4 fragments for fmp4 viewers) sent to a client', ['stream', 'client', 'transport']);
+    this.framesDropped = new Counter('rtsp_frames_dropped_total',
+      'Frames not sent to a client because it could not keep up', ['stream', 'client', 'transport']);
+    this.bytesSent = new Counter('rtsp_bytes_sent_total',
+      'Frame bytes sent to clients', ['stream', 'transport']);
+    this.ffmpegRestarts = new Counter('rtsp_ffmpeg_restarts_total',
+      'ffmpeg restarts that were not requested by a config change or viewer', ['stream', 'reason']);
+    this.ffmpegErrors = new Counter('rtsp_ffmpeg_errors_total',
+      'ffmpeg errors by code', ['stream', 'code']);
+    this.frameInterval = new Histogram('rtsp_frame_interval_seconds',
+      'Time between consecutive frames from ffmpeg', ['stream'], FRAME_INTERVAL_BUCKETS);
+    this.clientLatency = new Histogram('rtsp_client_latency_seconds',
+      'Frame latency from ffmpeg to the viewer\'s canvas, as reported by players', ['stream'], LATENCY_BUCKETS);
+
+    this.viewers = new Gauge('rtsp_viewers', 'Connected viewers', ['stream', 'transport'], (gauge) => {
+      server.streams.forEach((stream) => {
+        gauge.set({ stream: stream.id, transport: 'socket' }, stream.activeClients.size - stream.httpClients.size);
+        gauge.set({ stream: stream.id, transport: 'http' }, stream.httpClients.size);
+        gauge.set({ stream: stream.id, transport: 'fmp4' }, stream.fmp4.clients.size);
+        gauge.set({ stream: stream.id, transport: 'hls' }, stream.hls.viewers.size);
+      });
+    });
+    this.fps = new Gauge('rtsp_stream_fps', 'Frames per second over the last 5 seconds', ['stream'], (gauge) => {
+      server.streams.forEach(stream => gauge.set({ stream: stream.id }, stream.fps.rate()));
+    });
+    this.running = new Gauge('rtsp_stream_running', 'Whether ffmpeg is running for the stream', ['stream'], (gauge) => {
+      server.streams.forEach(stream => gauge.set({ stream: stream.id }, stream.stream && stream.stream.child ? 1 : 0));
+    });
+  }
+
+  all() {
+    return Object.values(this).filter(metric => metric instanceof Metric);
+  }
+
+  // Forget per-client series once the client is gone
+  removeClient(streamId, clientId) {
+    this.framesDelivered.remove({ stream: streamId, client: clientId });
+    this.framesDropped.remove({ stream: streamId, client: clientId });
+  }
+
+  // Forget every series of a removed stream
+  removeStream(streamId) {
+    this.all().forEach(metric => metric.remove({ stream: streamId }));
+  }
+
+  // Text exposition format
+  render() {
+    return `${this.all().map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+module.exports = {
+  Counter,
+  Gauge,
+  Histogram,
+  RateWindow,
+  StreamMetrics
+};
@@ -0,0 +1,284 @@
+const { spawn } = require('child_process');
+const rtspFFmpeg = require('rtsp-ffmpeg');
+
+// ===== MOTION DETECTION =====
+// Frames are piped into a second ffmpeg process that decodes them to small
+// grayscale images; consecutive images are compared pixel by pixel in JS.
+// No second connection to the camera is opened.
+
+const DEFAULT_MOTION_CONFIG = {
+  enabled: false,
+  sensitivity: 50,     // 1-100; higher notices smaller brightness changes
+  minArea: 1,          // Percent of the watched area that must change
+  cooldown: 5,         // Seconds without motion before an event ends
+  exclusionZones: []   // { x, y, width, height } as fractions of the frame
+};
+
+const ANALYSIS_WIDTH = 160;          // Width of the grayscale frames compared
+const SAMPLE_INTERVAL = 200;         // Analyse at most 5 frames per second
+const MAX_PENDING_BYTES = 1024 * 1024; // Skip frames while the decoder is behind
+const RESTART_DELAY = 5000;          // Wait before respawning a failed decoder
+const MAX_EVENTS = 100;              // Events kept per stream
+
+let eventSeq = 0;
+
+// Gray level difference that counts as a changed pixel
+function pixelThreshold(sensitivity) {
+  return Math.round(5 + (100 - sensitivity) * 0.45);
+}
+
+// Analysis frame size with the stream's aspect ratio; both sides even for ffmpeg
+function analysisSize(resolution) {
+  const [width, height] = resolution.split('x').map(Number);
+  return {
+    width: ANALYSIS_WIDTH,
+    height: Math.max(2, Math.round((ANALYSIS_WIDTH * height) / width / 2) * 2)
+  };
+}
+
+// 1 for pixels that are watched, 0 inside exclusion zones
+function buildMask(zones, width, height) {
+  const mask = new Uint8Array(width * height).fill(1);
+  for (const zone of zones) {
+    const x0 = Math.floor(zone.x * width);
+    const y0 = Math.floor(zone.y * height);
+    const x1 = Math.ceil((zone.x + zone.width) * width);
+    const y1 = Math.ceil((zone.y + zone.height) * height);
+    for (let y = y0; y < y1; y++) {
+      mask.fill(0, y * width + x0, y * width + x1);
+    }
+  }
+  return mask;
+}
+
+/**
+ * Percentage of watched pixels whose gray level changed by more than `threshold`.
+ *
+ * @param {Buffer} previous Grayscale frame
+ * @param {Buffer} current Grayscale frame of the same size
+ * @param {Uint8Array} mask Watched pixels
+ * @param {number} threshold
+ * @returns {number}
+ */
+function changedArea(previous, current, mask, threshold) {
+  let watched = 0;
+  let changed = 0;
+  for (let i = 0; i < current.length; i++) {
+    if (!mask[i]) continue;
+    watched++;
+    if (Math.abs(current[i] - previous[i]) > threshold) changed++;
+  }
+  return watched > 0 ? (changed / watched) * 100 : 0;
+}
+
+/**
+ * Motion detection for one stream.
+ *
+ * Emits `motion` socket events through the stream when motion starts and
+ * ends, and keeps the last MAX_EVENTS events with a snapshot of the frame
+ * that started each one.
+ *
+ * @param {CameraStream} stream
+ */
+class MotionDetector {
+  constructor(stream) {
+    this.stream = stream;
+    this.config = { ...DEFAULT_MOTION_CONFIG };
+    this.child = null;
+    this.size = null;
+    this.mask = null;
+    this.pending = [];       // JPEG frames fed to the decoder, oldest first
+    this.output = Buffer.alloc(0);
+    this.previous = null;    // Last grayscale frame
+    this.lastSample = 0;
+    this.lastFailure = 0;
+    this.lastMotion = 0;
+    this.currentArea = 0;
+    this.activeEvent = null;
+    this.cooldownTimer = null;
+    this.events = [];        // Oldest first
+  }
+
+  get enabled() {
+    return this.config.enabled;
+  }
+
+  // Apply a stream's `motion` config; returns whether detection is enabled
+  configure(motionConfig = {}) {
+    this.config = { ...DEFAULT_MOTION_CONFIG, ...motionConfig };
+    this.stopDecoder();
+
+    if (!this.config.enabled) {
+      this.endEvent();
+      return false;
+    }
+    return true;
+  }
+
+  // Offer a frame from the stream; samples are decoded and compared
+  feed(frame) {
+    if (!this.config.enabled) return;
+    if (frame.time - this.lastSample < SAMPLE_INTERVAL) return;
+
+    if (!this.child) {
+      if (Date.now() - this.lastFailure < RESTART_DELAY) return;
+      this.startDecoder();
+    }
+    if (this.child.stdin.writableLength > MAX_PENDING_BYTES) return;
+
+    this.lastSample = frame.time;
+    this.pending.push(frame);
+    this.child.stdin.write(frame.data);
+  }
+
+  startDecoder() {
+    this.size = analysisSize(this.stream.activeConfig.resolution);
+    this.mask = buildMask(this.config.exclusionZones, this.size.width, this.size.height);
+    this.frameBytes = this.size.width * this.size.height;
+
+    const child = spawn(rtspFFmpeg.FFMpeg.cmd, [
+      '-loglevel', 'error',
+      '-f', 'mjpeg', '-i', 'pipe:0',
+      '-vf', `scale=${this.size.width}:${this.size.height}`,
+      '-pix_fmt', 'gray', '-f', 'rawvideo', 'pipe:1'
+    ]);
+    this.child = child;
+
+    child.stdout.on('data', chunk => this.handleOutput(chunk));
+    child.stderr.on('data', (chunk) => {
+      console.error(`Motion decoder (${this.stream.id}):`, chunk.toString().trim());
+    });
+    child.stdin.on('error', () => {}); // Reported through 'exit'
+    child.on('error', (err) => {
+      console.error(`Motion decoder failed (${this.stream.id}):`, err.message);
+    });
+    child.on('exit', () => {
+      if (this.child !== child) return;
+      this.child = null;
+      this.lastFailure = Date.now();
+      this.resetDecoderState();
+    });
+  }
+
+  stopDecoder() {
+    if (this.child) {
+      const child = this.child;
+      this.child = null;
+      child.stdin.destroy();
+      child.kill();
+    }
+    this.resetDecoderState();
+  }
+
+  resetDecoderState() {
+    this.pending = [];
+    this.output = Buffer.alloc(0);
+    this.previous = null;
+  }
+
+  // Split decoder output into grayscale frames
+  handleOutput(chunk) {
+    this.output = Buffer.concat([this.output, chunk]);
+    while (this.output.length >= this.frameBytes) {
+      const gray = this.output.subarray(0, this.frameBytes);
+      this.output = this.output.subarray(this.frameBytes);
+      this.analyse(gray, this.pending.shift());
+    }
+  }
+
+  analyse(gray, frame) {
+    const previous = this.previous;
+    this.previous = Buffer.from(gray);
+    if (!previous || !frame) return;
+
+    const area = changedArea(previous, gray, this.mask, pixelThreshold(this.config.sensitivity));
+    this.currentArea = area;
+    if (area < this.config.minArea) return;
+
+    this.lastMotion = frame.time;
+    if (this.activeEvent) {
+      this.activeEvent.peakArea = Math.max(this.activeEvent.peakArea, area);
+    } else {
+      this.startEvent(frame, area);
+    }
+
+    // Motion ends once nothing has moved for `cooldown` seconds
+    clearTimeout(this.cooldownTimer);
+    this.cooldownTimer = setTimeout(() => this.endEvent(), this.config.cooldown * 1000);
+  }
+
+  startEvent(frame, area) {
+    const event = {
+      id: `${Date.now().toString(36)}-${++eventSeq}`,
+      streamId: this.stream.id,
+      startedAt: new Date(frame.time).toISOString(),
+      endedAt: null,
+      peakArea: area,
+      snapshot: frame.data
+    };
+    this.activeEvent = event;
+    this.events.push(event);
+    if (this.events.length > MAX_EVENTS) {
+      this.events.splice(0, this.events.length - MAX_EVENTS);
+    }
+
+    console.log(`Motion started: ${this.stream.id}`);
+    this.stream.broadcast('motion', { state: 'start', event: this.publicEvent(event) });
+    this.stream.notify('motion.start', { event: this.publicEvent(event) });
+  }
+
+  endEvent() {
+    clearTimeout(this.cooldownTimer);
+    this.cooldownTimer = null;
+
+    const event = this.activeEvent;
+    if (!event) return;
+
+    this.activeEvent = null;
+    event.endedAt = new Date(this.lastMotion || Date.now()).toISOString();
+    console.log(`Motion ended: ${this.stream.id}`);
+    this.stream.broadcast('motion', { state: 'end', event: this.publicEvent(event) });
+    this.stream.notify('motion.end', { event: this.publicEvent(event) });
+  }
+
+  // Event record without the snapshot bytes
+  publicEvent(event) {
+    const { snapshot, ...rest } = event;
+    return {
+      ...rest,
+      peakArea: Math.round(event.peakArea * 100) / 100,
+      active: event === this.activeEvent,
+      snapshotUrl: `/api/streams/${encodeURIComponent(event.streamId)}/motion/events/${event.id}/snapshot.jpg`
+    };
+  }
+
+  // Newest first
+  listEvents() {
+    return this.events.slice().reverse().map(event => this.publicEvent(event));
+  }
+
+  getEvent(id) {
+    return this.events.find(event => event.id === id) || null;
+  }
+
+  getState() {
+    return {
+      enabled: this.config.enabled,
+      active: !!this.activeEvent,
+      currentArea: Math.round(this.currentArea * 100) / 100,
+      events: this.events.length
+    };
+  }
+
+  close() {
+    this.endEvent();
+    this.stopDecoder();
+  }
+}
+
+module.exports = {
+  MotionDetector,
+  DEFAULT_MOTION_CONFIG,
+  changedArea,
+  buildMask
+};
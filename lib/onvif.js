@@ -0,0 +1,425 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// ===== ONVIF PTZ =====
+// Pan/tilt/zoom and presets through the camera's ONVIF SOAP services. The
+// stream config's `onvif.url` points at the device service; the PTZ and media
+// service addresses and the media profile are discovered from it once and
+// cached. Requests are signed with a WS-Security UsernameToken digest using
+// the stream's camera credentials.
+
+const REQUEST_TIMEOUT = 5000;     // Milliseconds per SOAP call
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+const MOVE_TIMEOUT_RANGE = [0.1, 10]; // Seconds; continuous moves stop by themselves
+const DEFAULT_MOVE_TIMEOUT = 1;
+const MAX_PRESET_LENGTH = 64;
+
+const NS = {
+  s: 'http://www.w3.org/2003/05/soap-envelope',
+  tds: 'http://www.onvif.org/ver10/device/wsdl',
+  trt: 'http://www.onvif.org/ver10/media/wsdl',
+  tptz: 'http://www.onvif.org/ver20/ptz/wsdl',
+  tt: 'http://www.onvif.org/ver10/schema'
+};
+const WSSE = 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd';
+const WSU = 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-utility-1.0.xsd';
+const PASSWORD_DIGEST = 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-username-token-profile-1.0#PasswordDigest';
+const BASE64_BINARY = 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-soap-message-security-1.0#Base64Binary';
+// Relative moves in fractions of the current field of view, for click-to-center
+const FOV_TRANSLATION_SPACE = 'http://www.onvif.org/ver10/tptz/PanTiltSpaces/TranslationSpaceFov';
+
+const PTZ_COMMANDS = ['move', 'stop', 'center', 'presets', 'goto-preset', 'save-preset'];
+const PTZ_COMMAND_ERROR = `action must be one of: ${PTZ_COMMANDS.join(', ')}`;
+
+// HTTP status each error code maps to in the REST API
+const PTZ_ERROR_STATUS = {
+  INVALID_PTZ_COMMAND: 400,
+  PTZ_NOT_CONFIGURED: 404,
+  PTZ_UNSUPPORTED: 501,
+  ONVIF_AUTH_FAILED: 502,
+  ONVIF_UNREACHABLE: 502,
+  ONVIF_FAULT: 502,
+  ONVIF_TIMEOUT: 504
+};
+
+/**
+ * A PTZ command that could not be carried out. `code` is one of the keys of
+ * PTZ_ERROR_STATUS.
+ */
+class PtzError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PtzError';
+    this.code = code;
+    this.status = PTZ_ERROR_STATUS[code] || 500;
+  }
+}
+
+// ===== XML HELPERS =====
+// ONVIF responses are small and flat enough for regular expressions; element
+// names are matched without their namespace prefix.
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function xmlUnescape(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Every `<prefix:name ...>body</prefix:name>` or `<prefix:name .../>` as { attrs, body }
+function findElements(xml, name) {
+  const pattern = new RegExp(`<(?:[\\w.-]+:)?${name}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:[\\w.-]+:)?${name}>)`, 'g');
+  const elements = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    const attrs = {};
+    match[1].replace(/([\w.:-]+)\s*=\s*"([^"]*)"/g, (all, key, value) => {
+      attrs[key.replace(/^[\w.-]+:/, '')] = xmlUnescape(value);
+      return all;
+    });
+    elements.push({ attrs, body: match[2] || '' });
+  }
+  return elements;
+}
+
+// Text of the first element called `name`, or null
+function findText(xml, name) {
+  const [element] = findElements(xml, name);
+  return element ? xmlUnescape(element.body.replace(/<[^>]*>/g, '').trim()) : null;
+}
+
+// ===== SOAP =====
+
+/**
+ * WS-Security UsernameToken header: Base64(SHA-1(nonce + created + password)).
+ *
+ * @param {{username: string, password: string}} credentials
+ * @param {number} [clockOffset] Milliseconds to add to local time to get the camera's
+ * @returns {string} Empty without a username
+ */
+function securityHeader({ username, password }, clockOffset = 0) {
+  if (!username) return '';
+
+  const nonce = crypto.randomBytes(16);
+  const created = new Date(Date.now() + clockOffset).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const digest = crypto.createHash('sha1')
+    .update(Buffer.concat([nonce, Buffer.from(created), Buffer.from(password || '')]))
+    .digest('base64');
+
+  return `<wsse:Security s:mustUnderstand="1" xmlns:wsse="${WSSE}" xmlns:wsu="${WSU}">`
+    + '<wsse:UsernameToken>'
+    + `<wsse:Username>${xmlEscape(username)}</wsse:Username>`
+    + `<wsse:Password Type="${PASSWORD_DIGEST}">${digest}</wsse:Password>`
+    + `<wsse:Nonce EncodingType="${BASE64_BINARY}">${nonce.toString('base64')}</wsse:Nonce>`
+    + `<wsu:Created>${created}</wsu:Created>`
+    + '</wsse:UsernameToken></wsse:Security>';
+}
+
+function envelope(body, header = '') {
+  const namespaces = Object.entries(NS).map(([prefix, uri]) => `xmlns:${prefix}="${uri}"`).join(' ');
+  return `<?xml version="1.0" encoding="UTF-8"?><s:Envelope ${namespaces}>`
+    + `<s:Header>${header}</s:Header><s:Body>${body}</s:Body></s:Envelope>`;
+}
+
+// Turn a SOAP fault into a PtzError
+function faultError(xml, statusCode) {
+  const reason = findText(xml, 'Text') || findText(xml, 'faultstring') || `HTTP ${statusCode}`;
+  const subcodes = findElements(xml, 'Value').map(element => element.body.trim()).join(' ');
+  if (statusCode === 401 || /NotAuthorized|FailedAuthentication/i.test(subcodes)) {
+    return new PtzError('ONVIF_AUTH_FAILED', 'Camera rejected the ONVIF credentials');
+  }
+  return new PtzError('ONVIF_FAULT', `Camera returned an ONVIF fault: ${reason}`);
+}
+
+/**
+ * POST one SOAP 1.2 request.
+ *
+ * @param {string} url Service address
+ * @param {string} action SOAP action URI
+ * @param {string} body Contents of `<s:Body>`
+ * @param {string} [header] Contents of `<s:Header>`
+ * @returns {Promise<string>} Response XML
+ * @throws {PtzError}
+ */
+function soapRequest(url, action, body, header = '') {
+  return new Promise((resolve, reject) => {
+    const payload = Buffer.from(envelope(body, header));
+    let target;
+    try {
+      target = new URL(url);
+    } catch (e) {
+      reject(new PtzError('ONVIF_UNREACHABLE', `Invalid ONVIF service address: ${url}`));
+      return;
+    }
+
+    const transport = target.protocol === 'https:' ? https : http;
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': `application/soap+xml; charset=utf-8; action="${action}"`,
+        'Content-Length': payload.length
+      },
+      timeout: REQUEST_TIMEOUT
+    }, (res) => {
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_RESPONSE_BYTES) {
+          req.destroy(new PtzError('ONVIF_FAULT', 'ONVIF response is too large'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => {
+        const xml = Buffer.concat(chunks).toString('utf8');
+        if (res.statusCode !== 200 || /<(?:[\w.-]+:)?Fault\b/.test(xml)) {
+          reject(faultError(xml, res.statusCode));
+          return;
+        }
+        resolve(xml);
+      });
+    });
+
+    req.on('timeout', () => req.destroy(new PtzError('ONVIF_TIMEOUT', 'Camera did not answer the ONVIF request in time')));
+    req.on('error', (err) => {
+      reject(err instanceof PtzError ? err : new PtzError('ONVIF_UNREACHABLE', `Cannot reach the camera's ONVIF service: ${err.message}`));
+    });
+    req.end(payload);
+  });
+}
+
+// ===== COMMANDS =====
+
+function isNumberIn(value, [min, max]) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function isToken(value) {
+  return typeof value === 'string' && value.length > 0 && value.length <= MAX_PRESET_LENGTH;
+}
+
+/**
+ * Validate a PTZ command from the REST API or the `ptz` socket event.
+ *
+ *   { action: 'move', pan, tilt, zoom, timeout }  velocities -1..1, timeout in seconds
+ *   { action: 'stop' }
+ *   { action: 'center', x, y }                    point in the frame, 0..1 from the top left
+ *   { action: 'presets' }
+ *   { action: 'goto-preset', preset }
+ *   { action: 'save-preset', name, preset? }      `preset` overwrites an existing one
+ *
+ * @param {object} input
+ * @returns {object} Normalized command
+ * @throws {PtzError} INVALID_PTZ_COMMAND
+ */
+function parsePtzCommand(input) {
+  const invalid = message => new PtzError('INVALID_PTZ_COMMAND', message);
+  if (!input || typeof input !== 'object' || !PTZ_COMMANDS.includes(input.action)) {
+    throw invalid(PTZ_COMMAND_ERROR);
+  }
+
+  const { action } = input;
+  switch (action) {
+    case 'move': {
+      const command = { action, pan: 0, tilt: 0, zoom: 0, timeout: DEFAULT_MOVE_TIMEOUT };
+      for (const axis of ['pan', 'tilt', 'zoom']) {
+        if (input[axis] === undefined) continue;
+        if (!isNumberIn(input[axis], [-1, 1])) throw invalid(`${axis} must be a number between -1 and 1`);
+        command[axis] = input[axis];
+      }
+      if (input.timeout !== undefined) {
+        if (!isNumberIn(input.timeout, MOVE_TIMEOUT_RANGE)) {
+          throw invalid(`timeout must be ${MOVE_TIMEOUT_RANGE[0]}-${MOVE_TIMEOUT_RANGE[1]} seconds`);
+        }
+        command.timeout = input.timeout;
+      }
+      return command;
+    }
+    case 'center':
+      if (!isNumberIn(input.x, [0, 1]) || !isNumberIn(input.y, [0, 1])) {
+        throw invalid('x and y must be numbers between 0 and 1');
+      }
+      return { action, x: input.x, y: input.y };
+    case 'goto-preset':
+      if (!isToken(input.preset)) throw invalid(`preset must be a string of 1-${MAX_PRESET_LENGTH} characters`);
+      return { action, preset: input.preset };
+    case 'save-preset':
+      if (!isToken(input.name)) throw invalid(`name must be a string of 1-${MAX_PRESET_LENGTH} characters`);
+      if (input.preset !== undefined && !isToken(input.preset)) {
+        throw invalid(`preset must be a string of 1-${MAX_PRESET_LENGTH} characters`);
+      }
+      return { action, name: input.name, preset: input.preset };
+    default:
+      return { action };
+  }
+}
+
+// Seconds as an xs:duration, e.g. PT1.5S
+function duration(seconds) {
+  return `PT${Math.round(seconds * 1000) / 1000}S`;
+}
+
+/**
+ * PTZ control of one stream's camera.
+ *
+ * @param {CameraStream} stream
+ */
+class OnvifPtz {
+  constructor(stream) {
+    this.stream = stream;
+    this.services = null; // { key, ptzUrl, profileToken, clockOffset } once discovered
+  }
+
+  get config() {
+    return this.stream.activeConfig.onvif || null;
+  }
+
+  get configured() {
+    return !!(this.config && this.config.url);
+  }
+
+  /**
+   * Run a command; see parsePtzCommand.
+   *
+   * @param {object} input
+   * @returns {Promise<object>} `{ presets }` for `presets`, `{ preset }` for `save-preset`, `{}` otherwise
+   * @throws {PtzError}
+   */
+  async execute(input) {
+    const command = parsePtzCommand(input);
+    if (!this.configured) {
+      throw new PtzError('PTZ_NOT_CONFIGURED', `PTZ is not configured for stream: ${this.stream.id}`);
+    }
+
+    const services = await this.discover();
+    const profile = `<tptz:ProfileToken>${xmlEscape(services.profileToken)}</tptz:ProfileToken>`;
+
+    switch (command.action) {
+      case 'move':
+        await this.call('ContinuousMove', `<tptz:ContinuousMove>${profile}<tptz:Velocity>`
+          + `<tt:PanTilt x="${command.pan}" y="${command.tilt}"/><tt:Zoom x="${command.zoom}"/>`
+          + `</tptz:Velocity><tptz:Timeout>${duration(command.timeout)}</tptz:Timeout></tptz:ContinuousMove>`);
+        return {};
+      case 'stop':
+        await this.call('Stop', `<tptz:Stop>${profile}<tptz:PanTilt>true</tptz:PanTilt><tptz:Zoom>true</tptz:Zoom></tptz:Stop>`);
+        return {};
+      case 'center': {
+        // Offset of the point from the middle of the frame, in fields of view
+        const x = Math.round((command.x - 0.5) * 1000) / 1000;
+        const y = Math.round((0.5 - command.y) * 1000) / 1000;
+        await this.call('RelativeMove', `<tptz:RelativeMove>${profile}<tptz:Translation>`
+          + `<tt:PanTilt x="${x}" y="${y}" space="${FOV_TRANSLATION_SPACE}"/></tptz:Translation></tptz:RelativeMove>`);
+        return {};
+      }
+      case 'presets': {
+        const xml = await this.call('GetPresets', `<tptz:GetPresets>${profile}</tptz:GetPresets>`);
+        const presets = findElements(xml, 'Preset').map(({ attrs, body }) => ({
+          token: attrs.token,
+          name: findText(body, 'Name') || attrs.token
+        }));
+        return { presets };
+      }
+      case 'goto-preset':
+        await this.call('GotoPreset', `<tptz:GotoPreset>${profile}`
+          + `<tptz:PresetToken>${xmlEscape(command.preset)}</tptz:PresetToken></tptz:GotoPreset>`);
+        return {};
+      case 'save-preset': {
+        const token = command.preset ? `<tptz:PresetToken>${xmlEscape(command.preset)}</tptz:PresetToken>` : '';
+        const xml = await this.call('SetPreset', `<tptz:SetPreset>${profile}`
+          + `<tptz:PresetName>${xmlEscape(command.name)}</tptz:PresetName>${token}</tptz:SetPreset>`);
+        return { preset: { token: findText(xml, 'PresetToken') || command.preset, name: command.name } };
+      }
+      default:
+        return {};
+    }
+  }
+
+  // Signed request to the PTZ service
+  call(operation, body) {
+    const { ptzUrl, clockOffset } = this.services;
+    const header = securityHeader(this.stream.cameraCredentials(), clockOffset);
+    return soapRequest(ptzUrl, `${NS.tptz}/${operation}`, body, header).catch((err) => {
+      if (err.code !== 'ONVIF_FAULT') this.services = null; // Rediscover, e.g. after a camera reboot
+      throw err;
+    });
+  }
+
+  // Find the PTZ service and a media profile with a PTZ configuration
+  async discover() {
+    const { url, profileToken } = this.config;
+    const key = `${url} ${profileToken || ''}`;
+    if (this.services && this.services.key === key) return this.services;
+
+    const clockOffset = await this.clockOffset(url);
+    const credentials = this.stream.cameraCredentials();
+
+    const capabilities = await soapRequest(url, `${NS.tds}/GetCapabilities`,
+      '<tds:GetCapabilities><tds:Category>All</tds:Category></tds:GetCapabilities>',
+      securityHeader(credentials, clockOffset));
+    const [ptz] = findElements(capabilities, 'PTZ');
+    const [media] = findElements(capabilities, 'Media');
+    const ptzUrl = ptz && findText(ptz.body, 'XAddr');
+    if (!ptzUrl) {
+      throw new PtzError('PTZ_UNSUPPORTED', 'Camera does not offer an ONVIF PTZ service');
+    }
+
+    let token = profileToken;
+    if (!token) {
+      const mediaUrl = (media && findText(media.body, 'XAddr')) || url;
+      const profiles = await soapRequest(mediaUrl, `${NS.trt}/GetProfiles`, '<trt:GetProfiles/>',
+        securityHeader(credentials, clockOffset));
+      const profile = findElements(profiles, 'Profiles').find(({ body }) => findElements(body, 'PTZConfiguration').length > 0);
+      if (!profile) {
+        throw new PtzError('PTZ_UNSUPPORTED', 'No media profile of the camera has a PTZ configuration');
+      }
+      token = profile.attrs.token;
+    }
+
+    this.services = { key, ptzUrl, profileToken: token, clockOffset };
+    return this.services;
+  }
+
+  // The digest includes a timestamp, so follow the camera's clock; 0 if it does not say
+  async clockOffset(url) {
+    try {
+      const xml = await soapRequest(url, `${NS.tds}/GetSystemDateAndTime`, '<tds:GetSystemDateAndTime/>');
+      const [utc] = findElements(xml, 'UTCDateTime');
+      if (!utc) return 0;
+
+      const [year, month, day, hour, minute, second] = ['Year', 'Month', 'Day', 'Hour', 'Minute', 'Second']
+        .map(name => Number(findText(utc.body, name)));
+      const cameraTime = Date.UTC(year, month - 1, day, hour, minute, second);
+      return Number.isFinite(cameraTime) ? cameraTime - Date.now() : 0;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  getState() {
+    return {
+      configured: this.configured,
+      profileToken: this.services ? this.services.profileToken : null
+    };
+  }
+}
+
+module.exports = {
+  OnvifPtz,
+  PtzError,
+  parsePtzCommand,
+  securityHeader,
+  findElements,
+  findText
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+
+// ===== PLAYER BUNDLE =====
+// The browser client lives in client/ as plain ES modules. For pages without a
+// bundler they are concatenated into one ESM file and one UMD file: imports
+// between the modules are dropped, `export` keywords are stripped, and the
+// entry module's exports become the bundle's. Only the single-line
+// `import { a } from './x.js';` and `export { a } from './x.js';` forms and
+// exported declarations are understood, which is all client/ uses.
+
+const CLIENT_DIR = path.join(__dirname, '..', 'client');
+const ENTRY = 'index.js';
+const STYLES = 'player-styles.js';
+
+const IMPORT_LINE = /^import\s*\{[^}]*\}\s*from\s*'(\.\/[\w.-]+)';$/;
+const REEXPORT_LINE = /^export\s*\{([^}]*)\}\s*from\s*'(\.\/[\w.-]+)';$/;
+const EXPORT_DECLARATION = /^export\s+((?:class|function|const|let)\s+(\w+))/;
+const TOP_LEVEL_DECLARATION = /^(?:class|function|const|let|var)\s+(\w+)/;
+
+const BANNER = '// RTSP Web Viewer client, built from client/ by lib/player-bundle.js\n';
+
+// Parse one module: its dependencies, the names it exports and its code without module syntax
+function parseModule(file) {
+  const source = fs.readFileSync(path.join(CLIENT_DIR, file), 'utf8');
+  const dependencies = [];
+  const exports = [];
+  const declarations = [];
+
+  const code = source.split('\n').map((line, i) => {
+    let match = line.match(IMPORT_LINE);
+    if (match) {
+      dependencies.push(path.basename(match[1]));
+      return null;
+    }
+    match = line.match(REEXPORT_LINE);
+    if (match) {
+      dependencies.push(path.basename(match[2]));
+      exports.push(...match[1].split(',').map(name => name.trim()).filter(Boolean));
+      return null;
+    }
+    match = line.match(EXPORT_DECLARATION);
+    if (match) {
+      exports.push(match[2]);
+      line = line.replace(/^export\s+/, '');
+    } else if (/^(import|export)\b/.test(line)) {
+      throw new Error(`Unsupported module syntax in client/${file}:${i + 1}`);
+    }
+
+    match = line.match(TOP_LEVEL_DECLARATION);
+    if (match) declarations.push(match[1]);
+    return line;
+  }).filter(line => line !== null).join('\n').trim();
+
+  return { file, code, dependencies, exports, declarations };
+}
+
+// Modules reachable from the entry, dependencies first
+function collectModules() {
+  const modules = [];
+  const seen = new Set();
+
+  const visit = (file) => {
+    if (seen.has(file)) return;
+    seen.add(file);
+    const parsed = parseModule(file);
+    parsed.dependencies.forEach(visit);
+    modules.push(parsed);
+  };
+  visit(ENTRY);
+
+  // All modules share one scope once concatenated
+  const declared = new Map();
+  modules.forEach(({ file, declarations }) => {
+    declarations.forEach((name) => {
+      if (declared.has(name)) {
+        throw new Error(`client/${file} and client/${declared.get(name)} both declare ${name}`);
+      }
+      declared.set(name, file);
+    });
+  });
+
+  return modules;
+}
+
+/**
+ * Build the client into an ES module and a UMD script. The UMD script
+ * defines `RTSPPlayer` and the other exports as globals when loaded with a
+ * `<script>` tag, so existing pages keep working.
+ *
+ * @returns {{esm: string, umd: string, exports: string[]}}
+ */
+function buildPlayerBundles() {
+  const modules = collectModules();
+  const exports = modules[modules.length - 1].exports;
+  const body = modules
+    .filter(parsed => parsed.code)
+    .map(parsed => `// ----- client/${parsed.file} -----\n${parsed.code}`)
+    .join('\n\n');
+
+  const esm = `${BANNER}\n${body}\n\nexport { ${exports.join(', ')} };\n`;
+  const umd = `${BANNER}(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    Object.assign(root, factory());
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+${body}
+
+return { ${exports.join(', ')} };
+}));
+`;
+
+  return { esm, umd, exports };
+}
+
+/**
+ * Stylesheet for pages using RTSPPlayer and RTSPConfigPanel directly; the
+ * custom elements carry the same rules in their shadow roots.
+ *
+ * @returns {string}
+ */
+function buildPlayerCss() {
+  const source = fs.readFileSync(path.join(CLIENT_DIR, STYLES), 'utf8');
+  const sheets = [...source.matchAll(/^export const \w+ = `([^`]*)`;$/gm)].map(match => match[1].trim());
+  return sheets.join('\n\n') + '\n';
+}
+
+module.exports = {
+  buildPlayerBundles,
+  buildPlayerCss,
+  CLIENT_DIR
+};
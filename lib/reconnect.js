@@ -0,0 +1,178 @@
+// ===== RECONNECTION STATE MACHINE =====
+//
+//   idle ──start──> connecting ──first frame──> streaming
+//                      ^   |                        |
+//                 retry|   +-------failure----------+
+//                      |   v
+//                    backoff ──too many failures──> failed (circuit open)
+//                                                      |
+//                    connecting <──circuit timeout─────+  (one probe attempt)
+//
+// Only one retry timer exists per stream, so failures cannot stack restarts.
+
+const STATES = ['idle', 'connecting', 'streaming', 'backoff', 'failed'];
+
+const DEFAULT_RECONNECT_OPTIONS = {
+  initialDelay: 1,             // Seconds before the first retry
+  maxDelay: 60,                // Upper bound for a single delay
+  multiplier: 2,               // Delay growth per attempt
+  jitter: 0.3,                 // Randomize delays by up to ±30%
+  maxAttempts: 10,             // Consecutive failures before the circuit opens
+  stableAfter: 30,             // Seconds of streaming that reset the failure count
+  circuitBreakerTimeout: 300   // Seconds the circuit stays open before a probe attempt
+};
+
+// Exponential backoff with jitter, in milliseconds
+function backoffDelay(attempt, { initialDelay, maxDelay, multiplier, jitter }) {
+  const base = Math.min(maxDelay, initialDelay * multiplier ** (attempt - 1));
+  const randomized = base * (1 + jitter * (2 * Math.random() - 1));
+  return Math.round(Math.min(maxDelay, Math.max(0, randomized)) * 1000);
+}
+
+/**
+ * Connection state of one stream.
+ *
+ * The owner reports what happens to ffmpeg (`connecting()`, `connected()`,
+ * `fail()`, `stop()`); the machine decides when to retry and calls `retry`.
+ *
+ * @param {object} options See DEFAULT_RECONNECT_OPTIONS
+ * @param {object} hooks
+ * @param {function(): void} hooks.retry Spawn ffmpeg again
+ * @param {function(): boolean} hooks.wanted Whether anything still needs the stream
+ * @param {function(object): void} hooks.onChange Called with getState() on every transition
+ */
+class ReconnectStateMachine {
+  constructor(options, { retry, wanted, onChange }) {
+    this.options = { ...DEFAULT_RECONNECT_OPTIONS, ...options };
+    this.retry = retry;
+    this.wanted = wanted;
+    this.onChange = onChange;
+
+    this.state = 'idle';
+    this.attempt = 0;          // Consecutive failed attempts
+    this.streamingSince = null;
+    this.nextRetryAt = null;
+    this.lastError = null;
+    this.timer = null;
+  }
+
+  // Whether ffmpeg may be spawned now; false while waiting out a backoff or an open circuit
+  get canConnect() {
+    return this.state !== 'backoff' && this.state !== 'failed';
+  }
+
+  transition(state) {
+    if (!STATES.includes(state)) {
+      throw new Error(`Unknown connection state: ${state}`);
+    }
+    this.state = state;
+    this.onChange(this.getState());
+  }
+
+  // ffmpeg was spawned
+  connecting() {
+    if (this.state === 'connecting') return;
+    this.transition('connecting');
+  }
+
+  // The first frame arrived. Failures are only forgotten once streaming has
+  // lasted `stableAfter` seconds, so a flapping camera still opens the circuit
+  connected() {
+    if (this.state === 'streaming') return;
+    this.streamingSince = Date.now();
+    this.transition('streaming');
+  }
+
+  // ffmpeg failed; schedule a retry or open the circuit
+  fail(reason) {
+    if (this.state === 'idle' || this.state === 'backoff' || this.state === 'failed') return;
+
+    if (this.state === 'streaming' && Date.now() - this.streamingSince >= this.options.stableAfter * 1000) {
+      this.attempt = 0;
+    }
+    this.streamingSince = null;
+    this.attempt++;
+    this.lastError = reason;
+    this.clearTimer();
+
+    if (this.attempt >= this.options.maxAttempts) {
+      this.schedule(this.options.circuitBreakerTimeout * 1000, () => this.probe());
+      this.transition('failed');
+      return;
+    }
+
+    this.schedule(backoffDelay(this.attempt, this.options), () => {
+      if (this.wanted()) {
+        this.retry();
+      } else {
+        this.stop();
+      }
+    });
+    this.transition('backoff');
+  }
+
+  // Circuit timeout: allow one attempt; its failure opens the circuit again
+  probe() {
+    if (!this.wanted()) {
+      this.reset();
+      return;
+    }
+    this.attempt = this.options.maxAttempts - 1;
+    this.retry();
+  }
+
+  // Nothing needs the stream any more; an open circuit stays open
+  stop() {
+    if (this.state === 'failed') return;
+
+    this.clearTimer();
+    this.attempt = 0;
+    if (this.state !== 'idle') {
+      this.transition('idle');
+    }
+  }
+
+  // Forget failures, e.g. after a config change
+  reset() {
+    this.clearTimer();
+    this.attempt = 0;
+    this.lastError = null;
+    if (this.state !== 'idle') {
+      this.transition('idle');
+    }
+  }
+
+  schedule(delay, callback) {
+    this.nextRetryAt = Date.now() + delay;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.nextRetryAt = null;
+      callback();
+    }, delay);
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.nextRetryAt = null;
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      attempt: this.attempt,
+      maxAttempts: this.options.maxAttempts,
+      nextRetryAt: this.nextRetryAt ? new Date(this.nextRetryAt).toISOString() : null,
+      retryIn: this.nextRetryAt ? Math.max(0, this.nextRetryAt - Date.now()) : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = {
+  ReconnectStateMachine,
+  DEFAULT_RECONNECT_OPTIONS,
+  backoffDelay
+};
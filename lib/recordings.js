@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const AviWriter = require('./avi-writer');
+
+// ===== RECORDINGS =====
+// Segments live in `<dir>/<streamId>/<start time>.avi`. A RecordingStore is
+// shared by every stream of a server and applies retention across all of
+// them; each stream writes through its own StreamRecorder.
+
+const SEGMENT_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.avi$/;
+const STREAM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// `2026-10-19T07:44:45.123Z` -> `2026-10-19T07-44-45-123Z.avi`
+function segmentFileName(date) {
+  return `${date.toISOString().replace(/[:.]/g, '-')}.avi`;
+}
+
+// Start time encoded in a segment file name
+function segmentStartTime(file) {
+  const match = SEGMENT_FILE_PATTERN.exec(file);
+  if (!match) return null;
+  const [, day, hours, minutes, seconds, millis] = match;
+  return new Date(`${day}T${hours}:${minutes}:${seconds}.${millis}Z`);
+}
+
+/**
+ * Recording segments on disk, with retention by age and total size.
+ *
+ * @param {object} options
+ * @param {string} options.dir Root directory for recordings
+ * @param {number|null} [options.maxAge] Delete segments older than this many seconds
+ * @param {number|null} [options.maxTotalSize] Delete the oldest segments above this many bytes
+ */
+class RecordingStore {
+  constructor({ dir, maxAge = null, maxTotalSize = null }) {
+    this.dir = path.resolve(dir);
+    this.maxAge = maxAge;
+    this.maxTotalSize = maxTotalSize;
+    this.activeFiles = new Set(); // Segments still being written
+  }
+
+  streamDir(streamId) {
+    return path.join(this.dir, streamId);
+  }
+
+  // Absolute path of a segment, or null if the names are not valid
+  resolve(streamId, file) {
+    if (!STREAM_ID_PATTERN.test(streamId) || !SEGMENT_FILE_PATTERN.test(file)) {
+      return null;
+    }
+    return path.join(this.streamDir(streamId), file);
+  }
+
+  // All segments, oldest first; optionally for a single stream
+  async list(streamId) {
+    let streamIds;
+    try {
+      streamIds = streamId ? [streamId] : await fs.promises.readdir(this.dir);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+
+    const segments = [];
+    for (const id of streamIds.filter(name => STREAM_ID_PATTERN.test(name))) {
+      let files;
+      try {
+        files = await fs.promises.readdir(this.streamDir(id));
+      } catch (e) {
+        if (e.code === 'ENOENT') continue;
+        throw e;
+      }
+
+      for (const file of files.filter(name => SEGMENT_FILE_PATTERN.test(name))) {
+        const filePath = path.join(this.streamDir(id), file);
+        const stat = await fs.promises.stat(filePath).catch(() => null);
+        if (!stat) continue;
+
+        const inProgress = this.activeFiles.has(filePath);
+        segments.push({
+          id: `${id}/${file}`,
+          streamId: id,
+          file,
+          size: stat.size,
+          startedAt: segmentStartTime(file).toISOString(),
+          endedAt: inProgress ? null : stat.mtime.toISOString(),
+          inProgress
+        });
+      }
+    }
+
+    return segments.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  }
+
+  // Delete one segment; segments being written cannot be deleted
+  async remove(streamId, file) {
+    const filePath = this.resolve(streamId, file);
+    if (!filePath) return false;
+    if (this.activeFiles.has(filePath)) {
+      throw new Error('Cannot delete a segment that is still being recorded');
+    }
+
+    try {
+      await fs.promises.unlink(filePath);
+      return true;
+    } catch (e) {
+      if (e.code === 'ENOENT') return false;
+      throw e;
+    }
+  }
+
+  // Delete finished segments past maxAge, then the oldest ones above maxTotalSize
+  async enforceRetention() {
+    const all = await this.list();
+    const finished = all.filter(segment => !segment.inProgress);
+    let total = all.reduce((sum, segment) => sum + segment.size, 0);
+    const removed = [];
+
+    if (this.maxAge) {
+      const cutoff = Date.now() - this.maxAge * 1000;
+      for (const segment of finished) {
+        if (new Date(segment.endedAt).getTime() < cutoff) {
+          removed.push(segment);
+          total -= segment.size;
+        }
+      }
+    }
+
+    if (this.maxTotalSize) {
+      for (const segment of finished) {
+        if (total <= this.maxTotalSize) break;
+        if (removed.includes(segment)) continue;
+        removed.push(segment);
+        total -= segment.size;
+      }
+    }
+
+    for (const segment of removed) {
+      await this.remove(segment.streamId, segment.file).catch((err) => {
+        console.error(`Failed to delete recording ${segment.id}:`, err.message);
+      });
+    }
+    return removed.map(segment => segment.id);
+  }
+}
+
+/**
+ * Records one stream's frames into rotating AVI segments.
+ *
+ * While recording, the stream is held so ffmpeg keeps running without viewers.
+ *
+ * @param {CameraStream} stream
+ * @param {RecordingStore} store
+ * @param {object} options
+ * @param {number} options.segmentDuration Seconds per segment
+ */
+class StreamRecorder {
+  constructor(stream, store, { segmentDuration }) {
+    this.stream = stream;
+    this.store = store;
+    this.segmentDuration = segmentDuration;
+    this.writer = null;
+    this.segmentStartedAt = null;
+    this.continuous = false;
+    this.recordedFrames = 0;
+  }
+
+  get active() {
+    return !!this.writer;
+  }
+
+  // Start recording; `continuous` marks recordings driven by the stream config.
+  // A recording that already runs keeps its owner, so neither side stops the other's.
+  start({ continuous = false } = {}) {
+    if (this.writer) return;
+    this.continuous = continuous;
+
+    fs.mkdirSync(this.store.streamDir(this.stream.id), { recursive: true });
+    this.openSegment();
+    this.stream.hold('recording');
+    console.log(`Recording started: ${this.stream.id}`);
+  }
+
+  // Finish the current segment and release the stream; rejects if the segment
+  // could not be finished
+  stop() {
+    if (!this.writer) return Promise.resolve();
+
+    const done = this.closeSegment();
+    this.continuous = false;
+    this.stream.release('recording');
+    console.log(`Recording stopped: ${this.stream.id}`);
+    return done;
+  }
+
+  // Close the current segment and continue in a new one; a failure to close is only logged
+  rotate() {
+    if (!this.writer) return Promise.resolve();
+
+    const done = this.closeSegment().catch(() => {});
+    this.openSegment();
+    return done;
+  }
+
+  writeFrame(frameData) {
+    if (!this.writer) return;
+
+    if (Date.now() - this.segmentStartedAt >= this.segmentDuration * 1000) {
+      this.rotate();
+    }
+    if (this.writer.writeFrame(frameData)) {
+      this.recordedFrames++;
+    }
+  }
+
+  // Names are start times to the millisecond; a segment opened in the same
+  // millisecond as the last one starts a millisecond later instead of overwriting it
+  openSegment() {
+    const { resolution, frameRate } = this.stream.activeConfig;
+    const [width, height] = resolution.split('x').map(Number);
+    const segmentPath = time => path.join(this.store.streamDir(this.stream.id), segmentFileName(new Date(time)));
+    let startedAt = Date.now();
+    while (this.store.activeFiles.has(segmentPath(startedAt)) || fs.existsSync(segmentPath(startedAt))) {
+      startedAt++;
+    }
+    const filePath = segmentPath(startedAt);
+
+    this.writer = new AviWriter(filePath, { width, height, frameRate });
+    this.segmentStartedAt = startedAt;
+    this.store.activeFiles.add(filePath);
+  }
+
+  closeSegment() {
+    const writer = this.writer;
+    this.writer = null;
+    this.segmentStartedAt = null;
+
+    return writer.close()
+      .then(() => {
+        this.store.activeFiles.delete(writer.filePath);
+        return this.store.enforceRetention().catch((err) => {
+          console.error(`Recording retention failed (${this.stream.id}):`, err.message);
+        });
+      }, (err) => {
+        this.store.activeFiles.delete(writer.filePath);
+        console.error(`Failed to close recording segment (${this.stream.id}):`, err.message);
+        throw err;
+      });
+  }
+
+  getState() {
+    return {
+      active: this.active,
+      continuous: this.continuous,
+      segment: this.writer ? path.basename(this.writer.filePath) : null,
+      segmentStartedAt: this.segmentStartedAt ? new Date(this.segmentStartedAt).toISOString() : null,
+      segmentFrames: this.writer ? this.writer.frameCount : 0,
+      segmentBytes: this.writer ? this.writer.bytesWritten : 0,
+      droppedFrames: this.writer ? this.writer.droppedFrames : 0,
+      recordedFrames: this.recordedFrames
+    };
+  }
+}
+
+module.exports = {
+  RecordingStore,
+  StreamRecorder
+};
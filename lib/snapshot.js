@@ -0,0 +1,76 @@
+const { spawn } = require('child_process');
+const rtspFFmpeg = require('rtsp-ffmpeg');
+
+// ===== SNAPSHOT THUMBNAILS =====
+const RESIZE_TIMEOUT = 5000;
+const WIDTH_RANGE = [16, 3840];
+const QUALITY_RANGE = [1, 31]; // 1-31 (lower is better quality)
+
+/**
+ * Parse optional `width`/`quality` query parameters for a re-encoded snapshot.
+ *
+ * @returns {{width?: number, quality?: number}|null} null when a value is out of range
+ */
+function parseThumbnailOptions(query) {
+  const options = {};
+
+  for (const [key, [min, max]] of [['width', WIDTH_RANGE], ['quality', QUALITY_RANGE]]) {
+    if (query[key] === undefined) continue;
+
+    const value = Number(query[key]);
+    if (!Number.isInteger(value) || value < min || value > max) return null;
+    options[key] = value;
+  }
+
+  return options;
+}
+
+/**
+ * Re-encode a JPEG frame through ffmpeg, optionally scaling it down.
+ *
+ * @param {Buffer} frameData Source JPEG
+ * @param {object} options
+ * @param {number} [options.width] Target width; height keeps the aspect ratio
+ * @param {number} [options.quality] JPEG quality (1-31, lower is better)
+ * @returns {Promise<Buffer>}
+ */
+function resizeJpeg(frameData, { width, quality }) {
+  const args = ['-loglevel', 'error', '-f', 'mjpeg', '-i', 'pipe:0'];
+  if (width) args.push('-vf', `scale=${width}:-2`);
+  if (quality) args.push('-q:v', String(quality));
+  args.push('-frames:v', '1', '-f', 'image2', 'pipe:1');
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(rtspFFmpeg.FFMpeg.cmd, args);
+    const chunks = [];
+    let stderr = '';
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error('Thumbnail encoding timed out'));
+    }, RESIZE_TIMEOUT);
+
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0 && chunks.length > 0) {
+        resolve(Buffer.concat(chunks));
+      } else {
+        reject(new Error(`Thumbnail encoding failed: ${stderr.trim() || `exit code ${code}`}`));
+      }
+    });
+
+    child.stdin.on('error', () => {}); // ffmpeg may exit before reading everything
+    child.stdin.end(frameData);
+  });
+}
+
+module.exports = {
+  parseThumbnailOptions,
+  resizeJpeg
+};
@@ -0,0 +1,143 @@
+// ===== OVERLAYS AND PRIVACY MASKS =====
+// `overlays` (text and time) and `privacyMasks` (rectangles and polygons) are
+// burned into the picture by an ffmpeg filter graph, in every pipeline that
+// reaches a browser: the MJPEG stream everything else is cut from, fMP4 and
+// HLS (which re-encode instead of copying while filters are set). The graph
+// scales to the stream's resolution first, so masks and font sizes are in
+// output pixels whatever the camera sends.
+
+const OVERLAY_POSITIONS = {
+  'top-left': ['MARGIN', 'MARGIN'],
+  'top-center': ['(w-tw)/2', 'MARGIN'],
+  'top-right': ['w-tw-MARGIN', 'MARGIN'],
+  'bottom-left': ['MARGIN', 'h-th-MARGIN'],
+  'bottom-center': ['(w-tw)/2', 'h-th-MARGIN'],
+  'bottom-right': ['w-tw-MARGIN', 'h-th-MARGIN']
+};
+const OVERLAY_MARGIN = 10;     // Pixels between the text box and the frame edge
+const OVERLAY_BOX_BORDER = 6;
+const POLYGON_BAND_HEIGHT = 8; // Polygons are filled as boxes at least this many pixels high...
+const POLYGON_MAX_BANDS = 64;  // ...and at most this many per frame height, to keep the graph small
+
+// Escape an option string for the filter graph parser, which strips one level
+// of quotes and backslashes before the filter sees its options
+function escapeGraphValue(value) {
+  return value.replace(/[\\'[\],;]/g, char => `\\${char}`);
+}
+
+// drawtext expands `%{localtime:FORMAT}`; colons in FORMAT would end the argument
+function overlayText({ text, timeFormat }) {
+  const parts = [];
+  if (text) parts.push(text);
+  if (timeFormat) parts.push(`%{localtime:${timeFormat.replace(/:/g, '\\:')}}`);
+  return parts.join(' ');
+}
+
+function drawText(overlay) {
+  const [x, y] = OVERLAY_POSITIONS[overlay.position || 'top-left']
+    .map(expression => expression.replace('MARGIN', String(OVERLAY_MARGIN)));
+  const options = [
+    `text='${overlayText(overlay)}'`,
+    `fontsize=${overlay.fontSize || 24}`,
+    'fontcolor=white',
+    'box=1',
+    'boxcolor=black@0.5',
+    `boxborderw=${OVERLAY_BOX_BORDER}`,
+    `x=${x}`,
+    `y=${y}`
+  ];
+  return `drawtext=${escapeGraphValue(options.join(':'))}`;
+}
+
+// drawbox reads a width or height of 0 as the whole frame's, so empty boxes are left out
+function drawBox(x, y, width, height) {
+  if (width < 1 || height < 1) return null;
+  return `drawbox=x=${x}:y=${y}:w=${width}:h=${height}:color=black:t=fill`;
+}
+
+// Pixel box covering a rectangle given in fractions of the frame; rounded outwards
+function rectangleBox(mask, width, height) {
+  const left = Math.floor(mask.x * width);
+  const top = Math.floor(mask.y * height);
+  const right = Math.ceil((mask.x + mask.width) * width);
+  const bottom = Math.ceil((mask.y + mask.height) * height);
+  return [left, top, right - left, bottom - top];
+}
+
+/**
+ * Boxes covering a polygon: one per band of rows, as wide as the polygon gets
+ * within the band. Edges come out stair-stepped and
+ * concave parts may be covered too, but no pixel of the polygon is missed.
+ * Bands of the same width are merged.
+ *
+ * @param {number[][]} points [x, y] pairs in fractions of the frame
+ * @param {number} width Frame width in pixels
+ * @param {number} height Frame height in pixels
+ * @returns {number[][]} [x, y, width, height] boxes
+ */
+function polygonBoxes(points, width, height) {
+  const pixels = points.map(([x, y]) => [x * width, y * height]);
+  const ys = pixels.map(([, y]) => y);
+  const top = Math.floor(Math.min(...ys));
+  const bottom = Math.ceil(Math.max(...ys));
+  const bandHeight = Math.max(POLYGON_BAND_HEIGHT, Math.ceil(height / POLYGON_MAX_BANDS));
+  const boxes = [];
+
+  for (let bandTop = top; bandTop < bottom; bandTop += bandHeight) {
+    const bandBottom = Math.min(bandTop + bandHeight, bottom);
+
+    // The polygon's widest extent within the band is at an end of an edge clipped to it
+    const xs = [];
+    pixels.forEach(([ax, ay], i) => {
+      const [bx, by] = pixels[(i + 1) % pixels.length];
+      const low = Math.max(bandTop, Math.min(ay, by));
+      const high = Math.min(bandBottom, Math.max(ay, by));
+      if (low > high) return;
+      if (ay === by) {
+        xs.push(ax, bx);
+        return;
+      }
+      const xAt = y => ax + (bx - ax) * (y - ay) / (by - ay);
+      xs.push(xAt(low), xAt(high));
+    });
+    if (xs.length === 0) continue;
+
+    const left = Math.floor(Math.min(...xs));
+    const boxWidth = Math.ceil(Math.max(...xs)) - left;
+    const previous = boxes[boxes.length - 1];
+    if (previous && previous[0] === left && previous[2] === boxWidth && previous[1] + previous[3] === bandTop) {
+      previous[3] += bandBottom - bandTop;
+    } else {
+      boxes.push([left, bandTop, boxWidth, bandBottom - bandTop]);
+    }
+  }
+  return boxes;
+}
+
+/**
+ * The `-vf` filter graph for a stream config, or null when it has neither
+ * privacy masks nor overlays. Masks come first, so overlays stay readable.
+ *
+ * @param {object} config Validated stream config
+ * @returns {string|null}
+ */
+function buildFilterGraph(config) {
+  const masks = config.privacyMasks || [];
+  const overlays = config.overlays || [];
+  if (masks.length === 0 && overlays.length === 0) return null;
+
+  const [width, height] = config.resolution.split('x').map(Number);
+  const filters = [`scale=${width}:${height}`];
+  masks.forEach((mask) => {
+    const boxes = mask.points ? polygonBoxes(mask.points, width, height) : [rectangleBox(mask, width, height)];
+    boxes.map(box => drawBox(...box)).filter(Boolean).forEach(filter => filters.push(filter));
+  });
+  overlays.forEach(overlay => filters.push(drawText(overlay)));
+  return filters.join(',');
+}
+
+module.exports = {
+  OVERLAY_POSITIONS,
+  buildFilterGraph,
+  polygonBoxes
+};
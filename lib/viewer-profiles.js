@@ -0,0 +1,188 @@
+const { spawn } = require('child_process');
+const rtspFFmpeg = require('rtsp-ffmpeg');
+
+// ===== VIEWER PROFILES =====
+// Each viewer picks a profile and an optional maximum frame rate. `full`
+// viewers get the stream's frames as they are; other profiles are re-encoded
+// from those frames by one extra ffmpeg process per stream and profile, which
+// runs only while a viewer uses it. Neither touches the stream's own ffmpeg.
+
+const VIEWER_PROFILES = {
+  full: null,                             // Frames as the stream delivers them
+  thumbnail: { width: 320, quality: 10 }  // Scaled down and compressed harder
+};
+
+const DEFAULT_VIEWER_OPTIONS = { maxFps: null, profile: 'full' };
+const MAX_FPS_RANGE = [0.5, 60]; // Slower would trip the player's 5 second frame check
+const VIEWER_OPTIONS_ERROR = `maxFps must be ${MAX_FPS_RANGE[0]}-${MAX_FPS_RANGE[1]} and profile one of: ${Object.keys(VIEWER_PROFILES).join(', ')}`;
+
+const MAX_PENDING_BYTES = 1024 * 1024; // Skip frames while the encoder is behind
+const RESTART_DELAY = 5000;            // Wait before respawning a failed encoder
+const JPEG_EOI = Buffer.from([0xff, 0xd9]);
+
+/**
+ * Parse a viewer's `maxFps` and `profile` from a handshake query, MJPEG query
+ * parameters or a `viewer-options` event. Missing values keep `current`;
+ * an empty or null `maxFps` removes the limit.
+ *
+ * @param {object} input
+ * @param {{maxFps: number|null, profile: string}} [current]
+ * @returns {{maxFps: number|null, profile: string}|null} null when a value is invalid
+ */
+function parseViewerOptions(input, current = DEFAULT_VIEWER_OPTIONS) {
+  if (!input || typeof input !== 'object') return null;
+  const options = { maxFps: current.maxFps, profile: current.profile };
+
+  if (input.maxFps === null || input.maxFps === '') {
+    options.maxFps = null;
+  } else if (input.maxFps !== undefined) {
+    const value = typeof input.maxFps === 'string' || typeof input.maxFps === 'number' ? Number(input.maxFps) : NaN;
+    if (!Number.isFinite(value) || value < MAX_FPS_RANGE[0] || value > MAX_FPS_RANGE[1]) return null;
+    options.maxFps = value;
+  }
+
+  if (input.profile !== undefined) {
+    if (typeof input.profile !== 'string' || !Object.prototype.hasOwnProperty.call(VIEWER_PROFILES, input.profile)) {
+      return null;
+    }
+    options.profile = input.profile;
+  }
+
+  return options;
+}
+
+/**
+ * Frame rate limiter for one consumer. Frames arrive with jitter, so the
+ * schedule may catch up by at most one interval; the average rate stays at
+ * `maxFps` as long as the source is faster.
+ */
+class FrameThrottle {
+  constructor(maxFps = null) {
+    this.maxFps = maxFps;
+    this.nextFrameAt = 0;
+  }
+
+  // Whether the frame at `now` should be taken
+  take(now) {
+    if (!this.maxFps) return true;
+    if (now < this.nextFrameAt) return false;
+
+    const interval = 1000 / this.maxFps;
+    this.nextFrameAt = Math.max(this.nextFrameAt, now - interval) + interval;
+    return true;
+  }
+}
+
+/**
+ * Re-encodes a stream's JPEG frames for one profile.
+ *
+ * Frames are piped into ffmpeg, so no second connection to the camera is
+ * opened. Only as many frames as the profile's fastest viewer wants are fed.
+ *
+ * @param {CameraStream} stream
+ * @param {string} profile Key of VIEWER_PROFILES other than `full`
+ * @param {function({data: Buffer, time: number}): void} onFrame
+ */
+class ProfileEncoder {
+  constructor(stream, profile, onFrame) {
+    this.stream = stream;
+    this.profile = profile;
+    this.settings = VIEWER_PROFILES[profile];
+    this.onFrame = onFrame;
+    this.throttle = new FrameThrottle();
+    this.child = null;
+    this.pending = [];       // Times of frames fed to the encoder, oldest first
+    this.output = Buffer.alloc(0);
+    this.lastFailure = 0;
+  }
+
+  // Highest frame rate any viewer of this profile wants; null for every frame
+  set maxFps(value) {
+    this.throttle.maxFps = value;
+  }
+
+  feed(frame) {
+    if (!this.throttle.take(frame.time)) return;
+
+    if (!this.child) {
+      if (Date.now() - this.lastFailure < RESTART_DELAY) return;
+      this.start();
+    }
+    if (this.child.stdin.writableLength > MAX_PENDING_BYTES) return;
+
+    this.pending.push(frame.time);
+    this.child.stdin.write(frame.data);
+  }
+
+  start() {
+    const { width, quality } = this.settings;
+    const child = spawn(rtspFFmpeg.FFMpeg.cmd, [
+      '-loglevel', 'error',
+      '-fflags', 'nobuffer',
+      '-f', 'mjpeg', '-i', 'pipe:0',
+      '-vf', `scale=${width}:-2`,
+      '-q:v', String(quality),
+      '-f', 'mjpeg', 'pipe:1'
+    ]);
+    this.child = child;
+
+    child.stdout.on('data', chunk => this.handleOutput(chunk));
+    child.stderr.on('data', (chunk) => {
+      console.error(`${this.profile} encoder (${this.stream.id}):`, chunk.toString().trim());
+    });
+    child.stdin.on('error', () => {}); // Reported through 'exit'
+    child.on('error', (err) => {
+      console.error(`${this.profile} encoder failed (${this.stream.id}):`, err.message);
+    });
+    child.on('exit', () => {
+      if (this.child !== child) return;
+      this.child = null;
+      this.lastFailure = Date.now();
+      this.resetState();
+    });
+  }
+
+  // Split encoder output into JPEGs; entropy-coded data never contains FF D9
+  handleOutput(chunk) {
+    this.output = Buffer.concat([this.output, chunk]);
+
+    let end = this.output.indexOf(JPEG_EOI);
+    while (end !== -1) {
+      const data = Buffer.from(this.output.subarray(0, end + 2));
+      this.output = this.output.subarray(end + 2);
+      this.onFrame({ data, time: this.pending.length > 0 ? this.pending.shift() : Date.now() });
+      end = this.output.indexOf(JPEG_EOI);
+    }
+  }
+
+  resetState() {
+    this.pending = [];
+    this.output = Buffer.alloc(0);
+  }
+
+  getState() {
+    return {
+      running: !!this.child,
+      maxFps: this.throttle.maxFps
+    };
+  }
+
+  close() {
+    if (this.child) {
+      const child = this.child;
+      this.child = null;
+      child.stdin.destroy();
+      child.kill();
+    }
+    this.resetState();
+  }
+}
+
+module.exports = {
+  VIEWER_PROFILES,
+  DEFAULT_VIEWER_OPTIONS,
+  VIEWER_OPTIONS_ERROR,
+  parseViewerOptions,
+  FrameThrottle,
+  ProfileEncoder
+};
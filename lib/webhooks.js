@@ -0,0 +1,249 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { backoffDelay } = require('./reconnect');
+
+// ===== WEBHOOKS =====
+// Lifecycle events are POSTed as JSON to the endpoints in `webhooks.endpoints`.
+// Every attempt is signed with the endpoint's secret: an HMAC-SHA256 of
+// "<timestamp>.<body>", so receivers can reject forged and replayed requests.
+// Failed attempts are retried with exponential backoff; deliveries that fail
+// every attempt, or get a 4xx that retrying will not fix, go to the
+// dead-letter log.
+
+const WEBHOOK_EVENTS = [
+  'stream.started',   // ffmpeg started for a stream
+  'stream.stopped',
+  'stream.error',     // a classified ffmpeg error, as sent to viewers
+  'config.changed',   // an entry of the config history, credentials masked
+  'viewers.active',   // the first viewer arrived
+  'viewers.idle',     // the last viewer left
+  'motion.start',
+  'motion.end'
+];
+
+const RETRY_STATUSES = [408, 429];   // 4xx answers worth another attempt
+const MAX_RESPONSE_BYTES = 64 * 1024; // Response bodies are read and dropped
+const USER_AGENT = 'rtsp-web-viewer-webhooks';
+
+/**
+ * Signature for the `X-RTSP-Signature` header, without the `sha256=` prefix.
+ *
+ * @param {string} secret Endpoint secret
+ * @param {number} timestamp Unix seconds, as sent in `X-RTSP-Timestamp`
+ * @param {string} body Raw request body
+ * @returns {string} Hex digest
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Check the endpoint list once, so a typo fails at startup instead of at the first event
+function parseEndpoints(endpoints) {
+  if (!Array.isArray(endpoints)) {
+    throw new Error('webhooks.endpoints must be an array');
+  }
+
+  return endpoints.map((endpoint, i) => {
+    const { url, secret, events = ['*'], streams = null } = endpoint || {};
+    let target;
+    try {
+      target = new URL(url);
+    } catch (e) {
+      target = null;
+    }
+    if (!target || (target.protocol !== 'http:' && target.protocol !== 'https:')) {
+      throw new Error(`Webhook endpoint ${i} needs an http or https url`);
+    }
+    if (typeof secret !== 'string' || secret.length === 0) {
+      throw new Error(`Webhook endpoint ${i} needs a secret to sign deliveries with`);
+    }
+    if (!Array.isArray(events)) {
+      throw new Error(`Webhook endpoint ${i}: events must be an array`);
+    }
+    const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Webhook endpoint ${i} has unknown events: ${unknown.join(', ')}; use ${WEBHOOK_EVENTS.join(', ')} or *`);
+    }
+    if (streams !== null && !Array.isArray(streams)) {
+      throw new Error(`Webhook endpoint ${i}: streams must be an array of stream ids`);
+    }
+    return { url: target.href, secret, events, streams };
+  });
+}
+
+/**
+ * Sends lifecycle events to the configured webhook endpoints.
+ *
+ * @param {object} options
+ * @param {object[]} options.endpoints { url, secret, events, streams }; events and streams default to all
+ * @param {number} options.timeout Seconds per attempt
+ * @param {number} options.maxAttempts Attempts before a delivery is dead-lettered
+ * @param {number} options.initialDelay Seconds before the first retry
+ * @param {number} options.maxDelay Upper bound for a single retry delay, in seconds
+ * @param {number} options.multiplier Delay growth per attempt
+ * @param {number} options.jitter Randomize delays by up to this fraction
+ * @param {string|null} options.deadLetterFile JSON Lines file failed deliveries are appended to
+ * @param {number} options.deadLetterSize Failed deliveries kept in memory for the API
+ */
+class WebhookDispatcher {
+  constructor(options) {
+    this.options = options;
+    this.endpoints = parseEndpoints(options.endpoints);
+    this.deliveries = new Set(); // In flight or waiting for a retry
+    this.deadLetters = [];       // Oldest first
+  }
+
+  /**
+   * Queue `event` for every endpoint subscribed to it.
+   *
+   * @param {string} event One of WEBHOOK_EVENTS
+   * @param {string|null} streamId
+   * @param {object} [data]
+   */
+  send(event, streamId, data = {}) {
+    const targets = this.endpoints.filter(endpoint =>
+      (endpoint.events.includes('*') || endpoint.events.includes(event)) &&
+      (!endpoint.streams || endpoint.streams.includes(streamId)));
+    if (targets.length === 0) return;
+
+    const payload = { id: crypto.randomUUID(), event, time: new Date().toISOString(), streamId, data };
+    const body = JSON.stringify(payload);
+    targets.forEach((endpoint) => {
+      const delivery = { payload, body, endpoint, attempts: 0, lastError: null, timer: null, request: null };
+      this.deliveries.add(delivery);
+      this.attempt(delivery);
+    });
+  }
+
+  attempt(delivery) {
+    delivery.timer = null;
+    delivery.attempts++;
+    this.post(delivery, (error, retry) => {
+      delivery.request = null;
+      if (!this.deliveries.has(delivery)) return; // Abandoned by close()
+      if (!error) {
+        this.deliveries.delete(delivery);
+        return;
+      }
+
+      delivery.lastError = error;
+      if (!retry || delivery.attempts >= this.options.maxAttempts) {
+        this.deadLetter(delivery);
+        return;
+      }
+      delivery.timer = setTimeout(() => this.attempt(delivery), backoffDelay(delivery.attempts, this.options));
+    });
+  }
+
+  // One POST; calls `done(error, retry)` with a null error on any 2xx
+  post(delivery, done) {
+    const { endpoint, body, payload } = delivery;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const target = new URL(endpoint.url);
+    const transport = target.protocol === 'https:' ? https : http;
+    let finished = false;
+    const finish = (error, retry) => {
+      if (finished) return;
+      finished = true;
+      done(error, retry);
+    };
+
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': USER_AGENT,
+        'X-RTSP-Event': payload.event,
+        'X-RTSP-Delivery': payload.id,
+        'X-RTSP-Timestamp': timestamp,
+        'X-RTSP-Signature': `sha256=${signWebhookPayload(endpoint.secret, timestamp, body)}`
+      },
+      timeout: this.options.timeout * 1000
+    }, (res) => {
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_RESPONSE_BYTES) res.destroy();
+      });
+      res.on('close', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          finish(null);
+        } else {
+          const retry = res.statusCode >= 500 || RETRY_STATUSES.includes(res.statusCode);
+          finish(`HTTP ${res.statusCode}`, retry);
+        }
+      });
+    });
+    delivery.request = req;
+
+    req.on('timeout', () => req.destroy(new Error(`No response within ${this.options.timeout}s`)));
+    req.on('error', err => finish(err.message, true));
+    req.end(body);
+  }
+
+  // Give up on a delivery: keep it for the API and append it to the log file
+  deadLetter(delivery) {
+    this.deliveries.delete(delivery);
+    const { payload, endpoint, attempts, lastError } = delivery;
+    const entry = {
+      id: payload.id,
+      event: payload.event,
+      streamId: payload.streamId,
+      url: endpoint.url,
+      attempts,
+      error: lastError,
+      failedAt: new Date().toISOString(),
+      payload
+    };
+    console.warn(`Webhook ${payload.event} to ${endpoint.url} failed after ${attempts} attempt(s): ${lastError}`);
+
+    this.deadLetters.push(entry);
+    if (this.deadLetters.length > this.options.deadLetterSize) {
+      this.deadLetters.splice(0, this.deadLetters.length - this.options.deadLetterSize);
+    }
+
+    const file = this.options.deadLetterFile;
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    } catch (err) {
+      console.error(`Failed to write webhook dead letter to ${file}:`, err.message);
+    }
+  }
+
+  // Newest first
+  listDeadLetters() {
+    return this.deadLetters.slice().reverse();
+  }
+
+  getState() {
+    return {
+      endpoints: this.endpoints.map(({ url, events, streams }) => ({ url, events, streams })),
+      pending: this.deliveries.size,
+      deadLetters: this.deadLetters.length
+    };
+  }
+
+  // Abandon retries and requests in flight; what was not delivered is dead-lettered
+  close() {
+    this.deliveries.forEach((delivery) => {
+      clearTimeout(delivery.timer);
+      if (delivery.request) {
+        delivery.request.destroy();
+      }
+      delivery.lastError = delivery.lastError || 'Server stopped before delivery';
+      this.deadLetter(delivery);
+    });
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  WEBHOOK_EVENTS,
+  signWebhookPayload
+};
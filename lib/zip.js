@@ -0,0 +1,87 @@
+// ===== ZIP ARCHIVES =====
+// Minimal ZIP writer for clip exports. Entries are stored uncompressed:
+// JPEG frames do not get any smaller with deflate.
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(data) {
+  let crc = -1;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+// MS-DOS time and date fields, in local time as ZIP tools expect
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a ZIP archive in memory.
+ *
+ * @param {Array<{name: string, data: Buffer, date?: Date}>} entries
+ * @returns {Buffer}
+ */
+function buildZip(entries) {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const { name, data, date = new Date() } of entries) {
+    const fileName = Buffer.from(name, 'utf8');
+    const crc = crc32(data);
+    const { time, day } = dosDateTime(date);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);  // Local file header signature
+    local.writeUInt16LE(20, 4);          // Version needed
+    local.writeUInt16LE(0x0800, 6);      // UTF-8 names
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18); // Compressed size (stored)
+    local.writeUInt32LE(data.length, 22); // Uncompressed size
+    local.writeUInt16LE(fileName.length, 26);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);  // Central directory signature
+    entry.writeUInt16LE(20, 4);          // Version made by
+    entry.writeUInt16LE(20, 6);          // Version needed
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(time, 12);
+    entry.writeUInt16LE(day, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(fileName.length, 28);
+    entry.writeUInt32LE(offset, 42);     // Local header offset
+
+    parts.push(local, fileName, data);
+    central.push(entry, fileName);
+    offset += local.length + fileName.length + data.length;
+  }
+
+  const centralSize = central.reduce((sum, buf) => sum + buf.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);      // End of central directory signature
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...parts, ...central, end]);
+}
+
+module.exports = {
+  buildZip,
+  crc32
+};
@@ -1,33 +1,698 @@
 declare module 'rtsp-stream-viewer' {
-  export interface RTSPConfig {
+  import { Server as HttpServer } from 'http';
+  import { Application, Router } from 'express';
+  import { Server as SocketIOServer, Socket } from 'socket.io';
+
+  export interface StreamConfig {
     rtspUrl: string;
     transport: 'tcp' | 'udp';
     frameRate: number;
     resolution: string;
     quality: number;
-    port: number;
     ffmpegOptions: string[];
+    /** Camera credentials; never returned by the API */
+    username?: string;
+    password?: string;
+    /** Record whenever the server is running */
+    continuousRecording?: boolean;
+    /** Keep ffmpeg running without viewers */
+    alwaysOn?: boolean;
+    motion?: Partial<MotionConfig>;
+    hls?: Partial<HlsConfig>;
+    /** ONVIF device service for PTZ control; null turns it off */
+    onvif?: OnvifConfig | null;
+    /** Text burned into the picture, in every output */
+    overlays?: OverlayConfig[];
+    /** Areas blacked out before the picture leaves the server, in every output */
+    privacyMasks?: PrivacyMask[];
+  }
+
+  export type OverlayPosition = 'top-left' | 'top-center' | 'top-right' | 'bottom-left' | 'bottom-center' | 'bottom-right';
+
+  /** Needs text, timeFormat or both; drawn with ffmpeg's drawtext */
+  export interface OverlayConfig {
+    /** Up to 200 characters, without %, ' or backslashes */
+    text?: string;
+    /** strftime format of the server's local time, e.g. '%Y-%m-%d %H:%M:%S'; drawn after the text */
+    timeFormat?: string;
+    /** Default 'top-left' */
+    position?: OverlayPosition;
+    /** Pixels at the stream's resolution, 8-128; default 24 */
+    fontSize?: number;
+  }
+
+  /** A rectangle, or a polygon of 3-32 [x, y] points; all in fractions (0-1) of the frame */
+  export type PrivacyMask = MotionZone | { points: [number, number][] };
+
+  export interface OnvifConfig {
+    /** http(s) URL of the device service, without credentials */
+    url: string;
+    /** Media profile to move; by default the first one with a PTZ configuration */
+    profileToken?: string | null;
+  }
+
+  export type PtzCommand =
+    | { action: 'move'; pan?: number; tilt?: number; zoom?: number; timeout?: number }
+    | { action: 'stop' }
+    | { action: 'center'; x: number; y: number }
+    | { action: 'presets' }
+    | { action: 'goto-preset'; preset: string }
+    | { action: 'save-preset'; name: string; preset?: string };
+
+  export interface PtzPreset {
+    token: string;
+    name: string;
+  }
+
+  export type PtzErrorCode =
+    | 'INVALID_PTZ_COMMAND'
+    | 'PTZ_NOT_CONFIGURED'
+    | 'PTZ_UNSUPPORTED'
+    | 'ONVIF_AUTH_FAILED'
+    | 'ONVIF_UNREACHABLE'
+    | 'ONVIF_FAULT'
+    | 'ONVIF_TIMEOUT';
+
+  export interface PtzState {
+    configured: boolean;
+    /** Media profile in use, once discovered */
+    profileToken: string | null;
+  }
+
+  export class OnvifPtz {
+    readonly configured: boolean;
+    /** Rejects with an Error whose `code` is a PtzErrorCode */
+    execute(command: PtzCommand): Promise<{ presets?: PtzPreset[]; preset?: PtzPreset }>;
+    getState(): PtzState;
+  }
+
+  export interface HlsConfig {
+    /** Serve `/hls/:id/index.m3u8` for this stream */
+    enabled: boolean;
+    /** 1 second segments re-encoded with libx264 instead of copied H.264 */
+    lowLatency: boolean;
+  }
+
+  /** Rectangle as fractions (0-1) of the frame */
+  export interface MotionZone {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+  }
+
+  export interface MotionConfig {
+    enabled: boolean;
+    /** 1-100; higher reacts to smaller brightness changes */
+    sensitivity: number;
+    /** Percent of the watched area that must change */
+    minArea: number;
+    /** Seconds without motion before an event ends */
+    cooldown: number;
+    exclusionZones: MotionZone[];
+  }
+
+  export interface MotionEvent {
+    id: string;
+    streamId: string;
+    startedAt: string;
+    endedAt: string | null;
+    /** Largest changed area seen, in percent */
+    peakArea: number;
+    active: boolean;
+    snapshotUrl: string;
+  }
+
+  export interface MotionState {
+    enabled: boolean;
+    active: boolean;
+    currentArea: number;
+    events: number;
+  }
+
+  /** Allowed values per ffmpeg flag; `true` marks a flag that takes no value */
+  export type FfmpegOptionAllowlist = Record<string, string[] | RegExp | true>;
+
+  export type Role = 'viewer' | 'admin';
+
+  export interface AuthUser {
+    name: string;
+    role: Role;
+  }
+
+  export interface AuthOptions {
+    /** Static API tokens */
+    tokens?: Array<{ token: string; role: Role; name?: string }>;
+    /** Secret for HS256 signed bearer tokens carrying a `role` claim */
+    jwtSecret?: string;
+    /** Custom verifier; return null to reject the token */
+    verify?: (token: string, context: object) => AuthUser | null | Promise<AuthUser | null>;
+    /** Role given to callers without credentials; none by default */
+    anonymousRole?: Role | null;
+  }
+
+  export interface RecordingOptions {
+    /** Segments are written to `<dir>/<stream id>/<start time>.avi` */
+    dir: string;
+    /** Seconds per segment */
+    segmentDuration: number;
+    /** Delete segments older than this many seconds; null keeps them */
+    maxAge: number | null;
+    /** Delete the oldest segments once all of them exceed this many bytes; null for no limit */
+    maxTotalSize: number | null;
+  }
+
+  export interface PreEventBufferOptions {
+    /** Seconds of recent frames kept per stream; 0 disables the buffer */
+    duration: number;
+    /** Memory cap per stream for buffered frames, and again for frames collected after a clip request */
+    maxBytes: number;
+    /** Longest `after` a clip request may ask for, in seconds */
+    maxAfter: number;
+  }
+
+  export interface WatchdogOptions {
+    /** Seconds without frames after which a running ffmpeg is respawned */
+    stallTimeout: number;
+    /** Seconds between checks */
+    interval: number;
+  }
+
+  export interface ReconnectOptions {
+    /** Seconds before the first retry */
+    initialDelay: number;
+    /** Cap for a single delay, in seconds */
+    maxDelay: number;
+    multiplier: number;
+    /** Fraction by which delays are randomized, e.g. 0.3 for ±30% */
+    jitter: number;
+    /** Consecutive failures before the circuit opens */
+    maxAttempts: number;
+    /** Seconds of streaming that reset the failure count */
+    stableAfter: number;
+    /** Seconds the circuit stays open before a probe attempt */
+    circuitBreakerTimeout: number;
+  }
+
+  export type ConnectionStateName = 'idle' | 'connecting' | 'streaming' | 'backoff' | 'failed';
+
+  export interface ConnectionState {
+    state: ConnectionStateName;
+    attempt: number;
+    maxAttempts: number;
+    nextRetryAt: string | null;
+    /** Milliseconds until the next retry */
+    retryIn: number | null;
+    lastError: string | null;
+  }
+
+  export type StreamErrorCode =
+    | 'AUTH_FAILED'
+    | 'NOT_FOUND'
+    | 'DNS_FAILURE'
+    | 'CONNECTION_REFUSED'
+    | 'TIMEOUT'
+    | 'UNSUPPORTED_CODEC'
+    | 'TRANSPORT_MISMATCH'
+    | 'FFMPEG_NOT_FOUND'
+    | 'STALLED'
+    | 'PROCESS_EXIT'
+    | 'STREAM_ERROR';
+
+  /** A classified ffmpeg failure, as kept in `/api/streams/:id/errors` */
+  export interface StreamError {
+    code: StreamErrorCode;
+    /** Human-readable, safe to show to viewers */
+    message: string;
+    /** What happened, e.g. `ffmpeg exited with code 1` */
+    detail: string;
+    exitCode: number | null;
+    signal: string | null;
+    /** Last stderr lines, credentials redacted */
+    stderr: string[];
+    time: string;
+    /** Set for errors of the fMP4 or HLS output rather than the MJPEG pipeline */
+    output?: 'fmp4' | 'hls';
+  }
+
+  export type ViewerProfile = 'full' | 'thumbnail';
+
+  /** What one viewer receives; see `viewer-options` */
+  export interface ViewerOptions {
+    /** Frames per second at most (0.5-60); null for every frame */
+    maxFps: number | null;
+    profile: ViewerProfile;
+  }
+
+  export interface ProfileStats {
+    viewers: number;
+    /** Set while the profile's encoder exists; `full` has none */
+    running?: boolean;
+    maxFps?: number | null;
+  }
+
+  /** H.264 passthrough output of a stream */
+  export interface Fmp4State {
+    viewers: number;
+    running: boolean;
+    /** RFC 6381 codec string, e.g. `avc1.64001f`, once the init segment is known */
+    codec: string | null;
+    connection: ConnectionState;
+  }
+
+  export class Fmp4Output {
+    readonly clients: Map<string, { socket: Socket; synced: boolean }>;
+    getState(): Fmp4State;
+  }
+
+  export interface HlsState {
+    enabled: boolean;
+    profile: 'standard' | 'lowLatency';
+    /** Clients that requested the playlist or a segment within `viewerTimeout` */
+    viewers: number;
+    running: boolean;
+    /** The current ffmpeg run has written a playlist */
+    ready: boolean;
+    connection: ConnectionState;
+  }
+
+  export class HlsOutput {
+    readonly viewers: Map<string, number>;
+    readonly enabled: boolean;
+    getState(): HlsState;
+  }
+
+  export interface HlsOutputOptions {
+    /** Playlists and segments go to `<dir>/<stream id>/run-<n>`, a new directory for every ffmpeg run */
+    dir: string;
+    /** Seconds without a request before an HLS viewer is gone */
+    viewerTimeout: number;
+  }
+
+  export interface PersistenceOptions {
+    /** JSON file for stream configs and their history; defaults to $RTSP_CONFIG_FILE, null keeps them in memory */
+    file: string | null;
+    /** Changes kept in the history */
+    historySize: number;
+    /** Reload the file when it is edited */
+    watch: boolean;
+  }
+
+  /** One change in the config history */
+  export interface ConfigHistoryEntry {
+    version: number;
+    /** ISO 8601 */
+    time: string;
+    stream: string;
+    action: 'add' | 'update' | 'reset' | 'rollback' | 'reload' | 'remove';
+    /** Name of the authenticated user, if any */
+    user: string | null;
+    source: 'rest' | 'socket' | 'api' | 'file';
+    /** Fields that changed, with their new value (null when removed) */
+    changes: Partial<StreamConfig>;
+    /** Config after the change; null when the stream was removed */
+    config: StreamConfig | null;
+    /** Version a rollback restored */
+    rolledBackTo?: number;
+  }
+
+  export type WebhookEvent =
+    | 'stream.started'
+    | 'stream.stopped'
+    | 'stream.error'
+    | 'config.changed'
+    | 'viewers.active'
+    | 'viewers.idle'
+    | 'motion.start'
+    | 'motion.end';
+
+  export interface WebhookEndpoint {
+    /** http or https URL the events are POSTed to */
+    url: string;
+    /** Key for the HMAC-SHA256 in `X-RTSP-Signature` */
+    secret: string;
+    /** Defaults to every event */
+    events?: Array<WebhookEvent | '*'>;
+    /** Stream ids; defaults to every stream */
+    streams?: string[] | null;
+  }
+
+  export interface WebhookOptions {
+    endpoints: WebhookEndpoint[];
+    /** Seconds per attempt */
+    timeout: number;
+    /** Attempts before a delivery is dead-lettered */
+    maxAttempts: number;
+    /** Retry backoff, in seconds, as in ReconnectOptions */
+    initialDelay: number;
+    maxDelay: number;
+    multiplier: number;
+    jitter: number;
+    /** JSON Lines file failed deliveries are appended to */
+    deadLetterFile: string | null;
+    /** Failed deliveries kept in memory */
+    deadLetterSize: number;
+  }
+
+  /** Body of every webhook request */
+  export interface WebhookPayload {
+    /** Same for every endpoint and attempt; also sent as `X-RTSP-Delivery` */
+    id: string;
+    event: WebhookEvent;
+    /** ISO 8601 */
+    time: string;
+    streamId: string | null;
+    data: Record<string, any>;
+  }
+
+  export interface WebhookDeadLetter {
+    id: string;
+    event: WebhookEvent;
+    streamId: string | null;
+    url: string;
+    attempts: number;
+    error: string;
+    /** ISO 8601 */
+    failedAt: string;
+    payload: WebhookPayload;
+  }
+
+  export class WebhookDispatcher {
+    send(event: WebhookEvent, streamId: string | null, data?: Record<string, any>): void;
+    /** Newest first */
+    listDeadLetters(): WebhookDeadLetter[];
+    getState(): { endpoints: Array<Omit<WebhookEndpoint, 'secret'>>; pending: number; deadLetters: number };
+  }
+
+  /** Hex HMAC-SHA256 of "<timestamp>.<body>", as sent in `X-RTSP-Signature: sha256=<hex>` */
+  export function signWebhookPayload(secret: string, timestamp: number | string, body: string): string;
+
+  export interface ConfigApplyOptions {
+    /** Seconds a new ffmpeg gets to deliver its first frame before the change is rolled back */
+    timeout: number;
+  }
+
+  export interface ConfigReloadResult {
+    updated: string[];
+    added: string[];
+    errors: Array<{ stream?: string; error: string; errors?: ConfigFieldError[] }>;
+  }
+
+  /** Latency in milliseconds and loss in percent, as reported by players */
+  export interface LatencySummary {
+    p50: number | null;
+    p95: number | null;
+    samples: number;
+    received: number;
+    lost: number;
+    loss: number;
+  }
+
+  export interface LatencyStats extends LatencySummary {
+    clients: Record<string, LatencySummary>;
+  }
+
+  /** Second argument of the `stream` socket event */
+  export interface FrameMetadata {
+    /** Per viewer, from 1; gaps are dropped frames */
+    seq: number;
+    /** Server time the frame arrived from ffmpeg */
+    receivedAt: number;
+    /** Server time the frame was sent */
+    sentAt: number;
+  }
+
+  /** Payload of the `latency-report` socket event */
+  export interface LatencyReport {
+    received: number;
+    lost: number;
+    samples?: Array<{
+      receivedAt: number;
+      sentAt: number;
+      decode: number;
+      paint: number;
+      /** Milliseconds between the frame's arrival and the report */
+      held: number;
+    }>;
+  }
+
+  export interface RTSPConfig extends StreamConfig {
+    port: number;
+    /** ffmpeg flags that stream configs may use in `ffmpegOptions` */
+    allowedFfmpegOptions: FfmpegOptionAllowlist;
+    /** Origins allowed to open socket.io connections; false means same origin only */
+    corsOrigin: boolean | string | string[];
+    /** JSON file mapping stream ids to { username, password }; defaults to $RTSP_SECRETS_FILE */
+    secretsFile: string | null;
+    /** Auth is disabled (everyone is admin) until tokens, jwtSecret or verify is set */
+    auth: AuthOptions;
+    /** Recording location and retention; missing keys use the defaults */
+    recordings: Partial<RecordingOptions>;
+    /** In-memory frame history for clip exports; missing keys use the defaults */
+    preEventBuffer: Partial<PreEventBufferOptions>;
+    /** Stalled-stream detection; missing keys use the defaults */
+    watchdog: Partial<WatchdogOptions>;
+    /** Backoff and circuit breaker for ffmpeg failures; missing keys use the defaults */
+    reconnect: Partial<ReconnectOptions>;
+    /** HLS files and viewer expiry; missing keys use the defaults */
+    hlsOutput: Partial<HlsOutputOptions>;
+    /** Saved configs and change history; missing keys use the defaults */
+    persistence: Partial<PersistenceOptions>;
+    /** Lifecycle event delivery; missing keys use the defaults */
+    webhooks: Partial<WebhookOptions>;
+    /** Trial run of config changes that restart ffmpeg; missing keys use the defaults */
+    configApply: Partial<ConfigApplyOptions>;
+    /** Named streams; each entry overrides the top-level stream settings */
+    streams?: Record<string, Partial<StreamConfig>>;
   }
 
   export interface StreamStats {
+    id: string;
+    /** Every viewer: socket.io clients plus MJPEG HTTP clients */
     activeClients: number;
+    httpClients: number;
+    /** Frames received in the last 5 seconds */
     frameCount: number;
     totalFrames: number;
+    /** Frames per second over the last 5 seconds */
     currentFps: number;
+    /** Seconds since ffmpeg last started */
     uptime: number;
     isActive: boolean;
-    config: RTSPConfig;
+    /** ffmpeg runs but produced no frames; the watchdog is restarting it */
+    stalled: boolean;
+    lastFrameAt: string | null;
+    connection: ConnectionState;
+    recording: RecordingState;
+    preEventBuffer: FrameBufferState;
+    motion: MotionState;
+    profiles: Record<ViewerProfile, ProfileStats>;
+    fmp4: Fmp4State;
+    hls: HlsState;
+    latency: LatencyStats;
+    ptz: PtzState;
+    config: StreamConfig;
+  }
+
+  export interface FrameBufferState {
+    duration: number;
+    frames: number;
+    bytes: number;
+    maxBytes: number;
+    /** Milliseconds; null when the buffer is empty */
+    oldestFrameAge: number | null;
+    /** Frames dropped early to stay under maxBytes */
+    evictedFrames: number;
+  }
+
+  export interface RecordingState {
+    active: boolean;
+    /** Started because of `continuousRecording` rather than on demand */
+    continuous: boolean;
+    /** File name of the segment being written */
+    segment: string | null;
+    segmentStartedAt: string | null;
+    segmentFrames: number;
+    segmentBytes: number;
+    /** Frames dropped because the disk could not keep up */
+    droppedFrames: number;
+    recordedFrames: number;
+  }
+
+  export interface RecordingSegment {
+    /** `<stream id>/<file>` */
+    id: string;
+    streamId: string;
+    file: string;
+    size: number;
+    startedAt: string;
+    /** null while the segment is still being written */
+    endedAt: string | null;
+    inProgress: boolean;
+  }
+
+  export interface StreamSummary {
+    id: string;
+    activeClients: number;
+    config: StreamConfig;
+  }
+
+  export interface RTSPServerOptions {
+    /** Existing Express app to mount the API routes on */
+    app?: Application;
+    /** Existing http server to attach socket.io to; it is left listening on stop() */
+    server?: HttpServer;
+    /** socket.io path, needed when several instances share one server */
+    socketPath?: string;
+  }
+
+  export interface ConfigFieldError {
+    field: string;
+    message: string;
+  }
+
+  export class ConfigValidationError extends Error {
+    readonly code: 'INVALID_CONFIG';
+    readonly errors: ConfigFieldError[];
+  }
+
+  /** A config change that was not applied; the stream keeps its previous config and ffmpeg */
+  export class ConfigApplyError extends Error {
+    /** Answered over REST with HTTP 409, 502 and 504 respectively */
+    readonly code: 'CONFIG_APPLY_IN_PROGRESS' | 'CONFIG_APPLY_FAILED' | 'CONFIG_APPLY_TIMEOUT';
+    readonly status: number;
+    /** Why the new ffmpeg failed, for CONFIG_APPLY_FAILED */
+    readonly ffmpegError: StreamError | null;
+  }
+
+  export class Authenticator {
+    constructor(options?: AuthOptions);
+
+    readonly enabled: boolean;
+
+    authenticate(token: string | null, context?: object): Promise<AuthUser | null>;
+    hasRole(user: AuthUser | null, role: Role): boolean;
+  }
+
+  export function signToken(payload: { role: Role; sub?: string; [claim: string]: unknown }, secret: string, options?: { expiresIn?: number }): string;
+
+  export class RecordingStore {
+    readonly dir: string;
+
+    /** Oldest first; optionally for a single stream */
+    list(streamId?: string): Promise<RecordingSegment[]>;
+    /** Throws for segments that are still being written */
+    remove(streamId: string, file: string): Promise<boolean>;
+    /** Returns the ids of the deleted segments */
+    enforceRetention(): Promise<string[]>;
+  }
+
+  export class StreamRecorder {
+    readonly active: boolean;
+
+    start(options?: { continuous?: boolean }): void;
+    /** Rejects if the current segment could not be finished */
+    stop(): Promise<void>;
+    getState(): RecordingState;
+  }
+
+  export class MotionDetector {
+    readonly enabled: boolean;
+
+    /** Newest first */
+    listEvents(): MotionEvent[];
+    getState(): MotionState;
+  }
+
+  export class CameraStream {
+    readonly id: string;
+    readonly room: string;
+    activeConfig: StreamConfig;
+    readonly activeClients: Set<string>;
+    readonly recorder: StreamRecorder;
+    readonly motion: MotionDetector;
+    readonly fmp4: Fmp4Output;
+    readonly hls: HlsOutput;
+    readonly ptz: OnvifPtz;
+    /** Classified ffmpeg errors, oldest first */
+    readonly errors: StreamError[];
+
+    /** Config without credentials and with a masked `rtspUrl` */
+    publicConfig(): StreamConfig;
+    getStreamStats(): StreamStats;
+    /** Latest frame; starts ffmpeg on demand if no recent frame is available */
+    getSnapshot(timeout: number): Promise<{ data: Buffer; time: number }>;
+    /** Frames from `before` seconds ago until `after` seconds from now */
+    captureClip(before: number, after: number, signal?: AbortSignal): Promise<Array<{ data: Buffer; time: number }>>;
+    /** Resolves once the stream runs with the new config; rejects with ConfigValidationError or ConfigApplyError */
+    updateStreamConfig(config: Partial<StreamConfig>, options?: { replace?: boolean }): Promise<StreamConfig>;
+    resetStreamConfig(): Promise<StreamConfig>;
+    /** Register a socket as an fMP4 (H.264 passthrough) viewer */
+    addFmp4Client(socket: Socket): void;
+    /** Change one viewer's frame rate limit or profile without restarting ffmpeg */
+    setClientOptions(clientId: string, options: ViewerOptions): void;
+    /** Classified ffmpeg errors, newest first */
+    listErrors(): StreamError[];
+    /** Add a player's latency report; null if it is invalid */
+    recordLatency(clientId: string, report: LatencyReport): LatencySummary | null;
+  }
+
+  export class StreamMetrics {
+    /** Prometheus text exposition format */
+    render(): string;
   }
 
   export class RTSPStreamServer {
-    constructor(config?: Partial<RTSPConfig>);
-    
+    constructor(config?: Partial<RTSPConfig>, options?: RTSPServerOptions);
+
+    readonly app: Application | null;
+    readonly server: HttpServer;
+    readonly router: Router;
+    readonly io: SocketIOServer | null;
+    readonly streams: Map<string, CameraStream>;
+    readonly auth: Authenticator;
+    readonly recordings: RecordingStore;
+    readonly metrics: StreamMetrics;
+    readonly webhooks: WebhookDispatcher;
+    config: Pick<RTSPConfig, 'port' | 'allowedFfmpegOptions' | 'corsOrigin' | 'secretsFile'> & {
+      recordings: RecordingOptions;
+      preEventBuffer: PreEventBufferOptions;
+      watchdog: WatchdogOptions;
+      reconnect: ReconnectOptions;
+      hlsOutput: HlsOutputOptions;
+      persistence: PersistenceOptions;
+      webhooks: WebhookOptions;
+      configApply: ConfigApplyOptions;
+    };
+
     start(port?: number): Promise<void>;
     stop(): Promise<void>;
-    getStats(): StreamStats;
-    updateConfig(config: Partial<RTSPConfig>): Promise<RTSPConfig>;
-    resetConfig(): Promise<RTSPConfig>;
+
+    /** `context` is recorded in the config history; null records nothing */
+    addStream(id: string, config?: Partial<StreamConfig>, context?: ConfigChangeContext | null): CameraStream;
+    removeStream(id: string, context?: ConfigChangeContext | null): Promise<boolean>;
+    getStream(id?: string): CameraStream | null;
+    listStreams(): StreamSummary[];
+
+    /** Stream-scoped methods default to the `default` stream; updates reject with ConfigValidationError or ConfigApplyError */
+    getStats(streamId?: string): StreamStats;
+    updateConfig(config: Partial<StreamConfig>, streamId?: string): Promise<StreamConfig>;
+    resetConfig(streamId?: string): Promise<StreamConfig>;
+
+    /** Config changes, newest first, with credentials masked */
+    getConfigHistory(streamId?: string): ConfigHistoryEntry[];
+    /** Throws an Error with `code` VERSION_NOT_FOUND, or NOTHING_TO_RESTORE for versions that removed a stream */
+    rollbackConfig(version: number, context?: ConfigChangeContext): Promise<{ stream: string; version: number; config: StreamConfig }>;
+    /** Apply edits made to `persistence.file`; also run on SIGHUP by `npm start` */
+    reloadConfig(): Promise<ConfigReloadResult>;
+  }
+
+  export interface ConfigChangeContext {
+    user?: string | null;
+    source?: 'rest' | 'socket' | 'api' | 'file';
   }
 
+  export const defaultConfig: RTSPConfig;
+
   export default RTSPStreamServer;
-} 
\ No newline at end of file
+}
@@ -1,8 +1,24 @@
+const os = require('os');
+const path = require('path');
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
-const rtspFFmpeg = require('rtsp-ffmpeg');
 const bodyParser = require('body-parser');
+const CameraStream = require('./lib/camera-stream');
+const { ConfigValidationError, DEFAULT_FFMPEG_OPTION_ALLOWLIST } = require('./lib/config-validator');
+const { Authenticator, signToken } = require('./lib/auth');
+const { parseThumbnailOptions, resizeJpeg } = require('./lib/snapshot');
+const { RecordingStore } = require('./lib/recordings');
+const { CLIP_FORMATS, parseClipOptions, encodeClip } = require('./lib/clips');
+const { StreamMetrics } = require('./lib/metrics');
+const { parseViewerOptions, VIEWER_OPTIONS_ERROR, DEFAULT_VIEWER_OPTIONS } = require('./lib/viewer-profiles');
+const { hlsViewerKey, rewritePlaylist } = require('./lib/hls');
+const { LATENCY_REPORT_ERROR } = require('./lib/latency');
+const { PtzError } = require('./lib/onvif');
+const { ConfigStore, ConfigStoreError, diffConfig, publicHistoryEntry } = require('./lib/config-store');
+const { WebhookDispatcher, signWebhookPayload } = require('./lib/webhooks');
+const { ConfigApplyError } = require('./lib/config-apply');
+const { buildPlayerBundles, buildPlayerCss } = require('./lib/player-bundle');
 
 // ===== CONFIGURABLE PARAMETERS =====
 // Default configuration (can be overridden via API)
@@ -10,15 +26,96 @@ const defaultConfig = {
   // RTSP stream settings
   rtspUrl: 'rtsp://your-rtsp-url',
   transport: 'udp', // 'tcp' or 'udp'
-  
+
   // Stream quality settings
   frameRate: 15,
   resolution: '640x360',
   quality: 3, // 1-31 (lower is better quality)
-  
+
   // Server settings
   port: process.env.PORT || 3000,
-  
+
+  // ffmpeg flags (and their values) that stream configs may use
+  allowedFfmpegOptions: DEFAULT_FFMPEG_OPTION_ALLOWLIST,
+
+  // Origins allowed to open socket.io connections (false = same origin only)
+  corsOrigin: false,
+
+  // JSON file mapping stream ids to { username, password } (see lib/credentials.js)
+  secretsFile: process.env.RTSP_SECRETS_FILE || null,
+
+  // API tokens, signed bearer tokens or a custom verifier (see lib/auth.js);
+  // auth stays disabled until one of them is configured
+  auth: {},
+
+  // Where recordings go, how long segments are and when old ones are deleted
+  recordings: {
+    dir: './recordings',
+    segmentDuration: 300,            // seconds per file
+    maxAge: 7 * 24 * 60 * 60,        // seconds; null keeps segments forever
+    maxTotalSize: 10 * 1024 ** 3     // bytes across all streams; null for no limit
+  },
+
+  // Recent frames kept in memory per stream, so clips can start before the request
+  preEventBuffer: {
+    duration: 10,                    // seconds of history; 0 disables the buffer
+    maxBytes: 32 * 1024 * 1024,      // per stream, and again for frames collected after a request
+    maxAfter: 60                     // longest `after` a clip request may ask for, in seconds
+  },
+
+  // Server-side stall detection: ffmpeg is respawned when a running stream
+  // produces no frames for `stallTimeout` seconds
+  watchdog: {
+    stallTimeout: 10,
+    interval: 2                      // seconds between checks
+  },
+
+  // Retries after ffmpeg fails: exponential backoff with jitter, then a circuit
+  // breaker that pauses retries after `maxAttempts` consecutive failures
+  reconnect: {
+    initialDelay: 1,                 // seconds
+    maxDelay: 60,                    // seconds
+    multiplier: 2,
+    jitter: 0.3,                     // ±30%
+    maxAttempts: 10,
+    stableAfter: 30,                 // seconds of streaming that reset the attempt count
+    circuitBreakerTimeout: 300       // seconds before one more attempt
+  },
+
+  // Where HLS playlists and segments are written while streams have HLS viewers
+  // (streams opt in with `hls: { enabled: true }`)
+  hlsOutput: {
+    dir: path.join(os.tmpdir(), 'rtsp-web-viewer-hls'),
+    viewerTimeout: 20                // seconds without a request before a viewer is gone
+  },
+
+  // JSON file the stream configs and their change history are saved to (see
+  // lib/config-store.js); without a file changes are lost on restart
+  persistence: {
+    file: process.env.RTSP_CONFIG_FILE || null,
+    historySize: 100,                // changes kept in the history
+    watch: false                     // reload the file when it is edited
+  },
+
+  // Lifecycle events POSTed to outside services (see lib/webhooks.js)
+  webhooks: {
+    endpoints: [],                   // { url, secret, events, streams }; events and streams default to all
+    timeout: 5,                      // seconds per attempt
+    maxAttempts: 6,                  // attempts before a delivery is dead-lettered
+    initialDelay: 1,                 // seconds before the first retry
+    maxDelay: 300,                   // upper bound for a single retry delay
+    multiplier: 2,
+    jitter: 0.3,
+    deadLetterFile: null,            // JSON Lines file of failed deliveries
+    deadLetterSize: 100              // failed deliveries kept for GET /api/webhooks/dead-letters
+  },
+
+  // Config changes that need a new ffmpeg are tried on a second process first
+  // (see lib/config-apply.js); the old config stays if it shows no frame in time
+  configApply: {
+    timeout: 15                      // seconds
+  },
+
   // Advanced FFmpeg options
   ffmpegOptions: [
     '-fflags', 'nobuffer',
@@ -26,845 +123,1013 @@ const defaultConfig = {
   ]
 };
 
-// Current active configuration
-let activeConfig = { ...defaultConfig };
-
-// ===== APPLICATION SETUP =====
-const app = express();
-const server = http.createServer(app);
-const io = socketIo(server, {
-  maxHttpBufferSize: 1e8, // 100MB max buffer size
-  pingTimeout: 60000,     // Longer ping timeout for stability
-  cors: {
-    origin: "*",
-    methods: ["GET", "POST"]
+const DEFAULT_STREAM_ID = 'default';
+const STREAM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const SNAPSHOT_TIMEOUT = 10000; // Wait this long for ffmpeg to produce a snapshot frame
+const RETENTION_INTERVAL = 10 * 60 * 1000; // Apply recording retention every 10 minutes
+const HLS_READY_TIMEOUT = 15000; // Wait this long for ffmpeg to write the first playlist
+
+// Send a 400 with field-level details for validation errors; config apply and
+// history errors carry their own status and code
+function sendError(res, error) {
+  const body = { success: false, error: error.message };
+  if (error instanceof ConfigValidationError) {
+    body.errors = error.errors;
   }
-});
-
-// Middleware
-app.use(express.static('public'));
-app.use(bodyParser.json());
-
-// ===== STREAM MANAGEMENT =====
-// Stream state
-let stream = null;
-const activeClients = new Set();
-let frameCount = 0;
-let totalFrames = 0;
-let lastFrameTime = 0;
-let lastCounterReset = Date.now();
-
-// Frame processing state
-const frameQueues = new Map(); // Map of client ID to frame queue
-const MAX_QUEUE_SIZE = 3;      // Maximum frames to buffer per client
-const MAX_CLIENTS_PER_FRAME = 10; // Process clients in batches to avoid memory spikes
-
-// Reset counters periodically for accurate stats
-setInterval(() => {
-  frameCount = 0;
-  lastCounterReset = Date.now();
-}, 10000);
-
-// ===== STREAM FUNCTIONS =====
-// Create a new stream with current configuration
-function createStream(config = activeConfig) {
-  if (stream) {
-    try {
-      stream.removeAllListeners();
-      stream.stop();
-    } catch (e) {
-      console.error('Error cleaning up stream:', e);
+  if (error instanceof ConfigApplyError || error instanceof ConfigStoreError) {
+    body.code = error.code;
+    if (error.ffmpegError) {
+      body.ffmpegError = error.ffmpegError;
     }
+    res.status(error.status).json(body);
+    return;
   }
+  res.status(400).json(body);
+}
 
-  // Build FFmpeg arguments
-  const ffmpegArgs = [
-    '-rtsp_transport', config.transport,
-    ...config.ffmpegOptions
-  ];
-
-  // Create new stream instance
-  stream = new rtspFFmpeg.FFMpeg({
-    input: config.rtspUrl,
-    rate: config.frameRate,
-    resolution: config.resolution,
-    quality: config.quality,
-    arguments: ffmpegArgs
-  });
+// Who made a config change and through what, for the history
+function changeContext(user, source) {
+  return { user: user ? user.name : null, source };
+}
 
-  // Set up frame handling
-  stream.on('data', handleNewFrame);
+// Same forms as socket.io's `cors.origin`: true, a string, a RegExp or an array of these
+function originAllowed(origin, allowed) {
+  if (Array.isArray(allowed)) return allowed.some(entry => originAllowed(origin, entry));
+  if (allowed instanceof RegExp) return allowed.test(origin);
+  return allowed === true || allowed === origin;
+}
 
-  // Handle stream events
-  stream.on('start', () => {
-    console.log('Stream started');
-    lastFrameTime = Date.now();
-    io.emit('stream-status', { status: 'started' });
-  });
+// ===== STREAM SERVER =====
+/**
+ * RTSP to MJPEG stream server.
+ *
+ * Requiring this module has no side effects: nothing listens and no ffmpeg
+ * process is spawned until `start()` is called. Each instance owns its own
+ * streams, clients, stats and socket.io server, so several instances can run
+ * in one process.
+ *
+ * Cameras live in a registry of named streams. `config.streams` maps stream
+ * ids to per-stream overrides of the top-level config; without it a single
+ * stream called `default` is created, which the legacy `/api/config` and
+ * `/api/stats` routes operate on.
+ *
+ * With `persistence.file` set, stream configs are loaded from that file at
+ * startup and saved to it after every change. Streams in the file start with
+ * their saved config, even when `config.streams` has them too; streams only
+ * in the file are added.
+ *
+ * @param {object} [config] Overrides for `defaultConfig`, plus optional `streams`
+ * @param {object} [options]
+ * @param {express.Application} [options.app] Existing Express app to mount the routes on
+ * @param {http.Server} [options.server] Existing http server to attach socket.io to
+ * @param {string} [options.socketPath] socket.io path, needed when several instances share a server
+ */
+class RTSPStreamServer {
+  constructor(config = {}, options = {}) {
+    // Server-wide settings are kept apart from the defaults every stream inherits
+    const {
+      streams, port, allowedFfmpegOptions, corsOrigin, auth, secretsFile, recordings, preEventBuffer, watchdog,
+      reconnect, hlsOutput, persistence, webhooks, configApply, ...streamDefaults
+    } = { ...defaultConfig, ...config };
+    this.config = {
+      port,
+      allowedFfmpegOptions,
+      corsOrigin,
+      secretsFile,
+      recordings: { ...defaultConfig.recordings, ...recordings },
+      preEventBuffer: { ...defaultConfig.preEventBuffer, ...preEventBuffer },
+      watchdog: { ...defaultConfig.watchdog, ...watchdog },
+      reconnect: { ...defaultConfig.reconnect, ...reconnect },
+      hlsOutput: { ...defaultConfig.hlsOutput, ...hlsOutput },
+      persistence: { ...defaultConfig.persistence, ...persistence },
+      webhooks: { ...defaultConfig.webhooks, ...webhooks },
+      configApply: { ...defaultConfig.configApply, ...configApply }
+    };
+    this.streamDefaults = streamDefaults;
+    this.options = options;
+    this.auth = new Authenticator(auth);
+    this.recordings = new RecordingStore(this.config.recordings);
+    this.metrics = new StreamMetrics(this);
+    this.configStore = new ConfigStore(this.config.persistence);
+    this.webhooks = new WebhookDispatcher(this.config.webhooks);
 
-  stream.on('stop', () => {
-    console.log('Stream stopped');
-    io.emit('stream-status', { status: 'stopped' });
-  });
+    // HTTP setup; an app or server passed in belongs to the caller
+    this.ownsServer = !options.server;
+    this.app = options.app || (options.server ? null : express());
+    this.server = options.server || http.createServer(this.app);
+    this.io = null;
+    this.retentionTimer = null;
+    this.watchdogTimer = null;
+
+    // Stream registry; saved configs win over the ones passed in
+    this.streams = new Map();
+    const saved = this.configStore.load();
+    const initialStreams = streams || { [DEFAULT_STREAM_ID]: {} };
+    for (const [id, streamConfig] of Object.entries(initialStreams)) {
+      const stream = this.addStream(id, streamConfig, null);
+      if (saved[id]) {
+        stream.loadConfig(saved[id]);
+      }
+    }
+    for (const [id, streamConfig] of Object.entries(saved)) {
+      if (!this.streams.has(id)) {
+        this.addStream(id, streamConfig, null);
+      }
+    }
+    this.configStore.track(Object.fromEntries([...this.streams].map(([id, stream]) => [id, stream.activeConfig])));
+
+    this.router = this.createRouter();
+    if (this.app) {
+      this.app.use(this.router);
+    }
+  }
+
+  // ===== LIFECYCLE =====
+  // Attach socket.io and start listening (only when the server is ours)
+  start(port = this.config.port) {
+    if (this.io) {
+      return Promise.resolve();
+    }
+
+    this.io = socketIo(this.server, {
+      path: this.options.socketPath,
+      maxHttpBufferSize: 1e8, // 100MB max buffer size
+      pingTimeout: 60000,     // Longer ping timeout for stability
+      cors: {
+        origin: this.config.corsOrigin,
+        methods: ["GET", "POST"]
+      }
+    });
+    this.io.use(this.auth.socketMiddleware());
+    this.io.on('connection', socket => this.handleConnection(socket));
+
+    // Recording and motion detection start now, and old segments go
+    this.streams.forEach(stream => stream.applyBackgroundTasks());
+    this.recordings.enforceRetention().catch(err => console.error('Recording retention failed:', err.message));
+    this.retentionTimer = setInterval(() => {
+      this.recordings.enforceRetention().catch(err => console.error('Recording retention failed:', err.message));
+    }, RETENTION_INTERVAL);
+
+    const { stallTimeout, interval } = this.config.watchdog;
+    this.watchdogTimer = setInterval(() => {
+      this.streams.forEach((stream) => {
+        stream.checkStall(stallTimeout * 1000);
+        stream.hls.expireViewers();
+      });
+    }, interval * 1000);
+
+    if (this.config.persistence.watch) {
+      this.configStore.watch(() => this.reloadConfig());
+    }
 
-  // Enhanced error handling
-  stream.on('error', (err) => {
-    console.error('Stream error:', err);
-    
-    // Determine error type and send appropriate message
-    let errorMessage = 'Stream error occurred';
-    if (err.message.includes('Connection refused')) {
-      errorMessage = 'Failed to connect to RTSP stream: Connection refused';
-    } else if (err.message.includes('Invalid data')) {
-      errorMessage = 'Invalid RTSP stream URL or stream not accessible';
-    } else if (err.message.includes('timeout')) {
-      errorMessage = 'Stream connection timed out';
+    if (!this.ownsServer || this.server.listening) {
+      return Promise.resolve();
     }
-    
-    // Notify clients about the error
-    io.emit('stream-error', { 
-      error: errorMessage,
-      code: err.code || 'STREAM_ERROR'
+
+    return new Promise((resolve, reject) => {
+      const onError = (err) => {
+        this.server.removeListener('listening', onListening);
+        this.stop().then(() => reject(err), () => reject(err));
+      };
+      const onListening = () => {
+        this.server.removeListener('error', onError);
+        this.config.port = this.server.address().port;
+        resolve();
+      };
+      this.server.once('error', onError);
+      this.server.once('listening', onListening);
+      this.server.listen(port);
     });
-    
-    // Try to restart on error after a short delay
-    if (activeClients.size > 0) {
-      setTimeout(() => {
-        if (activeClients.size > 0) {
-          try {
-            startStreamIfNeeded();
-          } catch (e) {
-            console.error('Failed to restart stream:', e);
-            io.emit('stream-error', { 
-              error: 'Failed to restart stream',
-              code: 'RESTART_FAILED'
-            });
-          }
-        }
-      }, 5000); // Increased delay to prevent rapid reconnection attempts
+  }
+
+  // Stop ffmpeg, finish recordings, disconnect every client and close what we opened
+  async stop() {
+    if (this.retentionTimer) {
+      clearInterval(this.retentionTimer);
+      this.retentionTimer = null;
     }
-  });
+    if (this.watchdogTimer) {
+      clearInterval(this.watchdogTimer);
+      this.watchdogTimer = null;
+    }
+    this.configStore.unwatch();
 
-  return stream;
-}
+    await Promise.all([...this.streams.values()].map(stream => stream.close()));
+    this.webhooks.close();
 
-// Handle a new frame from the stream
-function handleNewFrame(frameData) {
-  totalFrames++;
-  frameCount++;
-  lastFrameTime = Date.now();
-  
-  // Group clients into batches to avoid memory spikes
-  const clientBatches = [];
-  const currentBatch = [];
-  
-  for (const clientId of activeClients) {
-    currentBatch.push(clientId);
-    if (currentBatch.length >= MAX_CLIENTS_PER_FRAME) {
-      clientBatches.push([...currentBatch]);
-      currentBatch.length = 0;
+    if (!this.io) return;
+
+    const io = this.io;
+    this.io = null;
+
+    if (this.ownsServer) {
+      // Closes the underlying http server as well
+      await io.close();
+    } else {
+      // Leave a server owned by the caller listening
+      io.sockets.sockets.forEach(socket => socket.disconnect(true));
+      io.engine.close();
     }
   }
-  
-  // Add the last batch if it has any clients
-  if (currentBatch.length > 0) {
-    clientBatches.push(currentBatch);
+
+  // ===== STREAM REGISTRY =====
+  // Register a new named stream; ffmpeg starts when its first viewer joins.
+  // `context` ({ user, source }) goes into the config history; null records nothing.
+  addStream(id, config = {}, context = {}) {
+    if (typeof id !== 'string' || !STREAM_ID_PATTERN.test(id)) {
+      throw new ConfigValidationError([
+        { field: 'id', message: 'Stream id must be 1-64 letters, digits, "-" or "_"' }
+      ]);
+    }
+    if (this.streams.has(id)) {
+      throw new Error(`Stream already exists: ${id}`);
+    }
+
+    const stream = new CameraStream(id, { ...this.streamDefaults, ...config }, this);
+    this.streams.set(id, stream);
+    stream.applyBackgroundTasks();
+    if (context) {
+      this.recordConfigChange({ action: 'add', ...context, stream: id, before: null, after: stream.activeConfig });
+    }
+    return stream;
   }
-  
-  // Process each batch with a small delay between them
-  processClientBatch(0, clientBatches, frameData);
-}
 
-// Process a batch of clients for a frame
-function processClientBatch(batchIndex, clientBatches, frameData) {
-  if (batchIndex >= clientBatches.length) return;
-  
-  const batch = clientBatches[batchIndex];
-  
-  // Process each client in this batch
-  for (const clientId of batch) {
-    queueFrameForClient(clientId, frameData);
+  // Stop a stream and disconnect its viewers; resolves once its recording is
+  // closed, so a stream added again under the same id starts clean
+  async removeStream(id, context = {}) {
+    const stream = this.streams.get(id);
+    if (!stream) return false;
+
+    if (context) {
+      this.recordConfigChange({ action: 'remove', ...context, stream: id, before: stream.activeConfig, after: null });
+    }
+
+    stream.broadcast('stream-status', { status: 'removed' });
+    if (this.io) {
+      this.io.in(stream.room).disconnectSockets(true);
+    }
+    const closed = stream.close();
+    this.streams.delete(id);
+    this.metrics.removeStream(id);
+    await closed;
+    return true;
   }
-  
-  // Process next batch with a small delay to avoid memory spikes
-  if (batchIndex + 1 < clientBatches.length) {
-    setTimeout(() => {
-      processClientBatch(batchIndex + 1, clientBatches, frameData);
-    }, 5);
+
+  getStream(id = DEFAULT_STREAM_ID) {
+    return this.streams.get(id) || null;
   }
-}
 
-// Queue a frame for a specific client
-function queueFrameForClient(clientId, frameData) {
-  const socket = io.sockets.sockets.get(clientId);
-  if (!socket || !socket.connected) return;
-  
-  // Get or create queue for this client
-  if (!frameQueues.has(clientId)) {
-    frameQueues.set(clientId, []);
+  listStreams() {
+    return [...this.streams.values()].map(stream => ({
+      id: stream.id,
+      activeClients: stream.activeClients.size,
+      config: stream.publicConfig()
+    }));
   }
-  
-  const queue = frameQueues.get(clientId);
-  
-  // Add to queue, maintaining maximum size
-  queue.push(frameData);
-  
-  // If queue is too large, remove oldest frames
-  if (queue.length > MAX_QUEUE_SIZE) {
-    queue.splice(0, queue.length - MAX_QUEUE_SIZE);
+
+  // Look up a stream or throw, for the public API below
+  requireStream(id = DEFAULT_STREAM_ID) {
+    const stream = this.streams.get(id);
+    if (!stream) {
+      throw new Error(`Stream not found: ${id}`);
+    }
+    return stream;
   }
-  
-  // Send the frame to the client
-  if (queue.length > 0 && socket.connected) {
-    // Always send the newest frame for lowest latency
-    const frameToSend = queue.pop();
-    queue.length = 0; // Clear queue after sending
-    
-    // Send binary data directly
-    socket.volatile.emit('stream', frameToSend, { binary: true });
+
+  // ===== CONFIG CHANGES =====
+  /**
+   * Change a stream's config, record it in the history, save it and tell the
+   * stream's viewers. Nothing is recorded when the change is rejected or
+   * rolled back (see CameraStream.updateStreamConfig()).
+   *
+   * @param {CameraStream} stream
+   * @param {object} change
+   * @param {string} [change.action] update (merge `config`), reset, or rollback/reload (replace with `config`)
+   * @param {object} [change.config]
+   * @param {string|null} [change.user]
+   * @param {string} [change.source] rest, socket, api or file
+   * @param {number} [change.rolledBackTo]
+   * @returns {Promise<object>} The new public config
+   */
+  async changeStreamConfig(stream, { action = 'update', config, user = null, source = 'api', rolledBackTo }) {
+    const before = stream.activeConfig;
+    const updatedConfig = await (action === 'reset'
+      ? stream.resetStreamConfig()
+      : stream.updateStreamConfig(config, { replace: action !== 'update' }));
+
+    this.recordConfigChange({ stream: stream.id, action, before, after: stream.activeConfig, user, source, rolledBackTo });
+    if (this.io) {
+      this.io.to(stream.room).emit('config', updatedConfig);
+    }
+    return updatedConfig;
   }
-}
 
-// Start the stream if clients are connected
-function startStreamIfNeeded() {
-  if (activeClients.size > 0) {
-    if (!stream) {
-      stream = createStream();
+  // Add a change to the history and tell webhook subscribers; see ConfigStore.commit()
+  recordConfigChange(change) {
+    const entry = this.configStore.commit(change);
+    if (entry) {
+      this.webhooks.send('config.changed', entry.stream, publicHistoryEntry(entry));
     }
-    
-    try {
-      stream.start();
-    } catch (e) {
-      console.error('Error starting stream:', e);
+    return entry;
+  }
+
+  /**
+   * Restore the config a stream had at `version`, adding the stream again
+   * if it was removed since.
+   *
+   * @param {number} version
+   * @param {object} [context] { user, source }
+   * @returns {Promise<{stream: string, version: number, config: object}>}
+   */
+  async rollbackConfig(version, context = {}) {
+    const entry = this.configStore.find(version);
+    if (!entry.config) {
+      throw new ConfigStoreError('NOTHING_TO_RESTORE', `Version ${version} removed stream ${entry.stream}; roll back to an earlier version`);
     }
+
+    const change = { ...context, action: 'rollback', rolledBackTo: version };
+    const stream = this.streams.get(entry.stream);
+    const config = stream
+      ? await this.changeStreamConfig(stream, { ...change, config: entry.config })
+      : this.addStream(entry.stream, entry.config, change).publicConfig();
+    return { stream: entry.stream, version: this.configStore.version, config };
   }
-}
 
-// Stop the stream if no clients are connected
-function stopStreamIfNoClients() {
-  if (activeClients.size === 0 && stream) {
+  /**
+   * Apply edits made to the config file, e.g. on SIGHUP. Changed streams are
+   * restarted and new ones added; streams missing from the file are left
+   * running. An unreadable file changes nothing.
+   *
+   * @returns {Promise<{updated: string[], added: string[], errors: object[]}>}
+   */
+  async reloadConfig() {
+    const result = { updated: [], added: [], errors: [] };
+    if (!this.configStore.file) return result;
+
+    let saved;
     try {
-      stream.stop();
-      console.log('Stream stopped (no clients)');
-    } catch (e) {
-      console.error('Error stopping stream:', e);
+      saved = this.configStore.reread();
+    } catch (error) {
+      console.error('Config reload failed:', error.message);
+      result.errors.push({ error: error.message });
+      return result;
+    }
+
+    for (const [id, config] of Object.entries(saved)) {
+      const stream = this.streams.get(id);
+      try {
+        if (!stream) {
+          this.addStream(id, config, { action: 'reload', source: 'file' });
+          result.added.push(id);
+        } else if (Object.keys(diffConfig(stream.activeConfig, config)).length > 0) {
+          await this.changeStreamConfig(stream, { action: 'reload', config, source: 'file' });
+          result.updated.push(id);
+        }
+      } catch (error) {
+        console.error(`Config reload failed for stream ${id}:`, error.message);
+        result.errors.push({ stream: id, error: error.message, errors: error.errors });
+      }
     }
+    return result;
   }
-}
 
-// Update stream with new configuration
-function updateStreamConfig(newConfig) {
-  // Merge new config with current config
-  activeConfig = { ...activeConfig, ...newConfig };
-  
-  // Recreate stream with new config
-  createStream(activeConfig);
-  
-  // Start stream if clients are connected
-  startStreamIfNeeded();
-  
-  return activeConfig;
-}
+  // ===== PUBLIC API =====
+  getStats(streamId) {
+    return this.requireStream(streamId).getStreamStats();
+  }
 
-// Get current stream stats
-function getStreamStats() {
-  const now = Date.now();
-  const secondsElapsed = (now - lastFrameTime) / 1000;
-  const uptime = stream ? Math.round((now - lastCounterReset) / 1000) : 0;
-  
-  // Calculate current FPS
-  let currentFps = 0;
-  if (frameCount > 0 && secondsElapsed < 5) {
-    const timeSinceReset = (now - lastCounterReset) / 1000;
-    currentFps = Math.round(frameCount / Math.max(1, timeSinceReset));
-    
-    // Cap at reasonable values based on config
-    const maxConfigFps = activeConfig.frameRate || 30;
-    currentFps = Math.min(currentFps, maxConfigFps);
+  async updateConfig(config, streamId) {
+    return this.changeStreamConfig(this.requireStream(streamId), { config });
   }
-  
-  return {
-    activeClients: activeClients.size,
-    frameCount,
-    totalFrames,
-    currentFps,
-    uptime,
-    isActive: !!stream && activeClients.size > 0 && secondsElapsed < 5,
-    config: activeConfig
-  };
-}
 
-// ===== API ROUTES =====
-// Get current configuration
-app.get('/api/config', (req, res) => {
-  res.json(activeConfig);
-});
-
-// Update configuration
-app.post('/api/config', (req, res) => {
-  try {
-    const newConfig = req.body;
-    const updatedConfig = updateStreamConfig(newConfig);
-    res.json({ success: true, config: updatedConfig });
-  } catch (error) {
-    res.status(400).json({ success: false, error: error.message });
+  async resetConfig(streamId) {
+    return this.changeStreamConfig(this.requireStream(streamId), { action: 'reset' });
   }
-});
-
-// Reset to default configuration
-app.post('/api/config/reset', (req, res) => {
-  try {
-    const updatedConfig = updateStreamConfig(defaultConfig);
-    res.json({ success: true, config: updatedConfig });
-  } catch (error) {
-    res.status(400).json({ success: false, error: error.message });
+
+  // Config changes, newest first, with credentials masked
+  getConfigHistory(streamId) {
+    return this.configStore.list({ stream: streamId });
   }
-});
-
-// Get stream stats
-app.get('/api/stats', (req, res) => {
-  res.json(getStreamStats());
-});
-
-// Serve the client-side RTSP player library
-app.get('/rtsp-player.js', (req, res) => {
-  res.setHeader('Content-Type', 'application/javascript');
-  res.send(`
-    // RTSP Stream Viewer Client Library
-    class RTSPPlayer {
-      constructor(options = {}) {
-        // Add canvas initialization
-        this.canvas = document.createElement('canvas');
-        this.canvas.className = 'rtsp-player-canvas';
-        this.ctx = this.canvas.getContext('2d', { alpha: false });
-        
-        // Create offscreen canvas for double buffering
-        this.offscreenCanvas = document.createElement('canvas');
-        this.offscreenCtx = this.offscreenCanvas.getContext('2d', { alpha: false });
-        
-        // Add status element
-        this.statusEl = document.createElement('div');
-        this.statusEl.className = 'rtsp-player-status';
-        
-        // Set initial canvas size
-        this.canvasWidth = 640;
-        this.canvasHeight = 480;
-        this.canvas.width = this.canvasWidth;
-        this.canvas.height = this.canvasHeight;
-        this.offscreenCanvas.width = this.canvasWidth;
-        this.offscreenCanvas.height = this.canvasHeight;
-        
-        // Default options
-        this.options = {
-          container: null,
-          width: '100%',
-          height: 'auto',
-          autoConnect: true,
-          ...options
-        };
-        
-        // State
-        this.frameCount = 0;
-        this.currentConfig = {};
-        this.connectionStatus = 'disconnected';
-        this.lastValidFrame = null;
-        this.processingFrame = false;
-        this.frameTimeout = null;
-        this.skippedFrames = 0;
-        
-        // Event callbacks
-        this.onStatusChange = null;
-        
-        // Initialize the player
-        this.init();
-      }
-      
-      init() {
-        // Validate container
-        if (!this.options.container) {
-          throw new Error('Container element is required');
-        }
-        
-        const container = this.getContainer();
-        if (!container) {
-          throw new Error('Container element not found');
-        }
-        
-        // Create player structure
-        container.innerHTML = '';
-        const wrapper = document.createElement('div');
-        wrapper.className = 'rtsp-player-stream-wrapper';
-        
-        // Add elements to container
-        wrapper.appendChild(this.canvas);
-        wrapper.appendChild(this.statusEl);
-        container.appendChild(wrapper);
-        
-        // Initialize socket connection
-        if (this.options.autoConnect) {
-          this.connect();
-        }
-      }
-      
-      getContainer() {
-        if (typeof this.options.container === 'string') {
-          return document.querySelector(this.options.container);
-        }
-        return this.options.container;
-      }
-      
-      connect() {
-        // Initialize Socket.io connection
-        this.socket = io({
-          reconnectionAttempts: Infinity,
-          reconnectionDelay: 2000,
-          reconnectionDelayMax: 10000,
-          timeout: 10000,
-          binaryType: 'arraybuffer'
-        });
-        
-        // Show connecting status
-        this.showStatus('Connecting to stream...');
-        this.updateConnectionStatus('connecting', 'Connecting...');
-        
-        // Set up socket event handlers
-        this.socket.on('connect', () => {
-          this.showStatus('Establishing stream connection...');
-        });
-        
-        // Add stream error handler
-        this.socket.on('stream-error', (data) => {
-          this.showStatus(data.error, true);
-          
-          // Start checking for stream recovery
-          this.startStreamCheck();
-        });
-        
-        // Add stream status handler
-        this.socket.on('stream-status', (data) => {
-          if (data.status === 'stopped') {
-            this.showStatus('Stream stopped. Attempting to reconnect...', true);
-            this.startStreamCheck();
-          } else if (data.status === 'started') {
-            // Wait for first frame before hiding status
-            this.showStatus('Stream connected, waiting for video...');
-          }
-        });
 
-        // Add stream check method
-        this.startStreamCheck = () => {
-          if (this.streamCheckInterval) {
-            clearInterval(this.streamCheckInterval);
-          }
-          
-          this.streamCheckInterval = setInterval(() => {
-            if (this.frameCount === 0 || Date.now() - this.lastFrameTime > 5000) {
-              this.showStatus('Stream not responding. Attempting to reconnect...', true);
-              
-              // Emit reconnect request
-              this.socket.emit('stream-reconnect');
-            }
-          }, 5000);
-        };
-
-        // Track last frame time
-        this.lastFrameTime = Date.now();
-        
-        // Handle stream data with timeout detection and frame validation
-        this.socket.on('stream', async (data) => {
-          // Skip if we're still processing a frame to prevent backlog
-          if (this.processingFrame) {
-            this.skippedFrames++;
-            return;
-          }
-          
-          // Set a flag to indicate we're processing a frame
-          this.processingFrame = true;
-          
-          // Set a timeout to prevent hanging on a single frame
-          this.frameTimeout = setTimeout(() => {
-            this.processingFrame = false;
-            console.debug('Frame processing timed out');
-          }, 500); // 500ms timeout
-          
-          try {
-            const blob = new Blob([data], {type: 'image/jpeg'});
-            
-            // Validate frame data before processing
-            if (blob.size < 100) { // Minimum size for a valid JPEG
-              throw new Error('Invalid frame data: too small');
-            }
-            
-            const imageBitmap = await createImageBitmap(blob).catch(e => {
-              throw new Error('Failed to decode image: ' + e.message);
-            });
-            
-            // Draw to offscreen canvas first
-            this.offscreenCtx.drawImage(imageBitmap, 0, 0, this.canvasWidth, this.canvasHeight);
-            
-            // Only after successful drawing to offscreen, copy to visible canvas
-            this.ctx.drawImage(this.offscreenCanvas, 0, 0);
-            
-            // Store this as the last valid frame
-            this.lastValidFrame = imageBitmap;
-            
-            imageBitmap.close();
-            
-            this.frameCount++;
-            this.lastFrameTime = Date.now();
-            
-            // Clear stream check on successful frame
-            if (this.streamCheckInterval && this.frameCount > 1) {
-              clearInterval(this.streamCheckInterval);
-              this.streamCheckInterval = null;
-            }
-            
-            this.hideStatus();
-            this.handleSuccessfulConnection();
-          } catch (error) {
-            // Log the error but don't show to user
-            console.debug('Frame processing error:', error.message);
-            
-            // If we have a last valid frame, use it instead
-            if (this.lastValidFrame && !this.lastValidFrame.closed) {
-              try {
-                // Redraw the last valid frame to maintain a stable image
-                this.ctx.drawImage(this.lastValidFrame, 0, 0, this.canvasWidth, this.canvasHeight);
-              } catch (e) {
-                // If even this fails, the lastValidFrame might be invalid
-                this.lastValidFrame = null;
-              }
-            }
-          } finally {
-            // Clear the timeout and reset processing flag
-            if (this.frameTimeout) {
-              clearTimeout(this.frameTimeout);
-              this.frameTimeout = null;
-            }
-            this.processingFrame = false;
-          }
-        });
-        
-        // Handle configuration
-        this.socket.on('config', (config) => {
-          this.currentConfig = config;
-          this.updateConfigForm(config);
-        });
-      }
-      
-      disconnect() {
-        if (this.streamCheckInterval) {
-          clearInterval(this.streamCheckInterval);
-          this.streamCheckInterval = null;
-        }
-        if (this.socket) {
-          this.socket.disconnect();
-          this.socket = null;
-        }
+  // ===== API ROUTES =====
+  createRouter() {
+    const router = express.Router();
+
+    router.use(bodyParser.json());
+
+    // Players embedded on the origins in `corsOrigin` load the client library and call the API
+    router.use((req, res, next) => {
+      const origin = req.get('origin');
+      if (!origin || !originAllowed(origin, this.config.corsOrigin)) return next();
+
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+      if (req.method === 'OPTIONS') {
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, X-API-Key, Content-Type');
+        return res.sendStatus(204);
       }
-      
-      showStatus(message, isError = false) {
-        if (!this.statusEl) return;
-        
-        // Create status content with appropriate styling
-        const statusContent = isError 
-          ? \`<div class="rtsp-player-status-content error">
-               <span class="rtsp-player-status-icon">⚠️</span>
-               <span class="rtsp-player-status-message">\${message}</span>
-             </div>\`
-          : \`<div class="rtsp-player-status-content">
-               <span class="rtsp-player-spinner"></span>
-               <span class="rtsp-player-status-message">\${message}</span>
-             </div>\`;
-        
-        this.statusEl.innerHTML = statusContent;
-        this.statusEl.classList.add('visible');
-        
-        // Add error class for styling
-        if (isError) {
-          this.statusEl.classList.add('error');
-        } else {
-          this.statusEl.classList.remove('error');
-        }
+      next();
+    });
+
+    // Viewers may read, admins may also change things
+    const viewer = this.auth.requireRole('viewer');
+    const admin = this.auth.requireRole('admin');
+
+    // Resolve `:id` to a registered stream; legacy routes use the default stream
+    const withStream = handler => (req, res) => {
+      const id = req.params.id || DEFAULT_STREAM_ID;
+      const stream = this.streams.get(id);
+      if (!stream) {
+        return res.status(404).json({ success: false, error: `Stream not found: ${id}` });
       }
-      
-      hideStatus() {
-        if (!this.statusEl) return;
-        if (this.statusEl.classList.contains('visible')) {
-          this.statusEl.classList.remove('visible');
+      handler(stream, req, res);
+    };
+
+    // Liveness: the process answers requests. Unauthenticated, for probes
+    router.get(['/healthz', '/health'], (req, res) => {
+      res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+    });
+
+    // Readiness: started and accepting viewers. A stalled camera does not make
+    // the server unready; it is reported so it can be alerted on separately
+    router.get('/readyz', (req, res) => {
+      const streams = [...this.streams.values()];
+      res.status(this.io ? 200 : 503).json({
+        status: this.io ? 'ready' : 'not ready',
+        streams: streams.length,
+        running: streams.filter(stream => stream.isRunning()).length,
+        stalled: streams.filter(stream => stream.stalledSince !== null).length
+      });
+    });
+
+    // List streams
+    router.get('/api/streams', viewer, (req, res) => {
+      res.json(this.listStreams());
+    });
+
+    // Register a stream; a taken id is a conflict, not a bad request
+    router.post('/api/streams', admin, (req, res) => {
+      try {
+        const { id, ...config } = req.body || {};
+        if (this.streams.has(id)) {
+          res.status(409).json({ success: false, error: `Stream already exists: ${id}` });
+          return;
         }
+        const stream = this.addStream(id, config, changeContext(req.user, 'rest'));
+        res.status(201).json({ success: true, id: stream.id, config: stream.publicConfig() });
+      } catch (error) {
+        sendError(res, error);
       }
-      
-      updateConnectionStatus(status, message) {
-        this.connectionStatus = status;
-        
-        // Emit status change event
-        if (this.onStatusChange) {
-          this.onStatusChange(status, message);
-        }
+    });
+
+    // Get a single stream
+    router.get('/api/streams/:id', viewer, withStream((stream, req, res) => {
+      res.json({ id: stream.id, config: stream.publicConfig(), stats: stream.getStreamStats() });
+    }));
+
+    // Remove a stream
+    router.delete('/api/streams/:id', admin, withStream((stream, req, res) => {
+      this.removeStream(stream.id, changeContext(req.user, 'rest'))
+        .then(() => res.json({ success: true }))
+        .catch(error => sendError(res, error));
+    }));
+
+    // Get current configuration
+    router.get(['/api/config', '/api/streams/:id/config'], viewer, withStream((stream, req, res) => {
+      res.json(stream.publicConfig());
+    }));
+
+    // Update configuration; answers once the stream runs on it, or with the
+    // reason it kept the previous one
+    router.post(['/api/config', '/api/streams/:id/config'], admin, withStream((stream, req, res) => {
+      this.changeStreamConfig(stream, { config: req.body, ...changeContext(req.user, 'rest') })
+        .then(updatedConfig => res.json({ success: true, config: updatedConfig }))
+        .catch(error => sendError(res, error));
+    }));
+
+    // Reset to default configuration
+    router.post(['/api/config/reset', '/api/streams/:id/config/reset'], admin, withStream((stream, req, res) => {
+      this.changeStreamConfig(stream, { action: 'reset', ...changeContext(req.user, 'rest') })
+        .then(updatedConfig => res.json({ success: true, config: updatedConfig }))
+        .catch(error => sendError(res, error));
+    }));
+
+    // Config change history, newest first; `?stream=<id>` for one stream
+    router.get('/api/config/history', viewer, (req, res) => {
+      const stream = typeof req.query.stream === 'string' ? req.query.stream : undefined;
+      res.json(this.getConfigHistory(stream));
+    });
+
+    // Restore the config a stream had at a version of the history
+    router.post('/api/config/rollback/:version', admin, (req, res) => {
+      this.rollbackConfig(Number(req.params.version), changeContext(req.user, 'rest'))
+        .then(result => res.json({ success: true, ...result }))
+        .catch(error => sendError(res, error));
+    });
+
+    // Webhook endpoints (without secrets) and delivery counts
+    router.get('/api/webhooks', admin, (req, res) => {
+      res.json(this.webhooks.getState());
+    });
+
+    // Deliveries that failed every attempt, newest first
+    router.get('/api/webhooks/dead-letters', admin, (req, res) => {
+      res.json(this.webhooks.listDeadLetters());
+    });
+
+    // Get stream stats
+    router.get(['/api/stats', '/api/streams/:id/stats'], viewer, withStream((stream, req, res) => {
+      res.json(stream.getStreamStats());
+    }));
+
+    // Prometheus scrape endpoint
+    router.get('/metrics', viewer, (req, res) => {
+      res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(this.metrics.render());
+    });
+
+    // Plain MJPEG for <img> tags, NVRs and curl; counts as a viewer while open
+    router.get(['/stream.mjpg', '/api/streams/:id/stream.mjpg'], viewer, withStream((stream, req, res) => {
+      const viewerOptions = parseViewerOptions(req.query);
+      if (!viewerOptions) {
+        return res.status(400).json({ success: false, error: VIEWER_OPTIONS_ERROR });
       }
-      
-      toggleConfigPanel(show) {
-        const panel = document.getElementById('config-panel');
-        if (show === undefined) {
-          panel.classList.toggle('visible');
-        } else {
-          panel.classList[show ? 'add' : 'remove']('visible');
-        }
+
+      const clientId = stream.addHttpClient(res, viewerOptions);
+      console.log(`MJPEG client connected to ${stream.id}:`, clientId);
+
+      req.on('close', () => {
+        console.log(`MJPEG client disconnected from ${stream.id}:`, clientId);
+        stream.removeHttpClient(clientId);
+      });
+    }));
+
+    // HLS playlist; requesting it makes the client an HLS viewer and starts the output
+    router.get('/hls/:id/index.m3u8', viewer, withStream((stream, req, res) => {
+      if (!stream.hls.enabled) {
+        return res.status(404).json({ success: false, error: `HLS is not enabled for stream: ${stream.id}` });
       }
-      
-      updateConfigForm(config) {
-        // Get elements from DOM instead of class properties
-        const rtspUrlInput = document.getElementById('rtsp-url');
-        const transportSelect = document.getElementById('transport');
-        const frameRateInput = document.getElementById('framerate');
-        const resolutionSelect = document.getElementById('resolution');
-        const qualityInput = document.getElementById('quality');
-
-        if (rtspUrlInput) rtspUrlInput.value = config.rtspUrl || '';
-        if (transportSelect) transportSelect.value = config.transport || 'tcp';
-        if (frameRateInput) frameRateInput.value = config.frameRate || '';
-        if (resolutionSelect) resolutionSelect.value = config.resolution || '640x480';
-        if (qualityInput) qualityInput.value = config.quality || '';
-
-        // Parse resolution for canvas sizing
-        if (config.resolution) {
-          const [width, height] = config.resolution.split('x').map(Number);
-          if (width && height) {
-            this.updateCanvasSize(width, height);
+
+      stream.hls.touch(hlsViewerKey(req));
+      stream.hls.playlistReady(HLS_READY_TIMEOUT)
+        .then(ready => (ready ? stream.hls.readPlaylist() : null))
+        .then((playlist) => {
+          if (playlist === null) {
+            res.set('Retry-After', '2');
+            return res.status(503).json({ success: false, error: 'HLS playlist is not ready yet' });
           }
-        }
+          res.set({
+            'Content-Type': 'application/vnd.apple.mpegurl',
+            'Cache-Control': 'no-cache, no-store, must-revalidate'
+          });
+          res.send(rewritePlaylist(playlist, req.query.access_token));
+        });
+    }));
+
+    // HLS segment; fetching one also keeps the viewer alive
+    router.get('/hls/:id/:file', viewer, withStream((stream, req, res) => {
+      const filePath = stream.hls.enabled ? stream.hls.resolve(req.params.file) : null;
+      if (!filePath) {
+        return res.status(404).json({ success: false, error: 'Segment not found' });
       }
-      
-      applyConfig() {
-        this.showStatus('Applying configuration changes...');
-        
-        // Get elements from DOM
-        const rtspUrlInput = document.getElementById('rtsp-url');
-        const transportSelect = document.getElementById('transport');
-        const frameRateInput = document.getElementById('framerate');
-        const resolutionSelect = document.getElementById('resolution');
-        const qualityInput = document.getElementById('quality');
-
-        const newConfig = {};
-        
-        if (rtspUrlInput?.value) newConfig.rtspUrl = rtspUrlInput.value;
-        if (transportSelect?.value) newConfig.transport = transportSelect.value;
-        if (frameRateInput?.value) newConfig.frameRate = parseInt(frameRateInput.value);
-        if (resolutionSelect?.value) newConfig.resolution = resolutionSelect.value;
-        if (qualityInput?.value) newConfig.quality = parseInt(qualityInput.value);
-
-        // Send config to server
-        this.socket.emit('update-config', newConfig);
-
-        // Set a timeout to handle no response
-        setTimeout(() => {
-          this.showStatus('Configuration timed out. Try again.', true);
-        }, 10000);
+
+      stream.hls.touch(hlsViewerKey(req));
+      res.type('video/mp2t');
+      res.sendFile(filePath, (err) => {
+        if (err && !res.headersSent) {
+          res.status(404).json({ success: false, error: 'Segment not found' });
+        }
+      });
+    }));
+
+    // Latest frame as a JPEG; starts ffmpeg on demand when nobody is watching
+    router.get(['/api/snapshot.jpg', '/api/streams/:id/snapshot.jpg'], viewer, withStream((stream, req, res) => {
+      const thumbnail = parseThumbnailOptions(req.query);
+      if (!thumbnail) {
+        return res.status(400).json({ success: false, error: 'width must be 16-3840 and quality 1-31' });
       }
-      
-      resetConfig() {
-        this.showStatus('Resetting to default configuration...');
-        
-        fetch('/api/config/reset', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          }
+
+      stream.getSnapshot(SNAPSHOT_TIMEOUT)
+        .then((frame) => {
+          const resized = thumbnail.width || thumbnail.quality
+            ? resizeJpeg(frame.data, thumbnail)
+            : Promise.resolve(frame.data);
+          return resized.then(data => ({ data, time: frame.time }));
         })
-        .then(response => response.json())
-        .catch(() => {
-          this.showStatus('Failed to reset configuration', true);
+        .then(({ data, time }) => {
+          res.set({
+            'Content-Type': 'image/jpeg',
+            'Cache-Control': 'no-cache, no-store, must-revalidate',
+            'Last-Modified': new Date(time).toUTCString(),
+            'X-Frame-Age': String(Date.now() - time)
+          });
+          res.send(data);
         })
-        .finally(() => {
-          setTimeout(() => {
-            this.showStatus('Reset to default configuration');
-          }, 1000);
+        .catch((error) => {
+          const status = error.code === 'SNAPSHOT_TIMEOUT' ? 504 : 500;
+          res.status(status).json({ success: false, error: error.message });
         });
+    }));
+
+    // Clip of the last `before` plus the next `after` seconds, as AVI or a ZIP of JPEGs
+    router.get(['/api/clip.:format', '/api/streams/:id/clip.:format'], viewer, withStream((stream, req, res) => {
+      const { format } = req.params;
+      if (!Object.prototype.hasOwnProperty.call(CLIP_FORMATS, format)) {
+        return res.status(404).json({ success: false, error: `Unknown clip format: ${format}` });
       }
-      
-      async getStats() {
-        try {
-          const response = await fetch('/api/stats');
-          if (!response.ok) {
-            throw new Error('Failed to fetch stats');
-          }
-          const stats = await response.json();
-          
-          // Add client-side frame count to the stats
-          stats.clientFrameCount = this.frameCount;
-          stats.skippedFrames = this.skippedFrames || 0;
-          
-          return stats;
-        } catch (error) {
-          console.error('Error fetching stats:', error);
-          return { error: error.message };
-        }
+
+      const { duration, maxAfter } = this.config.preEventBuffer;
+      const clip = parseClipOptions(req.query, { maxBefore: duration, maxAfter });
+      if (!clip) {
+        return res.status(400).json({
+          success: false,
+          error: `before must be 0-${duration} and after 0-${maxAfter} seconds`
+        });
       }
-      
-      setStatusChangeCallback(callback) {
-        this.onStatusChange = callback;
+
+      // Stop collecting if the requester goes away
+      const aborted = new AbortController();
+      res.on('close', () => aborted.abort());
+
+      // Started inside the chain, so a synchronous throw is answered like a rejection
+      Promise.resolve()
+        .then(() => stream.captureClip(clip.before, clip.after, aborted.signal))
+        .then((frames) => {
+          if (res.writableEnded || res.destroyed) return;
+          if (frames.length === 0) {
+            return res.status(404).json({ success: false, error: 'No frames available for this time range' });
+          }
+
+          const { data, contentType, fileName } = encodeClip(frames, format, {
+            streamId: stream.id,
+            resolution: stream.activeConfig.resolution
+          });
+          res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${fileName}"`,
+            'X-Clip-Frames': String(frames.length),
+            'X-Clip-Start': new Date(frames[0].time).toISOString(),
+            'X-Clip-End': new Date(frames[frames.length - 1].time).toISOString()
+          });
+          res.send(data);
+        })
+        .catch((error) => {
+          console.error(`Clip export failed (${stream.id}):`, error.message);
+          if (!res.headersSent) {
+            res.status(500).json({ success: false, error: error.message });
+          }
+        });
+    }));
+
+    // Classified ffmpeg errors of a stream, newest first
+    router.get('/api/streams/:id/errors', viewer, withStream((stream, req, res) => {
+      res.json(stream.listErrors());
+    }));
+
+    // Motion events across streams, newest first (`?stream=<id>` for one stream)
+    router.get('/api/motion/events', viewer, (req, res) => {
+      const streams = typeof req.query.stream === 'string'
+        ? [this.streams.get(req.query.stream)].filter(Boolean)
+        : [...this.streams.values()];
+      const events = streams
+        .flatMap(stream => stream.motion.listEvents())
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+      res.json(events);
+    });
+
+    router.get('/api/streams/:id/motion/events', viewer, withStream((stream, req, res) => {
+      res.json(stream.motion.listEvents());
+    }));
+
+    // Frame that started a motion event
+    router.get('/api/streams/:id/motion/events/:eventId/snapshot.jpg', viewer, withStream((stream, req, res) => {
+      const event = stream.motion.getEvent(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ success: false, error: 'Motion event not found' });
       }
 
-      // Add this new method to handle successful connections
-      handleSuccessfulConnection() {
-        this.hideStatus();
-        this.updateConnectionStatus('connected', 'Connected');
+      res.set({
+        'Content-Type': 'image/jpeg',
+        'Last-Modified': new Date(event.startedAt).toUTCString()
+      });
+      res.send(event.snapshot);
+    }));
+
+    // List recorded segments, optionally for one stream (`?stream=<id>`)
+    router.get('/api/recordings', viewer, (req, res) => {
+      const streamId = typeof req.query.stream === 'string' ? req.query.stream : undefined;
+      this.recordings.list(streamId)
+        .then(segments => res.json(segments))
+        .catch(error => res.status(500).json({ success: false, error: error.message }));
+    });
+
+    // Download a segment
+    router.get('/api/recordings/:streamId/:file', viewer, (req, res) => {
+      const filePath = this.recordings.resolve(req.params.streamId, req.params.file);
+      if (!filePath) {
+        return res.status(404).json({ success: false, error: 'Recording not found' });
       }
 
-      // Update canvas size when resolution changes
-      updateCanvasSize(width, height) {
-        if (!width || !height) return;
-        
-        this.canvasWidth = width;
-        this.canvasHeight = height;
-        
-        // Update both main and offscreen canvas
-        this.canvas.width = width;
-        this.canvas.height = height;
-        this.offscreenCanvas.width = width;
-        this.offscreenCanvas.height = height;
-        
-        // Clear both canvases to prevent artifacts
-        this.ctx.fillStyle = '#000';
-        this.ctx.fillRect(0, 0, width, height);
-        this.offscreenCtx.fillStyle = '#000';
-        this.offscreenCtx.fillRect(0, 0, width, height);
-        
-        // Reset last valid frame as it may no longer be the right size
-        if (this.lastValidFrame && !this.lastValidFrame.closed) {
-          this.lastValidFrame.close();
-          this.lastValidFrame = null;
+      res.type('video/x-msvideo');
+      res.sendFile(filePath, (err) => {
+        if (err && !res.headersSent) {
+          res.status(404).json({ success: false, error: 'Recording not found' });
         }
+      });
+    });
+
+    // Delete a segment
+    router.delete('/api/recordings/:streamId/:file', admin, (req, res) => {
+      this.recordings.remove(req.params.streamId, req.params.file)
+        .then((removed) => {
+          if (!removed) {
+            return res.status(404).json({ success: false, error: 'Recording not found' });
+          }
+          res.json({ success: true });
+        })
+        .catch(error => res.status(409).json({ success: false, error: error.message }));
+    });
+
+    // Recording state of a stream
+    router.get('/api/streams/:id/recording', viewer, withStream((stream, req, res) => {
+      res.json(stream.recorder.getState());
+    }));
+
+    // Start or stop recording on demand
+    router.post('/api/streams/:id/recording/start', admin, withStream((stream, req, res) => {
+      try {
+        stream.recorder.start();
+        res.json({ success: true, recording: stream.recorder.getState() });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
       }
-    }
-    
-    // Export to global scope
-    window.RTSPPlayer = RTSPPlayer;
-  `);
-});
-
-// Add CSS styles for enhanced visual feedback
-app.get('/rtsp-player.css', (req, res) => {
-  res.setHeader('Content-Type', 'text/css');
-  res.send(`
-    .rtsp-player-status {
-      position: absolute;
-      top: 50%;
-      left: 50%;
-      transform: translate(-50%, -50%);
-      background: rgba(0, 0, 0, 0.8);
-      color: white;
-      padding: 15px 25px;
-      border-radius: 8px;
-      z-index: 1000;
-      opacity: 0;
-      visibility: hidden;
-      transition: opacity 0.3s ease, visibility 0.3s ease;
-      text-align: center;
-      min-width: 200px;
-    }
+    }));
 
-    .rtsp-player-status.visible {
-      opacity: 1;
-      visibility: visible;
-    }
+    router.post('/api/streams/:id/recording/stop', admin, withStream((stream, req, res) => {
+      stream.recorder.stop()
+        .then(() => res.json({ success: true, recording: stream.recorder.getState() }))
+        .catch(error => res.status(500).json({ success: false, error: error.message }));
+    }));
 
-    .rtsp-player-status.error {
-      background: rgba(255, 59, 48, 0.9);
-    }
+    // PTZ through ONVIF; moving the camera needs the admin role
+    const ptz = toCommand => withStream((stream, req, res) => {
+      stream.ptz.execute(toCommand(req))
+        .then(result => res.json({ success: true, ...result }))
+        .catch((error) => {
+          const status = error instanceof PtzError ? error.status : 500;
+          res.status(status).json({ success: false, error: error.message, code: error.code });
+        });
+    });
 
-    .rtsp-player-status-content {
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      gap: 10px;
-    }
+    router.post('/api/streams/:id/ptz/move', admin, ptz(req => ({ ...req.body, action: 'move' })));
+    router.post('/api/streams/:id/ptz/stop', admin, ptz(() => ({ action: 'stop' })));
+    router.post('/api/streams/:id/ptz/center', admin, ptz(req => ({ ...req.body, action: 'center' })));
+    router.get('/api/streams/:id/ptz/presets', viewer, ptz(() => ({ action: 'presets' })));
+    router.post('/api/streams/:id/ptz/presets', admin, ptz(req => ({ ...req.body, action: 'save-preset' })));
+    router.post('/api/streams/:id/ptz/presets/:preset/goto', admin, ptz(req => ({
+      action: 'goto-preset',
+      preset: req.params.preset
+    })));
+
+    // Serve the client-side RTSP player library: UMD for <script> tags, ESM for imports
+    router.get('/rtsp-player.js', (req, res) => {
+      res.setHeader('Content-Type', 'application/javascript');
+      res.send(getPlayerAssets().umd);
+    });
+
+    router.get('/rtsp-player.mjs', (req, res) => {
+      res.setHeader('Content-Type', 'application/javascript');
+      res.send(getPlayerAssets().esm);
+    });
+
+    // Stylesheet for pages using RTSPPlayer without the <rtsp-player> element
+    router.get('/rtsp-player.css', (req, res) => {
+      res.setHeader('Content-Type', 'text/css');
+      res.send(getPlayerAssets().css);
+    });
+
+    // The demo page and static files only belong on an app we created
+    if (!this.options.app) {
+      router.use(express.static('public'));
 
-    .rtsp-player-status-icon {
-      font-size: 18px;
+      // Serve the index.html file
+      router.get('/', (req, res) => {
+        res.sendFile(__dirname + '/index.html');
+      });
     }
 
-    .rtsp-player-status-message {
-      font-size: 14px;
-      font-weight: 500;
+    return router;
+  }
+
+  // ===== SOCKET HANDLING =====
+  // Viewers pick a stream with the `streamId` handshake query parameter
+  handleConnection(socket) {
+    const streamId = socket.handshake.query.streamId || DEFAULT_STREAM_ID;
+    const stream = this.streams.get(streamId);
+
+    if (!stream) {
+      socket.emit('stream-error', {
+        streamId,
+        error: `Stream not found: ${streamId}`,
+        code: 'STREAM_NOT_FOUND'
+      });
+      socket.disconnect(true);
+      return;
     }
 
-    .rtsp-player-spinner {
-      width: 20px;
-      height: 20px;
-      border: 2px solid rgba(255, 255, 255, 0.3);
-      border-radius: 50%;
-      border-top-color: #fff;
-      animation: spin 1s ease-in-out infinite;
+    console.log(`Client connected to ${stream.id}:`, socket.id);
+
+    // Send current configuration to client
+    socket.emit('config', stream.publicConfig());
+
+    // A viewer joining during a backoff or an open circuit should know why nothing plays
+    if (!stream.connection.canConnect) {
+      const state = stream.connection.getState();
+      socket.emit('stream-status', { streamId: stream.id, status: state.state, ...state });
     }
 
-    @keyframes spin {
-      to { transform: rotate(360deg); }
+    // `maxFps` and `profile` in the handshake query pick what this viewer receives
+    let viewerOptions = parseViewerOptions(socket.handshake.query);
+    if (!viewerOptions) {
+      socket.emit('stream-error', { streamId: stream.id, error: VIEWER_OPTIONS_ERROR, code: 'INVALID_VIEWER_OPTIONS' });
+      viewerOptions = DEFAULT_VIEWER_OPTIONS;
     }
-  `);
-});
-
-// Serve the index.html file
-app.get('/', (req, res) => {
-  res.sendFile(__dirname + '/index.html');
-});
-
-// ===== SOCKET HANDLING =====
-io.on('connection', socket => {
-  console.log('Client connected:', socket.id);
-  activeClients.add(socket.id);
-  
-  // Send current configuration to client
-  socket.emit('config', activeConfig);
-  
-  // Create stream if this is the first client
-  if (activeClients.size === 1) {
-    startStreamIfNeeded();
+
+    // `mode=fmp4` asks for H.264 passthrough instead of JPEG frames
+    let mode = socket.handshake.query.mode === 'fmp4' ? 'fmp4' : 'mjpeg';
+    // `paused=true` (a player reconnecting while paused) joins without frames until 'resume'
+    let paused = socket.handshake.query.paused === 'true';
+    const join = () => {
+      if (paused) {
+        socket.join(stream.room); // Config, status and motion events, but no frames
+      } else if (mode === 'fmp4') {
+        stream.addFmp4Client(socket);
+      } else {
+        stream.addClient(socket, viewerOptions);
+      }
+    };
+
+    // Join the stream room; the first viewer starts ffmpeg
+    join();
+
+    // Change this viewer's frame rate or profile; never restarts ffmpeg for others
+    socket.on('viewer-options', (options, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      const parsed = parseViewerOptions(options, viewerOptions);
+      if (!parsed) {
+        reply({ success: false, error: VIEWER_OPTIONS_ERROR });
+        return;
+      }
+
+      viewerOptions = parsed;
+      if (mode === 'mjpeg' && !paused) {
+        stream.setClientOptions(socket.id, viewerOptions);
+      }
+      reply({ success: true, options: viewerOptions });
+    });
+
+    // Switch between JPEG frames and fMP4, e.g. when the browser cannot play the codec
+    socket.on('stream-mode', (newMode, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      if (newMode !== 'mjpeg' && newMode !== 'fmp4') {
+        reply({ success: false, error: 'mode must be mjpeg or fmp4' });
+        return;
+      }
+
+      if (newMode !== mode) {
+        stream.removeClient(socket);
+        mode = newMode;
+        join();
+      }
+      reply({ success: true, mode });
+    });
+
+    // Stop sending frames to this viewer and start again; others are unaffected,
+    // and ffmpeg stops when the last unpaused viewer pauses
+    socket.on('pause', (ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      if (!paused) {
+        stream.removeClient(socket);
+        paused = true;
+        join();
+      }
+      reply({ success: true, paused });
+    });
+
+    socket.on('resume', (ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      if (paused) {
+        paused = false;
+        join();
+      }
+      reply({ success: true, paused });
+    });
+
+    // Handle configuration updates from client; `ack` reports the outcome
+    socket.on('update-config', (newConfig, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      if (!this.auth.hasRole(socket.data.user, 'admin')) {
+        reply({ success: false, error: 'admin role required', code: 'FORBIDDEN' });
+        socket.emit('error', { message: 'admin role required', code: 'FORBIDDEN' });
+        return;
+      }
+
+      // The ack comes once viewers are on the new config, or with the reason the old one stayed;
+      // viewers of this stream get the new config as a 'config' event
+      this.changeStreamConfig(stream, { config: newConfig, ...changeContext(socket.data.user, 'socket') })
+        .then(updatedConfig => reply({ success: true, config: updatedConfig }))
+        .catch((error) => {
+          if (error instanceof ConfigValidationError) {
+            reply({ success: false, error: error.message, errors: error.errors });
+            socket.emit('error', { message: error.message, errors: error.errors });
+            return;
+          }
+          if (error instanceof ConfigApplyError) {
+            reply({ success: false, error: error.message, code: error.code, ffmpegError: error.ffmpegError });
+            return;
+          }
+
+          console.error('Error updating configuration:', error);
+          reply({ success: false, error: 'Failed to update stream configuration' });
+          socket.emit('error', { message: 'Failed to update stream configuration' });
+        });
+    });
+
+    // PTZ commands (see parsePtzCommand); admin only, since everyone watching sees the camera move
+    socket.on('ptz', (command, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+
+      if (!this.auth.hasRole(socket.data.user, 'admin')) {
+        reply({ success: false, error: 'admin role required', code: 'FORBIDDEN' });
+        socket.emit('error', { message: 'admin role required', code: 'FORBIDDEN' });
+        return;
+      }
+
+      stream.ptz.execute(command)
+        .then(result => reply({ success: true, ...result }))
+        .catch(error => reply({ success: false, error: error.message, code: error.code }));
+    });
+
+    // Decode and paint times and sequence gaps the player saw; the ack carries its p50/p95 and loss
+    socket.on('latency-report', (report, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      const latency = stream.recordLatency(socket.id, report);
+      if (!latency) {
+        reply({ success: false, error: LATENCY_REPORT_ERROR });
+        return;
+      }
+      reply({ success: true, latency });
+    });
+
+    // The player asks for this when it stops receiving frames
+    socket.on('stream-reconnect', () => {
+      stream.requestReconnect();
+    });
+
+    // Handle disconnect
+    socket.on('disconnect', () => {
+      console.log(`Client disconnected from ${stream.id}:`, socket.id);
+      stream.removeClient(socket);
+    });
   }
+}
 
-  // Handle configuration updates from client
-  socket.on('update-config', (newConfig) => {
-    try {
-      // Update stream configuration
-      const updatedConfig = updateStreamConfig(newConfig);
-      
-      // Notify all clients about the configuration change
-      io.emit('config', updatedConfig);
-      
-      // Notify clients that stream is restarting
-      io.emit('stream-status', { status: 'restarting' });
-      
-      // After a short delay, notify that stream is ready
-      setTimeout(() => {
-        io.emit('stream-status', { status: 'ready' });
-      }, 1000);
-      
-    } catch (error) {
-      console.error('Error updating configuration:', error);
-      socket.emit('error', { message: 'Failed to update stream configuration' });
-    }
-  });
+// ===== CLIENT LIBRARY =====
+// Built from client/ on first request (see lib/player-bundle.js)
+let playerAssets = null;
 
-  // Handle disconnect
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-    activeClients.delete(socket.id);
-    
-    // Clean up frame queue for this client
-    if (frameQueues.has(socket.id)) {
-      frameQueues.delete(socket.id);
-    }
-    
-    stopStreamIfNoClients();
-  });
-});
+function getPlayerAssets() {
+  if (!playerAssets) {
+    playerAssets = { ...buildPlayerBundles(), css: buildPlayerCss() };
+  }
+  return playerAssets;
+}
 
-// ===== SERVER STARTUP =====
-// Initialize stream with default config
-stream = createStream();
+module.exports = RTSPStreamServer;
+module.exports.RTSPStreamServer = RTSPStreamServer;
+module.exports.default = RTSPStreamServer;
+module.exports.CameraStream = CameraStream;
+module.exports.ConfigValidationError = ConfigValidationError;
+module.exports.ConfigApplyError = ConfigApplyError;
+module.exports.Authenticator = Authenticator;
+module.exports.signToken = signToken;
+module.exports.signWebhookPayload = signWebhookPayload;
+module.exports.defaultConfig = defaultConfig;
 
-// Start the server
-server.listen(activeConfig.port, () => {
-  console.log(`RTSP Stream Viewer running on http://localhost:${activeConfig.port}`);
-}); 
\ No newline at end of file
+// ===== SERVER STARTUP =====
+// Only listen when run directly (`npm start`), never on require
+if (require.main === module) {
+  const server = new RTSPStreamServer({
+    persistence: { file: defaultConfig.persistence.file || 'rtsp-config.json' }
+  });
+  // `kill -HUP <pid>` applies edits to the config file
+  process.on('SIGHUP', () => server.reloadConfig());
+  server.start().then(() => {
+    console.log(`RTSP Stream Viewer running on http://localhost:${server.config.port}`);
+  }).catch((err) => {
+    console.error('Failed to start server:', err);
+    process.exit(1);
+  });
+}
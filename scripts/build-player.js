@@ -0,0 +1,16 @@
+// Write the browser client to dist/ for publishing and for bundlers that
+// prefer a single file: rtsp-player.mjs (ESM), rtsp-player.umd.js and
+// rtsp-player.css. The server builds the same files in memory.
+
+const fs = require('fs');
+const path = require('path');
+const { buildPlayerBundles, buildPlayerCss } = require('../lib/player-bundle');
+
+const DIST_DIR = path.join(__dirname, '..', 'dist');
+
+const { esm, umd } = buildPlayerBundles();
+fs.mkdirSync(DIST_DIR, { recursive: true });
+fs.writeFileSync(path.join(DIST_DIR, 'rtsp-player.mjs'), esm);
+fs.writeFileSync(path.join(DIST_DIR, 'rtsp-player.umd.js'), umd);
+fs.writeFileSync(path.join(DIST_DIR, 'rtsp-player.css'), buildPlayerCss());
+console.log(`Player written to ${DIST_DIR}`);
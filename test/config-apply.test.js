@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sleep, startServer } = require('./helpers');
+
+async function postConfig(url, config) {
+  const res = await fetch(`${url}/api/streams/cam/config`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(config)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// Resolves once the stream has received more frames than it had when called
+async function nextFrame(stream) {
+  const seen = stream.totalFrames;
+  while (stream.totalFrames === seen) await sleep(20);
+}
+
+test('a config that shows no frame is rolled back and the old stream keeps running', async (t) => {
+  const { server, url } = await startServer({
+    configApply: { timeout: 1 },
+    streams: { cam: { rtspUrl: 'rtsp://camera.local/stream' } }
+  });
+  t.after(() => server.stop());
+  const stream = server.getStream('cam');
+  stream.hold('test');
+  t.after(() => stream.release('test'));
+  await nextFrame(stream);
+  const running = stream.stream;
+
+  const silent = await postConfig(url, { rtspUrl: 'rtsp://silent.local/stream' });
+  assert.equal(silent.status, 504);
+  assert.equal(silent.body.code, 'CONFIG_APPLY_TIMEOUT');
+
+  const refused = await postConfig(url, { rtspUrl: 'rtsp://refused.local/stream' });
+  assert.equal(refused.status, 502);
+  assert.equal(refused.body.code, 'CONFIG_APPLY_FAILED');
+  assert.equal(refused.body.ffmpegError.code, 'CONNECTION_REFUSED');
+
+  // Neither change touched the running stream or made it into the history
+  assert.equal(stream.activeConfig.rtspUrl, 'rtsp://camera.local/stream');
+  assert.equal(stream.stream, running);
+  await nextFrame(stream);
+  assert.deepEqual(server.getConfigHistory('cam'), []);
+
+  const working = await postConfig(url, { rtspUrl: 'rtsp://camera2.local/stream' });
+  assert.equal(working.status, 200);
+  assert.equal(stream.activeConfig.rtspUrl, 'rtsp://camera2.local/stream');
+  assert.notEqual(stream.stream, running);
+  await nextFrame(stream);
+  assert.equal(server.getConfigHistory('cam').length, 1);
+});
+
+test('a second change while one is being applied is refused', async (t) => {
+  const { server, url } = await startServer({
+    configApply: { timeout: 1 },
+    streams: { cam: { rtspUrl: 'rtsp://camera.local/stream' } }
+  });
+  t.after(() => server.stop());
+  const stream = server.getStream('cam');
+  stream.hold('test');
+  t.after(() => stream.release('test'));
+  await nextFrame(stream);
+
+  const first = postConfig(url, { rtspUrl: 'rtsp://silent.local/stream' });
+  await sleep(100);
+  const second = await postConfig(url, { rtspUrl: 'rtsp://camera2.local/stream' });
+  assert.equal(second.status, 409);
+  assert.equal(second.body.code, 'CONFIG_APPLY_IN_PROGRESS');
+  assert.equal((await first).status, 504);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RTSPStreamServer = require('../rtsp-stream');
+const { ConfigStore } = require('../lib/config-store');
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'config', 'streams.json');
+}
+
+test('the history keeps the newest changes and survives a restart', (t) => {
+  const file = tempFile(t);
+  const store = new ConfigStore({ file, historySize: 3 });
+  store.load();
+
+  store.commit({ stream: 'cam', action: 'add', before: null, after: { frameRate: 10 } });
+  for (let frameRate = 11; frameRate <= 14; frameRate++) {
+    store.commit({ stream: 'cam', action: 'update', before: { frameRate: frameRate - 1 }, after: { frameRate } });
+  }
+  assert.equal(store.commit({ stream: 'cam', action: 'update', before: { frameRate: 14 }, after: { frameRate: 14 } }), null);
+
+  assert.deepEqual(store.history.map(({ version }) => version), [3, 4, 5]);
+  assert.equal((fs.statSync(file).mode & 0o777), 0o600);
+
+  const reloaded = new ConfigStore({ file, historySize: 3 });
+  assert.deepEqual(reloaded.load(), { cam: { frameRate: 14 } });
+  assert.equal(reloaded.version, 5);
+  assert.deepEqual(reloaded.list().map(({ version, changes }) => [version, changes]), [[5, { frameRate: 14 }], [4, { frameRate: 13 }], [3, { frameRate: 12 }]]);
+  assert.throws(() => reloaded.find(1), { name: 'ConfigStoreError', code: 'VERSION_NOT_FOUND', status: 404 });
+});
+
+test('a missing file is an empty store and a corrupt one is refused', (t) => {
+  const file = tempFile(t);
+  assert.deepEqual(new ConfigStore({ file, historySize: 10 }).load(), {});
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '{"streams": {"cam": ');
+  assert.throws(() => new ConfigStore({ file, historySize: 10 }).load(), /is not valid JSON/);
+  fs.writeFileSync(file, '{"streams": []}');
+  assert.throws(() => new ConfigStore({ file, historySize: 10 }).load(), /must hold an object with a "streams" object/);
+});
+
+test('rollback restores an earlier version, and re-adds removed streams', async (t) => {
+  const file = tempFile(t);
+  const server = new RTSPStreamServer({ persistence: { file }, streams: { cam: { rtspUrl: 'rtsp://camera.local/stream', frameRate: 10 } } });
+  const cam = server.getStream('cam');
+
+  await server.updateConfig({ frameRate: 15 }, 'cam');
+  await server.updateConfig({ frameRate: 20 }, 'cam');
+  // Streams passed to the constructor are saved without a history entry
+  const [second, first] = server.getConfigHistory('cam');
+  assert.equal(first.changes.frameRate, 15);
+  assert.equal(second.changes.frameRate, 20);
+
+  const result = await server.rollbackConfig(first.version, { user: 'admin', source: 'rest' });
+  assert.equal(result.config.frameRate, 15);
+  assert.equal(cam.activeConfig.frameRate, 15);
+  const [latest] = server.getConfigHistory('cam');
+  assert.deepEqual({ action: latest.action, rolledBackTo: latest.rolledBackTo, user: latest.user }, { action: 'rollback', rolledBackTo: first.version, user: 'admin' });
+
+  await server.removeStream('cam');
+  const [removal] = server.getConfigHistory('cam');
+  await assert.rejects(server.rollbackConfig(removal.version), { code: 'NOTHING_TO_RESTORE', status: 409 });
+  await server.rollbackConfig(latest.version);
+  assert.equal(server.getStream('cam').activeConfig.frameRate, 15);
+  await assert.rejects(server.rollbackConfig(999), { code: 'VERSION_NOT_FOUND' });
+
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).streams.cam.frameRate, 15);
+});
+
+test('reload applies edits to the file and leaves everything alone when it is corrupt', async (t) => {
+  const file = tempFile(t);
+  const server = new RTSPStreamServer({ persistence: { file }, streams: { cam: { rtspUrl: 'rtsp://camera.local/stream', frameRate: 10 } } });
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  saved.streams.cam.frameRate = 25;
+  saved.streams.yard = { rtspUrl: 'rtsp://yard.local/stream' };
+  fs.writeFileSync(file, JSON.stringify(saved));
+  assert.deepEqual(await server.reloadConfig(), { updated: ['cam'], added: ['yard'], errors: [] });
+  assert.equal(server.getStream('cam').activeConfig.frameRate, 25);
+  assert.equal(server.getConfigHistory('cam')[0].source, 'file');
+
+  fs.writeFileSync(file, 'not json');
+  const result = await server.reloadConfig();
+  assert.equal(result.errors.length, 1);
+  assert.match(result.errors[0].error, /is not valid JSON/);
+  assert.equal(server.getStream('cam').activeConfig.frameRate, 25);
+  assert.ok(server.getStream('yard'));
+
+  fs.rmSync(file);
+  assert.deepEqual(await server.reloadConfig(), { updated: [], added: [], errors: [] });
+  assert.equal(server.getStream('cam').activeConfig.frameRate, 25);
+});
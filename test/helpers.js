@@ -0,0 +1,25 @@
+const path = require('path');
+const RTSPStreamServer = require('../rtsp-stream');
+
+// ===== TEST HELPERS =====
+// Every ffmpeg the code under test spawns is test/fixtures/bin/ffmpeg
+process.env.PATH = path.join(__dirname, 'fixtures', 'bin') + path.delimiter + process.env.PATH;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Start a server on a free port.
+ *
+ * @param {object} config RTSPStreamServer config
+ * @returns {Promise<{server: RTSPStreamServer, url: string}>} `url` is the server's origin
+ */
+async function startServer(config) {
+  const server = new RTSPStreamServer(config);
+  await server.start(0);
+  return { server, url: `http://127.0.0.1:${server.server.address().port}` };
+}
+
+module.exports = {
+  sleep,
+  startServer
+};
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sleep, startServer } = require('./helpers');
+
+async function hlsServer(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { server, url } = await startServer({
+    hlsOutput: { dir },
+    streams: { cam: { rtspUrl: 'rtsp://camera.local/stream', hls: { enabled: true } } }
+  });
+  t.after(() => server.stop());
+  return { url, hls: server.getStream('cam').hls };
+}
+
+test('the first playlist request starts ffmpeg and is answered once a segment is written', async (t) => {
+  const { url, hls } = await hlsServer(t);
+
+  const res = await fetch(`${url}/hls/cam/index.m3u8`);
+  assert.equal(res.status, 200);
+  const segment = (await res.text()).split('\n').find(line => line.endsWith('.ts'));
+  assert.equal(hls.getState().running, true);
+
+  const segmentRes = await fetch(`${url}/hls/cam/${segment}`);
+  assert.equal(segmentRes.status, 200);
+  assert.equal((await segmentRes.arrayBuffer()).byteLength, 188);
+});
+
+test('a restart waits for its own playlist and removes the old run once its ffmpeg has exited', async (t) => {
+  const { url, hls } = await hlsServer(t);
+  await (await fetch(`${url}/hls/cam/index.m3u8`)).text();
+  const oldRun = hls.runDir;
+
+  // The killed ffmpeg keeps writing for a moment; none of that may count for the new run
+  hls.start({ ...hls.stream.activeConfig, rtspUrl: 'rtsp://silent.local/stream' });
+  assert.equal(await hls.playlistReady(400), false);
+  assert.equal(await hls.readPlaylist(), null);
+
+  assert.equal(fs.existsSync(oldRun), false);
+  assert.deepEqual(fs.readdirSync(hls.dir), [path.basename(hls.runDir)]);
+});
+
+test('stopping removes the playlist and segments after ffmpeg has exited', async (t) => {
+  const { url, hls } = await hlsServer(t);
+  await (await fetch(`${url}/hls/cam/index.m3u8`)).text();
+
+  hls.stop();
+  await sleep(300);
+  assert.equal(fs.existsSync(hls.dir), false);
+  assert.equal(hls.resolve('index.m3u8'), null);
+});
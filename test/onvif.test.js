@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { OnvifPtz, PtzError, parsePtzCommand, securityHeader, findText } = require('../lib/onvif');
+
+const CAMERA_CLOCK_OFFSET = 3600 * 1000; // The mock camera's clock runs an hour ahead
+
+// A camera's ONVIF device, media and PTZ services on a local port. Requests
+// must carry a valid UsernameToken digest for admin/secret.
+function mockCamera({ ptz = true } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const action = /action="[^"]*\/(\w+)"/.exec(req.headers['content-type'])[1];
+      requests.push({ path: req.url, action, body });
+      const reply = (status, xml) => {
+        res.writeHead(status, { 'Content-Type': 'application/soap+xml' });
+        res.end(`<?xml version="1.0"?><env:Envelope xmlns:env="http://www.w3.org/2003/05/soap-envelope"><env:Body>${xml}</env:Body></env:Envelope>`);
+      };
+      const fault = (status, subcode, reason) => reply(status, '<env:Fault><env:Code><env:Value>env:Sender</env:Value>'
+        + `<env:Subcode><env:Value>${subcode}</env:Value></env:Subcode></env:Code>`
+        + `<env:Reason><env:Text xml:lang="en">${reason}</env:Text></env:Reason></env:Fault>`);
+
+      if (action === 'GetSystemDateAndTime') {
+        const now = new Date(Date.now() + CAMERA_CLOCK_OFFSET);
+        return reply(200, '<tds:GetSystemDateAndTimeResponse><tds:SystemDateAndTime><tt:UTCDateTime>'
+          + `<tt:Time><tt:Hour>${now.getUTCHours()}</tt:Hour><tt:Minute>${now.getUTCMinutes()}</tt:Minute><tt:Second>${now.getUTCSeconds()}</tt:Second></tt:Time>`
+          + `<tt:Date><tt:Year>${now.getUTCFullYear()}</tt:Year><tt:Month>${now.getUTCMonth() + 1}</tt:Month><tt:Day>${now.getUTCDate()}</tt:Day></tt:Date>`
+          + '</tt:UTCDateTime></tds:SystemDateAndTime></tds:GetSystemDateAndTimeResponse>');
+      }
+
+      const nonce = findText(body, 'Nonce');
+      const created = findText(body, 'Created');
+      const expected = nonce && crypto.createHash('sha1')
+        .update(Buffer.concat([Buffer.from(nonce, 'base64'), Buffer.from(created), Buffer.from('secret')]))
+        .digest('base64');
+      if (findText(body, 'Username') !== 'admin' || findText(body, 'Password') !== expected) {
+        return fault(400, 'ter:NotAuthorized', 'Sender not authorized');
+      }
+
+      const base = `http://127.0.0.1:${server.address().port}`;
+      switch (action) {
+        case 'GetCapabilities':
+          return reply(200, '<tds:GetCapabilitiesResponse><tds:Capabilities>'
+            + `<tt:Media><tt:XAddr>${base}/onvif/media</tt:XAddr></tt:Media>`
+            + (ptz ? `<tt:PTZ><tt:XAddr>${base}/onvif/ptz</tt:XAddr></tt:PTZ>` : '')
+            + '</tds:Capabilities></tds:GetCapabilitiesResponse>');
+        case 'GetProfiles':
+          return reply(200, '<trt:GetProfilesResponse>'
+            + '<trt:Profiles token="sub"><tt:Name>Sub</tt:Name></trt:Profiles>'
+            + '<trt:Profiles token="main"><tt:Name>Main</tt:Name><tt:PTZConfiguration token="ptz0"/></trt:Profiles>'
+            + '</trt:GetProfilesResponse>');
+        case 'GetPresets':
+          return reply(200, '<tptz:GetPresetsResponse>'
+            + '<tptz:Preset token="1"><tt:Name>Door</tt:Name></tptz:Preset>'
+            + '<tptz:Preset token="2"><tt:Name>Gate &amp; yard</tt:Name></tptz:Preset>'
+            + '</tptz:GetPresetsResponse>');
+        case 'SetPreset':
+          return reply(200, '<tptz:SetPresetResponse><tptz:PresetToken>3</tptz:PresetToken></tptz:SetPresetResponse>');
+        case 'GotoPreset':
+          if (findText(body, 'PresetToken') !== '1') return fault(500, 'ter:NoEntity', 'No such preset');
+          return reply(200, '<tptz:GotoPresetResponse/>');
+        default:
+          return reply(200, `<tptz:${action}Response/>`);
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}/onvif/device_service`,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+// The parts of a CameraStream that OnvifPtz uses
+function fakeStream(onvif, credentials = { username: 'admin', password: 'secret' }) {
+  return { id: 'cam', activeConfig: { onvif }, cameraCredentials: () => credentials };
+}
+
+test('the security header carries a digest of nonce, time and password', () => {
+  const xml = securityHeader({ username: 'admin', password: 'secret' }, CAMERA_CLOCK_OFFSET);
+  const nonce = Buffer.from(findText(xml, 'Nonce'), 'base64');
+  const created = findText(xml, 'Created');
+  const digest = crypto.createHash('sha1').update(Buffer.concat([nonce, Buffer.from(created), Buffer.from('secret')])).digest('base64');
+
+  assert.equal(findText(xml, 'Username'), 'admin');
+  assert.equal(findText(xml, 'Password'), digest);
+  assert.equal(nonce.length, 16);
+  assert.ok(Math.abs(Date.parse(created) - Date.now() - CAMERA_CLOCK_OFFSET) < 2000);
+  assert.equal(securityHeader({ username: '', password: '' }), '');
+});
+
+test('commands are validated before anything is sent', () => {
+  assert.deepEqual(parsePtzCommand({ action: 'move', pan: 0.5 }), { action: 'move', pan: 0.5, tilt: 0, zoom: 0, timeout: 1 });
+  for (const input of [null, { action: 'spin' }, { action: 'move', pan: 2 }, { action: 'center', x: 1.5, y: 0 }, { action: 'goto-preset' }]) {
+    assert.throws(() => parsePtzCommand(input), { name: 'PtzError', code: 'INVALID_PTZ_COMMAND' });
+  }
+});
+
+test('moves are sent to the discovered PTZ service and profile, signed with the camera clock', async (t) => {
+  const camera = await mockCamera();
+  t.after(() => camera.close());
+  const ptz = new OnvifPtz(fakeStream({ url: camera.url }));
+
+  await ptz.execute({ action: 'move', pan: 0.5, tilt: -0.25, timeout: 2 });
+  assert.deepEqual(camera.requests.map(({ action }) => action), ['GetSystemDateAndTime', 'GetCapabilities', 'GetProfiles', 'ContinuousMove']);
+
+  const move = camera.requests[3];
+  assert.equal(move.path, '/onvif/ptz');
+  assert.match(move.body, /<s:Envelope [^>]*xmlns:s="http:\/\/www\.w3\.org\/2003\/05\/soap-envelope"/);
+  assert.equal(findText(move.body, 'ProfileToken'), 'main');
+  assert.match(move.body, /<tt:PanTilt x="0.5" y="-0.25"\/><tt:Zoom x="0"\/>/);
+  assert.equal(findText(move.body, 'Timeout'), 'PT2S');
+  assert.ok(Math.abs(Date.parse(findText(move.body, 'Created')) - Date.now() - CAMERA_CLOCK_OFFSET) < 5000);
+  assert.deepEqual(ptz.getState(), { configured: true, profileToken: 'main' });
+
+  // Discovery is cached
+  await ptz.execute({ action: 'center', x: 0.75, y: 0.25 });
+  assert.equal(camera.requests.length, 5);
+  assert.match(camera.requests[4].body, /<tt:PanTilt x="0.25" y="0.25" space="[^"]*TranslationSpaceFov"\/>/);
+});
+
+test('presets are listed, saved and recalled', async (t) => {
+  const camera = await mockCamera();
+  t.after(() => camera.close());
+  const ptz = new OnvifPtz(fakeStream({ url: camera.url, profileToken: 'main' }));
+
+  assert.deepEqual(await ptz.execute({ action: 'presets' }), {
+    presets: [{ token: '1', name: 'Door' }, { token: '2', name: 'Gate & yard' }]
+  });
+  assert.ok(!camera.requests.some(({ action }) => action === 'GetProfiles'));
+
+  assert.deepEqual(await ptz.execute({ action: 'save-preset', name: 'Drive <way>' }), { preset: { token: '3', name: 'Drive <way>' } });
+  assert.equal(findText(camera.requests[camera.requests.length - 1].body, 'PresetName'), 'Drive <way>');
+
+  assert.deepEqual(await ptz.execute({ action: 'goto-preset', preset: '1' }), {});
+});
+
+test('failures are classified', async (t) => {
+  const camera = await mockCamera();
+  t.after(() => camera.close());
+
+  const reject = (ptz, command, code) => assert.rejects(ptz.execute(command), (error) => {
+    assert.ok(error instanceof PtzError);
+    assert.equal(error.code, code);
+    return true;
+  });
+
+  await reject(new OnvifPtz(fakeStream(null)), { action: 'stop' }, 'PTZ_NOT_CONFIGURED');
+  await reject(new OnvifPtz(fakeStream({ url: camera.url }, { username: 'admin', password: 'wrong' })), { action: 'stop' }, 'ONVIF_AUTH_FAILED');
+  await reject(new OnvifPtz(fakeStream({ url: camera.url })), { action: 'goto-preset', preset: '9' }, 'ONVIF_FAULT');
+  await reject(new OnvifPtz(fakeStream({ url: 'http://127.0.0.1:1/onvif/device_service' })), { action: 'stop' }, 'ONVIF_UNREACHABLE');
+
+  const fixed = await mockCamera({ ptz: false });
+  t.after(() => fixed.close());
+  await reject(new OnvifPtz(fakeStream({ url: fixed.url })), { action: 'stop' }, 'PTZ_UNSUPPORTED');
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RecordingStore, StreamRecorder } = require('../lib/recordings');
+const { sleep, startServer } = require('./helpers');
+
+async function recordingServer(t, streamConfig = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { server, url } = await startServer({
+    recordings: { dir },
+    streams: { cam: { rtspUrl: 'rtsp://camera.local/stream', ...streamConfig } }
+  });
+  t.after(() => server.stop());
+  const post = (route, body) => fetch(`${url}/api/streams/cam/${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {})
+  }).then(async res => ({ status: res.status, body: await res.json() }));
+  return { server, dir, post, recorder: server.getStream('cam').recorder };
+}
+
+test('starting a recording by hand does not take over one driven by the config', async (t) => {
+  const { post, recorder } = await recordingServer(t, { continuousRecording: true });
+  assert.equal(recorder.continuous, true);
+
+  assert.equal((await post('recording/start')).body.recording.continuous, true);
+  assert.equal((await post('config', { continuousRecording: false })).status, 200);
+  assert.equal(recorder.active, false);
+});
+
+test('turning continuous recording on and off leaves a recording started by hand alone', async (t) => {
+  const { post, recorder } = await recordingServer(t);
+
+  assert.equal((await post('recording/start')).body.recording.continuous, false);
+  await post('config', { continuousRecording: true });
+  assert.equal(recorder.continuous, false);
+  await post('config', { continuousRecording: false });
+  assert.equal(recorder.active, true);
+
+  assert.equal((await post('recording/stop')).status, 200);
+  assert.equal(recorder.active, false);
+});
+
+test('stopping a recording whose segment cannot be finished answers 500', async (t) => {
+  const { server, dir, post, recorder } = await recordingServer(t);
+  await post('recording/start');
+  while (recorder.getState().segmentFrames < 2) await sleep(20);
+
+  // The open file keeps being written, but its header cannot be patched
+  fs.rmSync(path.join(dir, 'cam'), { recursive: true });
+  const stopped = await post('recording/stop');
+  assert.equal(stopped.status, 500);
+  assert.equal(stopped.body.success, false);
+  assert.match(stopped.body.error, /ENOENT/);
+  assert.equal(recorder.active, false);
+  assert.equal(server.recordings.activeFiles.size, 0);
+});
+
+test('segments opened within the same millisecond get their own files', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new RecordingStore({ dir });
+  const stream = { id: 'cam', activeConfig: { resolution: '640x360', frameRate: 10 }, hold() {}, release() {} };
+  const recorder = new StreamRecorder(stream, store, { segmentDuration: 300 });
+  t.mock.method(Date, 'now', () => Date.parse('2026-10-19T07:44:45.123Z'));
+
+  recorder.start();
+  recorder.writeFrame(Buffer.from([0xff, 0xd8, 1, 0xff, 0xd9]));
+  const closing = recorder.rotate();
+  recorder.writeFrame(Buffer.from([0xff, 0xd8, 2, 0xff, 0xd9]));
+  await closing;
+  recorder.rotate();
+  await recorder.stop();
+
+  const segments = await store.list('cam');
+  assert.deepEqual(segments.map(({ file }) => file), [
+    '2026-10-19T07-44-45-123Z.avi',
+    '2026-10-19T07-44-45-124Z.avi',
+    '2026-10-19T07-44-45-125Z.avi'
+  ]);
+  assert.ok(segments.every(({ inProgress }) => !inProgress));
+  assert.ok(segments[0].size > segments[2].size);
+});
+
+test('segments rotate after segmentDuration', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new RecordingStore({ dir });
+  const holds = new Set();
+  const stream = {
+    id: 'cam',
+    activeConfig: { resolution: '640x360', frameRate: 10 },
+    hold: reason => holds.add(reason),
+    release: reason => holds.delete(reason)
+  };
+  const recorder = new StreamRecorder(stream, store, { segmentDuration: 60 });
+  let now = Date.parse('2026-10-19T07:00:00.000Z');
+  t.mock.method(Date, 'now', () => now);
+  const frame = Buffer.from([0xff, 0xd8, 0, 0xff, 0xd9]);
+
+  recorder.start();
+  assert.deepEqual([...holds], ['recording']);
+  for (let second = 0; second < 150; second += 10) {
+    now = Date.parse('2026-10-19T07:00:00.000Z') + second * 1000;
+    recorder.writeFrame(frame);
+  }
+  await recorder.stop();
+  assert.deepEqual([...holds], []);
+
+  const segments = await store.list('cam');
+  assert.deepEqual(segments.map(({ file }) => file), [
+    '2026-10-19T07-00-00-000Z.avi',
+    '2026-10-19T07-01-00-000Z.avi',
+    '2026-10-19T07-02-00-000Z.avi'
+  ]);
+  assert.equal(recorder.getState().recordedFrames, 15);
+});
+
+test('retention deletes old segments, then the oldest above the size limit, but never open ones', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new RecordingStore({ dir, maxAge: 3600, maxTotalSize: 250 });
+  const hour = 3600 * 1000;
+  const segment = (streamId, file, size, endedAgo) => {
+    const filePath = path.join(dir, streamId, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, Buffer.alloc(size));
+    const ended = new Date(Date.now() - endedAgo);
+    fs.utimesSync(filePath, ended, ended);
+    return filePath;
+  };
+
+  segment('cam', '2026-10-19T01-00-00-000Z.avi', 100, 5 * hour);
+  segment('yard', '2026-10-19T04-00-00-000Z.avi', 100, hour / 2);
+  segment('cam', '2026-10-19T05-00-00-000Z.avi', 100, hour / 4);
+  store.activeFiles.add(segment('cam', '2026-10-19T06-00-00-000Z.avi', 100, 0));
+  fs.writeFileSync(path.join(dir, 'cam', 'notes.txt'), 'not a segment');
+
+  assert.deepEqual(await store.enforceRetention(), ['cam/2026-10-19T01-00-00-000Z.avi', 'yard/2026-10-19T04-00-00-000Z.avi']);
+  assert.deepEqual((await store.list()).map(({ id }) => id), ['cam/2026-10-19T05-00-00-000Z.avi', 'cam/2026-10-19T06-00-00-000Z.avi']);
+  assert.ok(fs.existsSync(path.join(dir, 'cam', 'notes.txt')));
+  await assert.rejects(store.remove('cam', '2026-10-19T06-00-00-000Z.avi'), /still being recorded/);
+});
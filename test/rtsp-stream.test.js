@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sleep, startServer } = require('./helpers');
+
+test('a clip export that fails is answered with a 500', async (t) => {
+  const { server, url } = await startServer({ streams: { default: { rtspUrl: 'rtsp://camera.local/stream' } } });
+  t.after(() => server.stop());
+  const stream = server.getStream();
+
+  stream.captureClip = () => {
+    throw new Error('Out of memory');
+  };
+  let res = await fetch(`${url}/api/clip.avi?before=1&after=0`);
+  assert.equal(res.status, 500);
+  assert.deepEqual(await res.json(), { success: false, error: 'Out of memory' });
+
+  stream.captureClip = () => Promise.reject(new Error('Buffer gone'));
+  res = await fetch(`${url}/api/clip.zip?before=1&after=0`);
+  assert.equal(res.status, 500);
+  assert.equal((await res.json()).error, 'Buffer gone');
+});
+
+test('clip formats are only the ones listed', async (t) => {
+  const { server, url } = await startServer({ streams: { default: { rtspUrl: 'rtsp://camera.local/stream' } } });
+  t.after(() => server.stop());
+  server.getStream().captureClip = () => assert.fail('no export for an unknown format');
+
+  for (const format of ['constructor', 'toString', 'gif']) {
+    const res = await fetch(`${url}/api/clip.${format}?before=1`);
+    assert.equal(res.status, 404);
+    assert.deepEqual(await res.json(), { success: false, error: `Unknown clip format: ${format}` });
+  }
+});
+
+test('registering a stream id that is taken is a conflict', async (t) => {
+  const { server, url } = await startServer({ streams: { lobby: { rtspUrl: 'rtsp://camera.local/stream' } } });
+  t.after(() => server.stop());
+  const register = id => fetch(`${url}/api/streams`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id, rtspUrl: 'rtsp://other.local/stream' })
+  });
+
+  const taken = await register('lobby');
+  assert.equal(taken.status, 409);
+  assert.deepEqual(await taken.json(), { success: false, error: 'Stream already exists: lobby' });
+  assert.equal(server.getStream('lobby').activeConfig.rtspUrl, 'rtsp://camera.local/stream');
+
+  assert.equal((await register('bad id')).status, 400);
+  assert.equal((await register('yard')).status, 201);
+});
+
+test('removing a stream answers once its recording is closed', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { server, url } = await startServer({
+    recordings: { dir },
+    streams: { lobby: { rtspUrl: 'rtsp://camera.local/stream' } }
+  });
+  t.after(() => server.stop());
+  const stream = server.getStream('lobby');
+
+  assert.equal((await fetch(`${url}/api/streams/lobby/recording/start`, { method: 'POST' })).status, 200);
+  while (stream.totalFrames < 3) await sleep(20);
+  assert.equal(server.recordings.activeFiles.size, 1);
+
+  const res = await fetch(`${url}/api/streams/lobby`, { method: 'DELETE' });
+  assert.deepEqual(await res.json(), { success: true });
+  assert.equal(server.recordings.activeFiles.size, 0);
+  assert.equal(server.getStream('lobby'), null);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilterGraph, polygonBoxes } = require('../lib/video-filters');
+const { validateStreamConfig, ConfigValidationError } = require('../lib/config-validator');
+
+const boxesOf = graph => graph.split(',').filter(filter => filter.startsWith('drawbox'));
+
+test('streams without overlays or masks get no filter graph', () => {
+  assert.equal(buildFilterGraph({ resolution: '640x360' }), null);
+  assert.equal(buildFilterGraph({ resolution: '640x360', overlays: [], privacyMasks: [] }), null);
+});
+
+test('rectangle masks are rounded outwards to pixels', () => {
+  const graph = buildFilterGraph({ resolution: '640x360', privacyMasks: [{ x: 0.1, y: 0.1, width: 0.2, height: 0.3 }] });
+  assert.deepEqual(boxesOf(graph), ['drawbox=x=64:y=36:w=129:h=108:color=black:t=fill']);
+  assert.ok(graph.startsWith('scale=640:360,'));
+});
+
+test('polygons are covered by bands that contain every corner', () => {
+  const points = [[0.5, 0.5], [0.9, 0.5], [0.7, 0.9]];
+  const boxes = polygonBoxes(points, 640, 360);
+  points.forEach(([x, y]) => {
+    const [px, py] = [x * 640, y * 360];
+    assert.ok(boxes.some(([bx, by, w, h]) => px >= bx && px <= bx + w && py >= by && py <= by + h), `${px},${py} is covered`);
+  });
+  assert.deepEqual(polygonBoxes([[0, 0], [0.5, 0], [0.5, 0.5], [0, 0.5]], 100, 100), [[0, 0, 50, 50]]);
+});
+
+test('boxes without width or height are left out', () => {
+  const graph = buildFilterGraph({ resolution: '640x360', privacyMasks: [{ x: 0.5, y: 0, width: 0, height: 1 }] });
+  assert.deepEqual(boxesOf(graph), []);
+  assert.ok(!/[wh]=0:/.test(buildFilterGraph({ resolution: '640x360', privacyMasks: [{ points: [[0.2, 0.2], [0.2, 0.8], [0.2, 0.5]] }] })));
+});
+
+test('overlay text and time formats are escaped for the filter graph', () => {
+  const graph = buildFilterGraph({
+    resolution: '640x360',
+    overlays: [{ text: 'Door [A], b;c', timeFormat: '%H:%M', position: 'bottom-right', fontSize: 20 }]
+  });
+  assert.equal(
+    graph,
+    "scale=640:360,drawtext=text=\\'Door \\[A\\]\\, b\\;c %{localtime:%H\\\\:%M}\\':fontsize=20:fontcolor=white:" +
+    'box=1:boxcolor=black@0.5:boxborderw=6:x=w-tw-10:y=h-th-10'
+  );
+});
+
+test('empty privacy masks are rejected', () => {
+  const fieldsOf = (privacyMasks) => {
+    try {
+      validateStreamConfig({ privacyMasks }, { partial: true });
+      return [];
+    } catch (error) {
+      assert.ok(error instanceof ConfigValidationError);
+      return error.errors.map(({ field }) => field);
+    }
+  };
+
+  assert.deepEqual(fieldsOf([{ x: 0.1, y: 0.1, width: 0, height: 0.5 }]), ['privacyMasks[0]']);
+  assert.deepEqual(fieldsOf([{ x: 0.1, y: 0.1, width: 0.5, height: 0 }]), ['privacyMasks[0]']);
+  assert.deepEqual(fieldsOf([{ points: [[0.1, 0.1], [0.5, 0.5], [0.9, 0.9]] }]), ['privacyMasks[0].points']);
+  assert.deepEqual(fieldsOf([{ points: [[0.1, 0.1], [0.1, 0.1], [0.1, 0.1]] }]), ['privacyMasks[0].points']);
+  assert.deepEqual(fieldsOf([{ x: 0.1, y: 0.1, width: 0.2, height: 0.2 }, { points: [[0, 0], [0.1, 0], [0, 0.1]] }]), []);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WebhookDispatcher, signWebhookPayload } = require('../lib/webhooks');
+const { sleep } = require('./helpers');
+
+// A webhook receiver that answers with the given statuses in turn, then 200
+function receiver(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body, at: Date.now() });
+      res.writeHead(statuses.shift() || 200);
+      res.end();
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}/hook`,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+function dispatcher(endpoints, options = {}) {
+  return new WebhookDispatcher({
+    endpoints,
+    timeout: 2,
+    maxAttempts: 3,
+    initialDelay: 0.05,
+    maxDelay: 1,
+    multiplier: 2,
+    jitter: 0,
+    deadLetterFile: null,
+    deadLetterSize: 10,
+    ...options
+  });
+}
+
+async function settled(webhooks) {
+  while (webhooks.getState().pending > 0) await sleep(10);
+}
+
+test('deliveries are signed with the endpoint secret', async (t) => {
+  const hook = await receiver();
+  t.after(() => hook.close());
+  const webhooks = dispatcher([{ url: hook.url, secret: 's3cret' }]);
+
+  webhooks.send('stream.started', 'cam', { url: 'rtsp://camera/stream' });
+  await settled(webhooks);
+
+  assert.equal(hook.requests.length, 1);
+  const { headers, body } = hook.requests[0];
+  const payload = JSON.parse(body);
+  assert.equal(headers['x-rtsp-event'], 'stream.started');
+  assert.equal(headers['x-rtsp-delivery'], payload.id);
+  assert.equal(headers['x-rtsp-signature'], `sha256=${signWebhookPayload('s3cret', headers['x-rtsp-timestamp'], body)}`);
+  assert.notEqual(headers['x-rtsp-signature'], `sha256=${signWebhookPayload('other', headers['x-rtsp-timestamp'], body)}`);
+  const { id, time, ...rest } = payload;
+  assert.ok(id && time);
+  assert.deepEqual(rest, { event: 'stream.started', streamId: 'cam', data: { url: 'rtsp://camera/stream' } });
+});
+
+test('server errors are retried with exponential backoff', async (t) => {
+  const hook = await receiver([500, 503]);
+  t.after(() => hook.close());
+  const webhooks = dispatcher([{ url: hook.url, secret: 's' }]);
+
+  webhooks.send('stream.stopped', 'cam');
+  await settled(webhooks);
+
+  assert.equal(hook.requests.length, 3);
+  const [first, second, third] = hook.requests.map(({ at }) => at);
+  assert.ok(second - first >= 45, `first retry after ${second - first}ms`);
+  assert.ok(third - second >= 95, `second retry after ${third - second}ms`);
+  assert.equal(new Set(hook.requests.map(({ body }) => JSON.parse(body).id)).size, 1);
+  assert.equal(webhooks.listDeadLetters().length, 0);
+});
+
+test('failed deliveries are dead-lettered to the log file', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const rejecting = await receiver([400]);
+  const failing = await receiver([500, 500, 500]);
+  t.after(() => Promise.all([rejecting.close(), failing.close()]));
+  const deadLetterFile = path.join(dir, 'logs', 'dead-letters.jsonl');
+  const webhooks = dispatcher([
+    { url: rejecting.url, secret: 's' },
+    { url: failing.url, secret: 's' }
+  ], { deadLetterFile });
+
+  webhooks.send('stream.error', 'cam', { code: 'CONNECTION_REFUSED' });
+  await settled(webhooks);
+
+  // A 4xx other than 408 and 429 is not retried
+  assert.equal(rejecting.requests.length, 1);
+  assert.equal(failing.requests.length, 3);
+
+  const logged = fs.readFileSync(deadLetterFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(logged.map(({ url, attempts, error }) => ({ url, attempts, error })), [
+    { url: rejecting.url, attempts: 1, error: 'HTTP 400' },
+    { url: failing.url, attempts: 3, error: 'HTTP 500' }
+  ]);
+  assert.deepEqual(logged[0].payload.data, { code: 'CONNECTION_REFUSED' });
+  assert.deepEqual(webhooks.listDeadLetters(), logged.slice().reverse());
+});
+
+test('endpoints only get the events and streams they subscribe to', async (t) => {
+  const all = await receiver();
+  const motion = await receiver();
+  const door = await receiver();
+  t.after(() => Promise.all([all.close(), motion.close(), door.close()]));
+  const webhooks = dispatcher([
+    { url: all.url, secret: 's' },
+    { url: motion.url, secret: 's', events: ['motion.start', 'motion.end'] },
+    { url: door.url, secret: 's', events: ['*'], streams: ['door'] }
+  ]);
+
+  webhooks.send('motion.start', 'door');
+  webhooks.send('motion.end', 'yard');
+  webhooks.send('stream.started', 'yard');
+  webhooks.send('config.changed', null);
+  await settled(webhooks);
+
+  const received = hook => hook.requests.map(({ body }) => `${JSON.parse(body).event}:${JSON.parse(body).streamId}`).sort();
+  assert.deepEqual(received(all), ['config.changed:null', 'motion.end:yard', 'motion.start:door', 'stream.started:yard']);
+  assert.deepEqual(received(motion), ['motion.end:yard', 'motion.start:door']);
+  assert.deepEqual(received(door), ['motion.start:door']);
+
+  assert.throws(() => dispatcher([{ url: all.url, secret: 's', events: ['motion.begin'] }]), /unknown events: motion\.begin/);
+});